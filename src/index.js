@@ -1,24 +1,174 @@
 import path from 'node:path';
+import { injectBundles } from './inject.js';
 import { bundleWithESBuild } from './processors/esbuild-processor.js';
-import { collectComponents, createComponentMap } from './utils/component-discovery.js';
+import { purgeBundles } from './purge.js';
+import { contentHash, hashedPath, logicalName, relinkSourceMap } from './utils/asset-hashing.js';
+import { createBuildCache, startRun } from './utils/build-cache.js';
+import { buildReport, renderReportHtml } from './utils/bundle-report.js';
 import { getManifest } from './utils/component-helpers.js';
+import { collectRootComponents, componentResolution, resolveComponentRoots } from './utils/component-roots.js';
+import { compressVariants } from './utils/compression.js';
+import { criticalBuildOptions, planCriticalStyles } from './utils/critical-css.js';
 import { filterNeededComponents, resolveAllDependencies } from './utils/dependency-resolver.js';
+import { optionsHash } from './utils/disk-cache.js';
+import { integrityHash } from './utils/integrity.js';
+import { legacyPath } from './utils/legacy-bundle.js';
+import { formatManifestReport } from './utils/manifest-check.js';
 import { normalizeOptions } from './utils/options.js';
+import { planPageBundles } from './utils/page-bundles.js';
 import { validateRequirements } from './utils/requirement-validator.js';
 import { buildComponentsSchema } from './utils/schema-emitter.js';
-import { detectUsedComponents } from './utils/template-parser.js';
+import { checkBudgets, formatBudgetReport } from './utils/size-budgets.js';
+import { detectComponentsPerFile, detectUsedComponents } from './utils/template-parser.js';
+import { formatTypeReport, typeCheckComponents } from './utils/type-checker.js';
 import { validateSections } from './utils/validation.js';
 
 /**
  * @typedef {Object} BundledAssets
  * @property {string|null} css - Bundled CSS content or null if no CSS
  * @property {string|null} js - Bundled JavaScript content or null if no JS
+ * @property {string|null} [cssMap] - External CSS source map JSON, or null
+ * @property {string|null} [jsMap] - External JavaScript source map JSON, or null
+ * @property {string|null} [jsLegacy] - Legacy (nomodule) JavaScript bundle, or null
+ * @property {string|null} [jsLegacyMap] - External source map JSON of the legacy bundle, or null
+ * @property {Array<{dest: string, contents: string, map: string|null}>} [jsChunks] - Lazily loaded script chunks, esm format only
+ * @property {Array<{source: string, dest: string, contents: Buffer}>} [cssAssets] - Files referenced with url() from the CSS
+ * @property {import('./utils/bundle-report.js').BundleReport[]} [reports] - Size breakdown per output file, when analyzing
  */
 
 /**
  * @typedef {import('./utils/options.js').BundledComponentsOptions} Options
  */
 
+/**
+ * Add a bundled asset to the Metalsmith files object
+ *
+ * Instead of writing files directly to disk with fs.writeFileSync(),
+ * add them to the files object. Metalsmith then:
+ * - Handles the actual writing to disk
+ * - Allows other plugins to process these files further
+ *
+ * @param {Object} files - Metalsmith files object
+ * @param {string|null} dest - Output path, or null to skip
+ * @param {string|Buffer|null} contents - Asset contents, or null when there is nothing to emit
+ */
+function emitAsset(files, dest, contents) {
+  if (!dest || !contents) {
+    return;
+  }
+  files[dest] = {
+    contents: Buffer.isBuffer(contents) ? contents : Buffer.from(contents, 'utf8')
+  };
+}
+
+/**
+ * @typedef {Object} EmittedAssets
+ * @property {Object<string, string>} manifest - Logical name → output path of every emitted bundle file
+ * @property {Object<string, string>} integrity - Output path → SRI string, when integrity is enabled
+ * @property {Object<string, string>} assets - Output path → source file of every url() asset copied so far
+ * @property {import('./utils/bundle-report.js').BundleReport[]} reports - Size breakdown of every emitted bundle, when analyzing
+ * @property {string[]} bundles - Output paths of every emitted CSS and JS file, lazily loaded chunks included
+ */
+
+/**
+ * Add one bundled file, and its external source map, to the files object
+ *
+ * With hashing on, the file is written under a content-hashed name and the
+ * name it was written under is recorded in the asset manifest. With
+ * integrity on, the SRI string of the file as written is recorded too.
+ *
+ * @param {Object} files - Metalsmith files object
+ * @param {string} dest - Configured output path
+ * @param {string|null} contents - Bundle contents, or null when there is nothing to emit
+ * @param {string|null} map - External source map JSON, or null
+ * @param {Options} options - Plugin options
+ * @param {EmittedAssets} emitted - Record of emitted files
+ * @returns {string|null} Path the file was written to, or null when nothing was emitted
+ */
+function emitBundleFile(files, dest, contents, map, options, emitted) {
+  if (!contents) {
+    return null;
+  }
+
+  let outputPath = dest;
+  let output = contents;
+  if (options.hashing.enabled) {
+    outputPath = hashedPath(dest, contentHash(contents, options.hashing.length));
+    output = map ? relinkSourceMap(contents, dest, outputPath) : contents;
+  }
+
+  emitAsset(files, outputPath, output);
+  emitted.bundles.push(outputPath);
+  emitted.manifest[logicalName(dest)] = outputPath;
+  if (options.integrity.enabled) {
+    emitted.integrity[outputPath] = integrityHash(output, options.integrity.algorithm);
+  }
+
+  if (map) {
+    emitAsset(files, `${outputPath}.map`, map);
+    emitted.manifest[`${logicalName(dest)}.map`] = `${outputPath}.map`;
+  }
+
+  return outputPath;
+}
+
+/**
+ * Add a bundle's CSS and JS, and their external source maps, to the files object
+ *
+ * @param {Object} files - Metalsmith files object
+ * @param {Options} options - Options naming the bundle's `cssDest` and `jsDest`
+ * @param {BundledAssets} assets - Result of bundleWithESBuild
+ * @param {EmittedAssets} emitted - Record of emitted files
+ * @returns {{css: string|null, js: string|null, jsLegacy?: string|null}} Paths the bundle was written to; `jsLegacy` with differential bundles on
+ * @throws {Error} When two different url() assets would be written to the same path
+ */
+function emitBundle(files, options, assets, emitted) {
+  /*
+   * url() assets go in one folder, so two different files with the same name
+   * would overwrite each other. A file used by several bundles (the shared
+   * bundle and a page chunk), or an identical copy of it, is emitted once.
+   */
+  (assets.cssAssets || []).forEach(({ source, dest, contents }) => {
+    const previous = emitted.assets[dest];
+    if (previous && previous !== source && !files[dest].contents.equals(contents)) {
+      throw new Error(
+        `Two url() assets would be written to ${dest}: ${previous} and ${source}. Rename one, or set assets.hash to give each a content-hashed name.`
+      );
+    }
+    emitted.assets[dest] = source;
+    emitAsset(files, dest, contents);
+  });
+
+  // Chunk names carry esbuild's content hash already, and the entry imports
+  // them by relative path, so they are emitted as they are
+  (assets.jsChunks || []).forEach(({ dest, contents, map }) => {
+    emitAsset(files, dest, contents);
+    emitted.bundles.push(dest);
+    emitAsset(files, map ? `${dest}.map` : null, map);
+  });
+
+  const paths = {
+    css: emitBundleFile(files, options.cssDest, assets.css, assets.cssMap, options, emitted),
+    js: emitBundleFile(files, options.jsDest, assets.js, assets.jsMap, options, emitted)
+  };
+  if (options.legacy.enabled) {
+    paths.jsLegacy = emitBundleFile(
+      files,
+      legacyPath(options.jsDest),
+      assets.jsLegacy,
+      assets.jsLegacyMap,
+      options,
+      emitted
+    );
+  }
+
+  // Reports name the file as written, hashed name included
+  (assets.reports || []).forEach((report) => {
+    emitted.reports.push({ ...report, file: paths[report.type] || report.file });
+  });
+  return paths;
+}
+
 /**
  * A Metalsmith plugin that automatically discovers and bundles CSS and JavaScript files
  * from component-based architectures using esbuild. All component styles and scripts are
@@ -34,7 +184,8 @@ import { validateSections } from './utils/validation.js';
  * - Options are validated once, not on every build
  * - Expensive setup operations (like parsing PostCSS config) happen once
  * - The returned plugin function is lightweight and optimized for repeated execution
- * - Supports Metalsmith's watch mode where plugin may be called multiple times
+ * - Supports Metalsmith's watch mode where plugin may be called multiple times: the
+ *   build cache lives here, so later runs skip components and bundles that didn't change
  *
  * @param {Options} [options] - Plugin options
  * @returns {import('metalsmith').Plugin} - Metalsmith plugin function
@@ -44,6 +195,16 @@ function bundledComponents(options = {}) {
   // This runs only once when .use(bundledComponents(options)) is called
   options = normalizeOptions(options);
 
+  // Components and bundles from earlier runs, reused while their files are unchanged
+  const cache =
+    options.incremental || options.cache.enabled
+      ? createBuildCache({
+          memory: options.incremental,
+          disk: options.cache.enabled ? { dir: options.cache.dir, salt: optionsHash(options) } : null
+        })
+      : null;
+  const componentCache = options.incremental ? cache : null;
+
   /**
    * PHASE 2: Execution - The actual plugin function that processes files
    * This runs during the Metalsmith build and may be called multiple times in watch mode
@@ -57,37 +218,75 @@ function bundledComponents(options = {}) {
     debug('Running with options: %O', options);
 
     async function processComponents() {
+      // esbuild contexts are only worth keeping when another run will follow
+      if (cache) {
+        await startRun(cache, !!metalsmith.watch());
+      }
+
       /*
        * Component Discovery
        */
-      // Use metalsmith.path() for consistent cross-platform path handling
-      const basePath = metalsmith.path(options.basePath);
-      const sectionsPath = metalsmith.path(options.sectionsPath);
       const layoutPath = metalsmith.path(options.layoutsPath);
 
-      // Scans lib folder for all available components in
-      // _partials and sections folders
-      const allBaseComponents = collectComponents(basePath);
-      const allSectionComponents = collectComponents(sectionsPath);
+      // Scans each component root (libraries first, then the site's own
+      // _partials and sections folders) for all available components.
+      // A component in a later root shadows one of the same name in an earlier root.
+      // Manifest styles and scripts must stay inside their component folder or allowedPaths
+      const roots = resolveComponentRoots(options, metalsmith.directory());
+      const {
+        base: allBaseComponents,
+        sections: allSectionComponents,
+        componentMap
+      } = await collectRootComponents(roots, {
+        cache: componentCache,
+        maxDepth: options.maxDepth,
+        options,
+        allowedDirs: options.allowedPaths.map((allowed) => metalsmith.path(allowed))
+      });
       const allComponents = [...allBaseComponents, ...allSectionComponents];
+      if (componentCache) {
+        debug('Component cache: reused %d of %d components', cache.hits.components, allComponents.length);
+      }
 
-      debug('Partials path: %s', basePath);
-      debug('Sections path: %s', sectionsPath);
+      roots.forEach((root) => {
+        debug('Component root %s: partials %s, sections %s', root.name, root.basePath, root.sectionsPath);
+      });
       debug(
         'Found all partials: %O',
-        allBaseComponents.map((c) => c.name)
+        allBaseComponents.map((c) => `${c.name} (${c.root})`)
       );
       debug(
         'Found all sections: %O',
-        allSectionComponents.map((c) => c.name)
+        allSectionComponents.map((c) => `${c.name} (${c.root})`)
       );
+      allComponents
+        .filter((c) => c.shadows || c.extends)
+        .forEach((c) => {
+          debug('Component %s resolved to %O', c.name, componentResolution(c, metalsmith.directory()));
+        });
+      debug('Component map created with %d available components', componentMap.size);
+
+      // Mistakes in the manifests themselves, all reported at once
+      const manifestProblems = allComponents
+        .filter((c) => c.manifestIssues?.length > 0)
+        .map((c) => ({ name: c.name, manifestPath: c.manifestPath, issues: c.manifestIssues }));
+      if (manifestProblems.length > 0) {
+        console.error(formatManifestReport(manifestProblems, metalsmith.directory()));
+
+        if (options.manifestCheck.strict) {
+          throw new Error('Manifest check failed');
+        } else {
+          console.warn('\nManifest problems found but continuing build (strict mode disabled)');
+        }
+      }
 
       // Fail fast if no components found - this indicates a configuration error
       if (allComponents.length === 0) {
+        const rootsLine = options.roots.length > 0 ? `\n  - roots: ${roots.map((root) => root.name).join(', ')}` : '';
         const error = new Error(
           `No components found in specified directories.
   - basePath: ${options.basePath}
-  - sectionsPath: ${options.sectionsPath}
+  - sectionsPath: ${options.sectionsPath}${rootsLine}
 
 This likely indicates a configuration error. Please verify:
   1. Component directories exist and contain components
@@ -104,16 +303,14 @@ This likely indicates a configuration error. Please verify:
        */
 
       // Extract directory names from paths, for example 'lib/components/_partials' → '_partials'
-      const componentDirs = [path.basename(options.basePath), path.basename(options.sectionsPath)];
+      const componentDirs = [
+        ...new Set(roots.flatMap((root) => [path.basename(root.basePath), path.basename(root.sectionsPath)]))
+      ];
 
       // Scan all templates and layout files that are actually used
-      const usedComponents = detectUsedComponents(files, componentDirs, layoutPath);
+      const usedComponents = detectUsedComponents(files, componentDirs, layoutPath, componentMap);
       debug('All components used (pages + layouts): %O', [...usedComponents]);
 
-      // Create component map for available components
-      const componentMap = createComponentMap(allComponents);
-      debug('Component map created with %d available components', componentMap.size);
-
       /*
        * Resolve transitive dependencies
        */
@@ -245,36 +442,253 @@ This likely indicates a configuration error. Please verify:
       }
 
       /*
-       * Bundle components and main entries using esbuild with plugins
-       * Process in order: main entries → base components → section components
+       * Type-check TypeScript scripts if requested. esbuild strips types
+       * without looking at them, so without this pass a type error ships.
        */
-      debug('Starting bundling process...');
-      const bundledAssets = await bundleWithESBuild(baseComponents, sectionComponents, metalsmith.directory(), options);
-      debug('Bundled assets completed: %O', {
-        hasCss: !!bundledAssets.css,
-        hasJs: !!bundledAssets.js
-      });
+      if (options.typescript.typeCheck) {
+        debug('Type-checking TypeScript scripts...');
+        const typeErrors = await typeCheckComponents(
+          [...baseComponents, ...sectionComponents],
+          metalsmith.directory(),
+          options
+        );
 
-      // Add bundled CSS (main + components) to Metalsmith files object
-      // Instead of writing files directly to disk with fs.writeFileSync(),
-      //  add them to the files object. Metalsmith then:
-      // - Handles the actual writing to disk
-      // - Allows other plugins to process these files further
-      if (bundledAssets.css) {
-        files[options.cssDest] = {
-          contents: Buffer.isBuffer(bundledAssets.css) ? bundledAssets.css : Buffer.from(bundledAssets.css, 'utf8')
-        };
+        if (typeErrors.size > 0) {
+          console.error(formatTypeReport(typeErrors, metalsmith.directory()));
 
-        debug(`Added bundled CSS to ${options.cssDest}`);
+          if (options.typescript.strict) {
+            throw new Error('TypeScript type check failed');
+          } else {
+            console.warn('\nType errors found but continuing build (strict mode disabled)');
+          }
+        } else {
+          debug('All TypeScript scripts type-checked successfully');
+        }
       }
 
-      // Add bundled JS (main + components) to Metalsmith files object
-      if (bundledAssets.js) {
-        files[options.jsDest] = {
-          contents: Buffer.isBuffer(bundledAssets.js) ? bundledAssets.js : Buffer.from(bundledAssets.js, 'utf8')
+      const emitted = { manifest: {}, integrity: {}, assets: {}, reports: [], bundles: [] };
+      let siteBundles;
+
+      /*
+       * Per-page mode: a shared bundle plus one chunk per distinct page
+       * component set, with each page's asset paths recorded on the page
+       */
+      if (options.perPage.enabled) {
+        const pageComponents = detectComponentsPerFile(files, componentDirs, layoutPath, componentMap);
+        const plan = planPageBundles(pageComponents, componentMap, options.perPage.sharedThreshold);
+        debug('Shared components (used on %d%% of pages or more): %O', options.perPage.sharedThreshold * 100, [
+          ...plan.shared
+        ]);
+
+        debug('Starting shared bundling process...');
+        const sharedAssets = await bundleWithESBuild(
+          filterNeededComponents(allBaseComponents, plan.shared),
+          filterNeededComponents(allSectionComponents, plan.shared),
+          metalsmith.directory(),
+          options,
+          cache
+        );
+        const sharedPaths = emitBundle(files, options, sharedAssets, emitted);
+        siteBundles = sharedPaths;
+
+        const chunkPaths = new Map();
+
+        for (const chunk of plan.chunks.values()) {
+          // Chunks carry components only; main entries ship once, in the shared bundle
+          const chunkOptions = {
+            ...options,
+            mainCSSEntry: null,
+            mainJSEntry: null,
+            cssDest: path.posix.join(options.perPage.dest, `${chunk.name}.css`),
+            jsDest: path.posix.join(options.perPage.dest, `${chunk.name}.js`)
+          };
+          const assets = await bundleWithESBuild(
+            filterNeededComponents(allBaseComponents, chunk.components),
+            filterNeededComponents(allSectionComponents, chunk.components),
+            metalsmith.directory(),
+            chunkOptions,
+            cache
+          );
+          chunkPaths.set(chunk.name, emitBundle(files, chunkOptions, assets, emitted));
+          debug('Bundled chunk %s for %d page(s): %O', chunk.name, chunk.pages.length, [...chunk.components]);
+        }
+
+        // Layouts link these in order: shared bundle first, then the page chunk
+        plan.pageChunks.forEach((chunkName, page) => {
+          const chunk = chunkName ? chunkPaths.get(chunkName) : {};
+          const bundledAssets = {
+            css: [sharedPaths.css, chunk.css].filter(Boolean),
+            js: [sharedPaths.js, chunk.js].filter(Boolean)
+          };
+          if (options.legacy.enabled) {
+            bundledAssets.jsLegacy = [sharedPaths.jsLegacy, chunk.jsLegacy].filter(Boolean);
+          }
+          if (options.integrity.enabled) {
+            bundledAssets.integrity = Object.fromEntries(
+              [...bundledAssets.css, ...bundledAssets.js, ...(bundledAssets.jsLegacy || [])].map((assetPath) => [
+                assetPath,
+                emitted.integrity[assetPath]
+              ])
+            );
+          }
+          files[page].bundledAssets = bundledAssets;
+        });
+      } else {
+        /*
+         * Bundle components and main entries using esbuild with plugins
+         * Process in order: main entries → base components → section components
+         */
+        debug('Starting bundling process...');
+        const bundledAssets = await bundleWithESBuild(
+          baseComponents,
+          sectionComponents,
+          metalsmith.directory(),
+          options,
+          cache
+        );
+        debug('Bundled assets completed: %O', {
+          hasCss: !!bundledAssets.css,
+          hasJs: !!bundledAssets.js
+        });
+
+        // Add bundled CSS and JS (main + components) to Metalsmith files object
+        siteBundles = emitBundle(files, options, bundledAssets, emitted);
+      }
+
+      /*
+       * Critical CSS: per page, the main CSS entry plus the styles of the
+       * first sections, recorded on the page for injectBundles to inline
+       */
+      if (options.critical.enabled) {
+        const groups = planCriticalStyles(files, componentMap, options.critical);
+        for (const group of groups.values()) {
+          // Styles only; scripts load with the full bundle as usual
+          const withoutScripts = (components) =>
+            filterNeededComponents(components, group.components).map((component) => ({ ...component, scripts: [] }));
+          const assets = await bundleWithESBuild(
+            withoutScripts(allBaseComponents),
+            withoutScripts(allSectionComponents),
+            metalsmith.directory(),
+            criticalBuildOptions(options, group.name),
+            cache
+          );
+          group.pages.forEach((page) => {
+            files[page].criticalCss = (assets.css || '').trim();
+          });
+          debug('Built critical CSS for %d page(s): %O', group.pages.length, [...group.components]);
+        }
+      }
+
+      if (cache) {
+        debug('Bundle cache: reused %O from memory, %O from disk', cache.hits.bundles, cache.hits.disk);
+      }
+
+      /*
+       * Bundle size report: which component, main entry or package the
+       * bytes of each bundle come from
+       */
+      const report = buildReport(emitted.reports);
+      if (options.analyze.enabled) {
+        // Which definition of each bundled component won, with several component roots
+        if (options.roots.length > 0) {
+          report.components = Object.fromEntries(
+            [...neededComponents]
+              .filter((name) => componentMap.has(name))
+              .map((name) => [name, componentResolution(componentMap.get(name), metalsmith.directory())])
+          );
+        }
+        emitAsset(files, options.analyze.report, `${JSON.stringify(report, null, 2)}\n`);
+        if (options.analyze.html) {
+          emitAsset(files, options.analyze.html, renderReportHtml(report));
+        }
+        debug('Emitted bundle report to %s: %O', options.analyze.report, report.summary);
+      }
+
+      /*
+       * Size budgets, from manifests and for the bundles as a whole
+       */
+      const budgetOffenders = checkBudgets(report, componentMap, options.budgets);
+      if (budgetOffenders.length > 0) {
+        console.error(formatBudgetReport(budgetOffenders, options.budgets.measure));
+
+        if (options.budgets.strict) {
+          throw new Error('Size budget check failed');
+        } else {
+          console.warn('\nSize budgets exceeded but continuing build (strict mode disabled)');
+        }
+      }
+
+      /*
+       * Precompressed variants next to each bundle, for hosts that serve
+       * main.css.br or main.css.gz when the browser accepts them
+       */
+      if (options.compress.enabled) {
+        const variants = [...new Set(emitted.bundles)].flatMap((dest) =>
+          compressVariants(dest, files[dest].contents, options.compress)
+        );
+        variants.forEach(({ dest, contents }) => {
+          emitAsset(files, dest, contents);
+        });
+        debug(
+          'Emitted compressed variants: %O',
+          variants.map((variant) => variant.dest)
+        );
+      }
+
+      /*
+       * Where the site-wide bundles were written, for layouts and for
+       * injectBundles, with their integrity so templates can write
+       * integrity="..." without re-reading the files
+       */
+      const siteMetadata = { ...siteBundles };
+      if (options.integrity.enabled) {
+        siteMetadata.integrity = {
+          css: emitted.integrity[siteBundles.css] || null,
+          js: emitted.integrity[siteBundles.js] || null
+        };
+        if (options.legacy.enabled) {
+          siteMetadata.integrity.jsLegacy = emitted.integrity[siteBundles.jsLegacy] || null;
+        }
+      }
+
+      /*
+       * What purgeBundles needs once pages are rendered: the bundles to
+       * purge and scan, the safelists, and how the bundles were finished so
+       * a purged bundle can be finished the same way
+       */
+      if (options.purge.enabled) {
+        siteMetadata.purge = {
+          styles: emitted.bundles.filter((dest) => dest.endsWith('.css')),
+          scripts: emitted.bundles.filter((dest) => !dest.endsWith('.css')),
+          safelist: options.purge.safelist,
+          safelists: Object.fromEntries(
+            allComponents
+              .filter((component) => component.safelist)
+              .map((component) => [component.name, component.safelist])
+          ),
+          hashing: options.hashing.enabled ? options.hashing : null,
+          integrity: options.integrity.enabled ? options.integrity.algorithm : null,
+          compress: options.compress.enabled ? options.compress : null
         };
+      }
+      metalsmith.metadata({ bundledComponents: siteMetadata });
 
-        debug(`Added bundled JS to ${options.jsDest}`);
+      /*
+       * Publish the asset manifest when hashing. Layouts can't know hashed
+       * names in advance, so they look them up: {{ assets['main.css'] }}.
+       */
+      if (options.hashing.enabled) {
+        const manifest = { ...emitted.manifest };
+        if (options.integrity.enabled) {
+          manifest.integrity = Object.fromEntries(
+            Object.entries(emitted.manifest)
+              .filter(([, outputPath]) => emitted.integrity[outputPath])
+              .map(([name, outputPath]) => [name, emitted.integrity[outputPath]])
+          );
+        }
+        emitAsset(files, options.hashing.manifest, `${JSON.stringify(manifest, null, 2)}\n`);
+        metalsmith.metadata({ assets: manifest });
+        debug('Emitted asset manifest to %s: %O', options.hashing.manifest, manifest);
       }
     }
 
@@ -290,4 +704,5 @@ This likely indicates a configuration error. Please verify:
   return plugin;
 }
 
+export { injectBundles, purgeBundles };
 export default bundledComponents;
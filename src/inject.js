@@ -0,0 +1,121 @@
+import {
+  asyncStylesheetTag,
+  criticalStyleTag,
+  insertBefore,
+  referencesAsset,
+  scriptTag,
+  stylesheetTag
+} from './utils/html-injection.js';
+import { integrityHash } from './utils/integrity.js';
+import { normalizeInjectOptions } from './utils/options.js';
+
+/**
+ * @typedef {import('./utils/options.js').InjectOptions} InjectOptions
+ */
+
+/**
+ * A Metalsmith plugin that adds the bundle tags to rendered HTML pages.
+ *
+ * Runs after layouts, once pages are full documents: stylesheet `<link>`s go
+ * before `</head>`, `<script>`s before `</body>`. A page gets the bundles
+ * recorded on it as `bundledAssets` in per-page mode, and otherwise the
+ * site-wide bundles `bundledComponents` published on the global metadata.
+ * With differential bundles, modern scripts load as `type="module"` and the
+ * legacy ones as `nomodule`, so each browser runs exactly one of them.
+ * A page with critical CSS (`criticalCss`, from the `critical` option) gets
+ * it inlined in a `<style>` ahead of the stylesheets, which then load
+ * without blocking rendering.
+ * Tags the page already has are not added again, so layouts can keep a
+ * hand-written tag where they need one.
+ *
+ * Integrity hashes are computed from the bundles in the files object at the
+ * time this plugin runs, so plugins that post-process a bundle in between
+ * are accounted for.
+ *
+ * @param {InjectOptions} [options] - Plugin options
+ * @returns {import('metalsmith').Plugin} - Metalsmith plugin function
+ *
+ * @example
+ * metalsmith
+ *   .use(bundledComponents())
+ *   .use(layouts())
+ *   .use(injectBundles({ integrity: true }))
+ */
+function injectBundles(options = {}) {
+  options = normalizeInjectOptions(options);
+
+  /**
+   * @param {Object} files - Metalsmith files object
+   * @param {import('metalsmith').Metalsmith} metalsmith - Metalsmith instance
+   * @param {Function} done - Callback function for async completion
+   */
+  function plugin(files, metalsmith, done) {
+    const debug = metalsmith.debug('metalsmith-bundled-components:inject');
+    const siteBundles = metalsmith.metadata().bundledComponents || {};
+
+    // Integrity of each bundle, computed once however many pages load it
+    const integrityCache = new Map();
+    const integrityOf = (assetPath) => {
+      if (!options.integrity || !files[assetPath]) {
+        return null;
+      }
+      if (!integrityCache.has(assetPath)) {
+        integrityCache.set(assetPath, integrityHash(files[assetPath].contents, options.algorithm));
+      }
+      return integrityCache.get(assetPath);
+    };
+
+    Object.keys(files)
+      .filter((fileName) => fileName.endsWith('.html') || fileName.endsWith('.htm'))
+      .forEach((fileName) => {
+        const file = files[fileName];
+        const bundles = file.bundledAssets || {
+          css: [siteBundles.css].filter(Boolean),
+          js: [siteBundles.js].filter(Boolean),
+          jsLegacy: [siteBundles.jsLegacy].filter(Boolean)
+        };
+        const legacyScripts = bundles.jsLegacy || [];
+        const modernOptions = legacyScripts.length > 0 ? { ...options, module: true } : options;
+
+        const html = file.contents.toString('utf8');
+        const missing = (assetPath) => !referencesAsset(html, assetPath, options.publicPath);
+
+        const critical = file.criticalCss && !/<style[^>]*\sdata-critical[\s>=]/i.test(html);
+        const styles = [
+          ...(critical ? [criticalStyleTag(file.criticalCss, options)] : []),
+          ...bundles.css
+            .filter(missing)
+            .map((assetPath) =>
+              (critical ? asyncStylesheetTag : stylesheetTag)(assetPath, integrityOf(assetPath), options)
+            )
+        ];
+        const scripts = [
+          ...bundles.js.filter(missing).map((assetPath) => scriptTag(assetPath, integrityOf(assetPath), modernOptions)),
+          ...legacyScripts
+            .filter(missing)
+            .map((assetPath) =>
+              scriptTag(assetPath, integrityOf(assetPath), { ...options, module: false, nomodule: true })
+            )
+        ];
+
+        if (styles.length === 0 && scripts.length === 0) {
+          return;
+        }
+
+        const injected = insertBefore(insertBefore(html, '</head>', styles), '</body>', scripts);
+        if (injected !== html) {
+          file.contents = Buffer.from(injected, 'utf8');
+          debug('Injected %d tag(s) into %s', styles.length + scripts.length, fileName);
+        }
+      });
+
+    done();
+  }
+
+  // Set function name for better debugging
+  Object.defineProperty(plugin, 'name', { value: 'injectBundles' });
+
+  return plugin;
+}
+
+export { injectBundles };
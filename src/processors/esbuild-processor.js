@@ -1,68 +1,197 @@
 import fs from 'node:fs';
-import os from 'node:os';
 import path from 'node:path';
-import { build } from 'esbuild';
 import postcssPlugin from 'esbuild-plugin-postcss';
-import { collectOverrides, layerOrderStatement, sublayerOrderStatement, wrapInLayer } from '../utils/css-layers.js';
+import { cachedBuild } from '../utils/build-cache.js';
+import { analyzeOutput } from '../utils/bundle-report.js';
+import { cssAssetsPlugin } from '../utils/css-assets.js';
+import {
+  collectOverrides,
+  layerOrderStatement,
+  sublayerOrderStatement,
+  wrapInLayer,
+  wrapInLayerWithSourceMap
+} from '../utils/css-layers.js';
+import { markerImport, purgeMarkerPlugin } from '../utils/css-purge.js';
 import { sortByDependencyOrder } from '../utils/dependency-resolver.js';
+import { importResolverPlugin } from '../utils/import-resolver.js';
+import { lazyLoaderEntry } from '../utils/lazy-loader.js';
+import { legacyPath } from '../utils/legacy-bundle.js';
+import { compileSass, isSassFile } from '../utils/sass-compiler.js';
+import { hasBudgets } from '../utils/size-budgets.js';
+import { inlineSourceMapComment, relativizeSourceMap } from '../utils/source-maps.js';
+
+// Name of the generated CSS entry; unminified, esbuild heads its (empty) part of the bundle with it
+const CSS_ENTRY_NAME = 'bundled-components.css';
+const CSS_ENTRY_COMMENT = /\n*\/\* bundled-components\.css \*\/\n(?=(?:\/\*# sourceMappingURL=.*\*\/\n?)?$)/;
 
 /**
  * @typedef {Object} BundledAssets
  * @property {string|null} css - Bundled CSS content or null if no CSS
  * @property {string|null} js - Bundled JavaScript content or null if no JS
+ * @property {string|null} cssMap - External CSS source map JSON, or null
+ * @property {string|null} jsMap - External JavaScript source map JSON, or null
+ * @property {string|null} jsLegacy - Legacy (nomodule) JavaScript bundle, or null when differential bundles are off
+ * @property {string|null} jsLegacyMap - External source map JSON of the legacy bundle, or null
+ * @property {Array<{dest: string, contents: string, map: string|null}>} jsChunks - Lazily loaded script chunks (esm mode)
+ * @property {import('../utils/css-assets.js').CssAsset[]} cssAssets - Files referenced with url() to copy next to the bundle
+ * @property {import('../utils/bundle-report.js').BundleReport[]} reports - Size breakdown of every output file, when analyzing
+ */
+
+/**
+ * esbuild plugin that turns each stylesheet into the CSS that gets bundled.
+ *
+ * .scss files are compiled first, then component and override stylesheets
+ * are wrapped in their cascade layer. Files are still loaded from their real
+ * location, so their own @imports resolve relative to them; only the text
+ * esbuild sees is rewritten. Plain .css files absent from the layer map (the
+ * main entry, anything it imports) load unchanged.
+ *
+ * @param {Map<string, string>} layerByFile - Layer name per absolute file path
+ * @param {Map<string, string>} cssFileOwner - Component name per absolute file path
+ * @param {string} projectRoot - Project root directory
+ * @param {boolean} withSourceMaps - Carry an inline map so source maps survive the rewriting
+ * @param {Set<string>} dependencies - Filled with the partials each Sass compile reads
+ * @returns {import('esbuild').Plugin} esbuild plugin
  */
+function stylesheetPlugin(layerByFile, cssFileOwner, projectRoot, withSourceMaps, dependencies) {
+  return {
+    name: 'bundled-components-stylesheets',
+    setup(build) {
+      build.onLoad({ filter: /\.(css|scss)$/ }, async (args) => {
+        const layerName = layerByFile.get(args.path);
+        if (!layerName && !isSassFile(args.path)) {
+          return undefined;
+        }
+
+        let css;
+        let map = null;
+        if (isSassFile(args.path)) {
+          let loadedFiles;
+          ({ css, map, loadedFiles } = await compileSass(args.path, {
+            componentName: cssFileOwner.get(args.path) || null,
+            projectRoot,
+            sourceMap: withSourceMaps
+          }));
+          for (const file of loadedFiles) {
+            dependencies.add(file);
+          }
+        } else {
+          css = fs.readFileSync(args.path, 'utf8');
+        }
+
+        if (!layerName) {
+          return { contents: map ? `${css}\n${inlineSourceMapComment(map, 'css')}\n` : css, loader: 'css' };
+        }
+        return {
+          contents: withSourceMaps
+            ? wrapInLayerWithSourceMap(layerName, css, args.path, map || undefined)
+            : wrapInLayer(layerName, css),
+          loader: 'css'
+        };
+      });
+    }
+  };
+}
+
+/**
+ * Drop the comment naming the generated CSS entry from an esbuild result
+ *
+ * The comment comes last, after everything the source map covers, so
+ * removing it leaves the map valid. The bundle report then measures the
+ * bundle as it is emitted.
+ *
+ * @param {import('esbuild').BuildResult} result - esbuild build result
+ * @param {string} outfile - Absolute path the bundle was built for
+ * @returns {import('esbuild').BuildResult} Result with the comment removed from the bundle
+ */
+function withoutEntryComment(result, outfile) {
+  return {
+    ...result,
+    outputFiles: (result.outputFiles || []).map((file) => {
+      if (file.path !== outfile || !CSS_ENTRY_COMMENT.test(file.text)) {
+        return file;
+      }
+      const text = file.text.replace(CSS_ENTRY_COMMENT, '\n');
+      return { path: file.path, text, contents: Buffer.from(text), hash: file.hash };
+    })
+  };
+}
+
+/**
+ * Pull the bundle and its source map out of an esbuild result.
+ *
+ * Maps are always built as separate files so their sources can be rewritten relative
+ * to the project root; `inline` mode then embeds the rewritten map in place
+ * of esbuild's `sourceMappingURL` comment. In `external` mode esbuild's
+ * comment already names `<bundle>.map`, which is where the caller emits it.
+ *
+ * @param {import('esbuild').BuildResult} result - esbuild build result
+ * @param {string} outfile - Absolute path the bundle was built for
+ * @param {string} projectRoot - Project root directory
+ * @param {'inline'|'external'|false} sourcemap - Source map mode
+ * @param {'css'|'js'} type - Bundle type
+ * @returns {{content: string|null, map: string|null}} Bundle text and external map JSON
+ */
+function extractOutput(result, outfile, projectRoot, sourcemap, type) {
+  const outputFiles = result.outputFiles || [];
+  const bundle = outputFiles.find((file) => file.path === outfile);
+  const mapFile = outputFiles.find((file) => file.path === `${outfile}.map`);
+
+  if (!bundle) {
+    return { content: null, map: null };
+  }
+  if (!sourcemap || !mapFile) {
+    return { content: bundle.text, map: null };
+  }
+
+  const map = relativizeSourceMap(mapFile.text, outfile, projectRoot);
+  if (sourcemap === 'inline') {
+    const content = bundle.text.replace(/\n?(\/\*# sourceMappingURL=.*\*\/|\/\/# sourceMappingURL=.*)\s*$/, '');
+    return { content: `${content}\n${inlineSourceMapComment(map, type)}\n`, map: null };
+  }
+  return { content: bundle.text, map: JSON.stringify(map) };
+}
 
 /**
  * Bundle main entries and components using esbuild with plugins for modern, optimized output
  * - Uses esbuild.build() for full plugin ecosystem support
+ * - Compiles .scss component and main stylesheets with Sass
  * - Integrates PostCSS via esbuild-plugin-postcss
+ * - Resolves imports relative to each file, through aliases, and from node_modules
+ * - Copies or inlines images and fonts referenced with url() from CSS
+ * - In esm mode, splits section scripts into chunks loaded when their section comes into view
+ * - Optionally builds a second, legacy JS bundle for browsers without module support
  * - Merges main entries with component assets into single output files
  * - Processing order: Main entries → Base components → Section components
  * - Supports tree shaking, minification (via minifyOutput flag), and modern JS output
+ * - Emits source maps (via sourcemap option) whose sources are the files on disk
+ * - With a build cache, reuses unchanged bundles and rebuilds changed ones incrementally
+ * - Optionally reports the bytes each component, main entry and package adds to each output file
+ * - Optionally marks where each file's CSS starts, for purging unused rules once pages are rendered
  *
  * @param {Array} baseComponents - Base/partial components
  * @param {Array} sectionComponents - Section components
  * @param {string} projectRoot - Project root directory for resolving paths
  * @param {Object} options - Plugin options including minifyOutput, PostCSS config, etc.
+ * @param {import('../utils/build-cache.js').BuildCache|null} [cache] - Build cache kept across runs, or null
  * @returns {Promise<BundledAssets>} Promise resolving to merged main + component assets
  */
-async function bundleWithESBuild(baseComponents, sectionComponents, projectRoot, options) {
+async function bundleWithESBuild(baseComponents, sectionComponents, projectRoot, options, cache = null) {
   // Use Sets to automatically deduplicate shared CSS/JS files across components
   // Multiple components can reference same utility files (e.g., shared/button.css)
   const cssEntryPoints = new Set();
   const jsEntryPoints = new Set();
 
+  // Section scripts split into lazily imported chunks, per section name (esm mode only)
+  const lazyLoading = options.format === 'esm';
+  const lazySections = new Map();
+
   // Which component each CSS file came from, so its rules can be wrapped in a
   // named sublayer. The main entry is absent from this map: it is hand-authored
   // CSS and is never auto-wrapped.
   const cssFileOwner = new Map();
-
-  // Track temp files for cleanup at the end
-  const tempFiles = [];
-
-  // Create temp directory for bundling operations
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metalsmith-bundled-'));
-
-  // Remove all temp files/directories created during bundling. Called on both
-  // success and failure so a bundling error never leaks temp files.
-  const cleanup = () => {
-    tempFiles.forEach((tempPath) => {
-      try {
-        if (fs.existsSync(tempPath)) {
-          const stats = fs.statSync(tempPath);
-          if (stats.isDirectory()) {
-            // Remove directory and its contents
-            fs.rmSync(tempPath, { recursive: true, force: true });
-          } else {
-            // Remove file
-            fs.unlinkSync(tempPath);
-          }
-        }
-      } catch {
-        // Silently ignore cleanup errors - they're not critical
-      }
-    });
-  };
+  // Which component each script came from, for the bundle report
+  const scriptOwner = new Map();
 
   // Add main entries first (if specified)
   // If no main entries are specified, will bundle components only
@@ -87,7 +216,7 @@ async function bundleWithESBuild(baseComponents, sectionComponents, projectRoot,
   allComponents.forEach((component) => {
     // Add CSS files (Set automatically deduplicates shared dependencies)
     component.styles.forEach((styleFile) => {
-      const filePath = path.join(component.path, styleFile);
+      const filePath = path.resolve(component.path, styleFile);
       if (fs.existsSync(filePath)) {
         cssEntryPoints.add(filePath);
         if (!cssFileOwner.has(filePath)) {
@@ -97,16 +226,49 @@ async function bundleWithESBuild(baseComponents, sectionComponents, projectRoot,
     });
 
     // Add JS files (Set automatically deduplicates shared dependencies)
+    // In esm mode section scripts are loaded lazily instead, see below
     component.scripts.forEach((scriptFile) => {
-      const filePath = path.join(component.path, scriptFile);
-      if (fs.existsSync(filePath)) {
+      const filePath = path.resolve(component.path, scriptFile);
+      if (!fs.existsSync(filePath)) {
+        return;
+      }
+      if (!scriptOwner.has(filePath)) {
+        scriptOwner.set(filePath, component.name);
+      }
+      if (lazyLoading && sectionComponents.includes(component)) {
+        if (!lazySections.has(component.name)) {
+          lazySections.set(component.name, []);
+        }
+        lazySections.get(component.name).push(filePath);
+      } else {
         jsEntryPoints.add(filePath);
       }
     });
   });
 
+  /*
+   * What the bundle report needs to tell components, main entries and
+   * packages apart in esbuild's metafile. Size budgets are checked against
+   * the report, so it is made whenever one applies.
+   */
+  const attribution =
+    options.analyze?.enabled || hasBudgets(allComponents, options.budgets)
+      ? {
+          owners: new Map([...scriptOwner, ...cssFileOwner]),
+          componentDirs: new Map(allComponents.map((component) => [path.resolve(component.path), component.name])),
+          mainEntries: new Map(
+            [options.mainCSSEntry, options.mainJSEntry]
+              .filter(Boolean)
+              .map((entry) => [path.resolve(projectRoot, entry), entry])
+          )
+        }
+      : null;
+  const reports = [];
+
   // Configure esbuild plugins for enhanced CSS/JS processing
-  const plugins = [];
+  // Imports resolve relative to each file on disk; the resolver adds aliases
+  // and node_modules packages for CSS
+  const plugins = [importResolverPlugin({ aliases: options.resolve?.aliases || {}, projectRoot })];
 
   // Add PostCSS plugin if configured
   if (options.postcss?.enabled) {
@@ -120,28 +282,22 @@ async function bundleWithESBuild(baseComponents, sectionComponents, projectRoot,
 
   // Bundle CSS if we have any CSS files
   let cssContent = null;
+  let cssMap = null;
+  let cssAssets = [];
   if (cssEntryPoints.size > 0) {
     try {
-      // Concatenate all CSS files (main + components) into one temp file
-      const cssContents = [];
-
-      for (const cssFile of cssEntryPoints) {
-        if (fs.existsSync(cssFile)) {
-          const content = fs.readFileSync(cssFile, 'utf8');
-          const owner = cssFileOwner.get(cssFile);
-
-          /*
-           * With layers on, a component's rules go into components.<name> so
-           * a site override in site.<name> beats them regardless of
-           * specificity. The main entry has no owner and is never wrapped:
-           * it is hand-authored CSS and stays as written.
-           */
-          if (options.layers?.enabled && owner) {
-            cssContents.push(wrapInLayer(`${options.layers.componentsLayer}.${owner}`, content));
-          } else {
-            cssContents.push(content);
-          }
-        }
+      /*
+       * Which layer each file's rules are wrapped in. With layers on, a
+       * component's rules go into components.<name> so a site override in
+       * site.<name> beats them regardless of specificity. The main entry has
+       * no owner and is never wrapped: it is hand-authored CSS and stays as
+       * written.
+       */
+      const layerByFile = new Map();
+      if (options.layers?.enabled) {
+        cssFileOwner.forEach((owner, file) => {
+          layerByFile.set(file, `${options.layers.componentsLayer}.${owner}`);
+        });
       }
 
       /*
@@ -161,179 +317,239 @@ async function bundleWithESBuild(baseComponents, sectionComponents, projectRoot,
        * site.<name> sublayer. They ship only for components this build
        * actually uses, the same rule canon CSS follows.
        */
+      const cssFiles = [...cssEntryPoints];
       let overrideNames = [];
       if (options.layers?.enabled) {
         const overrides = collectOverrides(orderedNames, projectRoot, options.layers);
         overrideNames = overrides.map((override) => override.name);
         for (const override of overrides) {
-          cssContents.push(wrapInLayer(`${options.layers.siteLayer}.${override.name}`, override.css));
+          cssFiles.push(override.file);
+          layerByFile.set(override.file, `${options.layers.siteLayer}.${override.name}`);
         }
       }
 
-      if (cssContents.length > 0) {
-        /*
-         * 1. Concatenate main CSS with all component CSS. The layer order
-         *    statements go first so precedence comes from configuration and
-         *    dependency order rather than from concatenation order.
-         */
-        const layerStatements = options.layers?.enabled
-          ? [
-              layerOrderStatement(options.layers.order),
-              sublayerOrderStatement(options.layers.componentsLayer, orderedNames),
-              sublayerOrderStatement(options.layers.siteLayer, overrideNames)
-            ]
-          : [];
-        const combinedCSS = [...layerStatements, ...cssContents].filter(Boolean).join('\n\n');
-
-        // 2. Copy concatenated CSS to temp directory as main.css
-        const tempMainCSS = path.join(tempDir, 'main.css');
-        fs.writeFileSync(tempMainCSS, combinedCSS);
-        tempFiles.push(tempMainCSS);
-
-        // 3. Copy @import files to temp directory (if main CSS entry exists)
-        if (options.mainCSSEntry && cssEntryPoints.size > 0) {
-          const mainCSSFile = Array.from(cssEntryPoints)[0]; // Convert Set to array to get first item
-          const mainCSSDir = path.dirname(mainCSSFile);
-
-          // Copy all CSS files from the same directory as main.css (for @import './file.css')
-          const assetsFiles = fs.readdirSync(mainCSSDir);
-          assetsFiles.forEach((file) => {
-            if (file.endsWith('.css') && file !== path.basename(mainCSSFile)) {
-              fs.copyFileSync(path.join(mainCSSDir, file), path.join(tempDir, file));
-              tempFiles.push(path.join(tempDir, file));
-            }
-          });
-
-          // Also copy styles directory if it exists (for @import './styles/file.css')
-          const stylesDir = path.join(mainCSSDir, 'styles');
-          if (fs.existsSync(stylesDir)) {
-            const tempStylesDir = path.join(tempDir, 'styles');
-            fs.mkdirSync(tempStylesDir, { recursive: true });
-
-            const styleFiles = fs.readdirSync(stylesDir);
-            styleFiles.forEach((file) => {
-              if (file.endsWith('.css')) {
-                fs.copyFileSync(path.join(stylesDir, file), path.join(tempStylesDir, file));
-                tempFiles.push(path.join(tempStylesDir, file));
-              }
-            });
-          }
+      /*
+       * The entry imports every file from where it lives on disk (main
+       * entry → base components → sections → overrides), so each file's own
+       * @imports resolve relative to it and source maps name the real file.
+       * The layer order statements go first so precedence comes from
+       * configuration and dependency order rather than from import order.
+       */
+      const layerStatements = options.layers?.enabled
+        ? [
+            layerOrderStatement(options.layers.order),
+            sublayerOrderStatement(options.layers.componentsLayer, orderedNames),
+            sublayerOrderStatement(options.layers.siteLayer, overrideNames)
+          ]
+        : [];
+      /*
+       * With purging on, a marker goes in front of each file so the purge
+       * can tell which component (or, for files without one, which file) a
+       * rule came from
+       */
+      const purging = options.purge?.enabled === true;
+      const importFile = (file, index) => {
+        const fileImport = `@import ${JSON.stringify(file)};`;
+        if (!purging) {
+          return fileImport;
         }
-
-        // 4. Process the concatenated CSS with esbuild to resolve @imports and apply minification
-        const result = await build({
-          entryPoints: [tempMainCSS],
-          bundle: true, // Enable bundling to resolve @import statements
-          write: false,
-          plugins,
-          loader: { '.css': 'css' },
-          minify: options.minifyOutput === true,
-          logLevel: 'silent',
-          absWorkingDir: tempDir // Use temp directory where files are copied
-        });
-
-        // 5. Extract processed CSS content (ready for output to build directory)
-        if (result.outputFiles && result.outputFiles.length > 0) {
-          cssContent = result.outputFiles[0].text;
+        const owner = cssFileOwner.get(file) || path.relative(projectRoot, file).split(path.sep).join('/');
+        return `${markerImport(owner, index)}\n${fileImport}`;
+      };
+      const entryContent = [...layerStatements, ...cssFiles.map(importFile)].filter(Boolean).join('\n');
+
+      const outfile = path.resolve(projectRoot, options.cssDest);
+      const signature = JSON.stringify([entryContent, [...layerByFile], [...cssFileOwner], !!attribution]);
+      const configure = (state) => ({
+        stdin: { contents: entryContent, resolveDir: projectRoot, sourcefile: CSS_ENTRY_NAME, loader: 'css' },
+        bundle: true, // Enable bundling to resolve @import statements
+        write: false,
+        outfile,
+        plugins: [
+          ...(purging ? [purgeMarkerPlugin()] : []),
+          stylesheetPlugin(layerByFile, cssFileOwner, projectRoot, !!options.sourcemap, state.dependencies),
+          cssAssetsPlugin(
+            {
+              projectRoot,
+              cssDest: options.cssDest,
+              assetsDest: options.assetsDest,
+              hashLength: options.assets?.hash ? options.hashing?.length || 8 : false,
+              inlineLimit: options.assets?.inlineLimit || 0,
+              aliases: options.resolve?.aliases || {},
+              publicPath: options.assets?.publicPath ?? null
+            },
+            state.assets
+          ),
+          ...plugins
+        ],
+        loader: { '.css': 'css', '.scss': 'css' },
+        minify: options.minifyOutput === true,
+        // Markers are legal comments, kept where they are instead of moved to the end
+        ...(purging ? { legalComments: 'inline' } : {}),
+        sourcemap: options.sourcemap ? 'linked' : false,
+        metafile: !!attribution,
+        logLevel: 'silent',
+        absWorkingDir: projectRoot
+      });
+
+      const css = await cachedBuild(
+        cache,
+        { key: `css:${options.cssDest}`, signature, projectRoot },
+        configure,
+        (built, state) => {
+          const result = withoutEntryComment(built, outfile);
+          return {
+            ...extractOutput(result, outfile, projectRoot, options.sourcemap, 'css'),
+            assets: [...state.assets.values()],
+            reports: attribution ? [analyzeOutput(result, outfile, 'css', projectRoot, attribution)] : []
+          };
         }
-
-        // 6. Temp directory cleanup happens at the end of the function
-      }
+      );
+      ({ content: cssContent, map: cssMap, assets: cssAssets } = css);
+      reports.push(...css.reports);
     } catch (error) {
       // A genuine bundling failure must fail the build, not silently emit no CSS.
-      cleanup();
       throw new Error(`CSS bundling failed: ${error.message}`, { cause: error });
     }
   }
 
   // Bundle JS if we have any JS files
   let jsContent = null;
-  if (jsEntryPoints.size > 0) {
-    try {
-      // Create a temporary entry file in system temp directory
-      // tempDir already created above
-      const tempJSEntry = path.join(tempDir, 'entry.js');
-      tempFiles.push(tempDir); // Track temp directory for cleanup
+  let jsMap = null;
+  let jsLegacy = null;
+  let jsLegacyMap = null;
+  let jsChunks = [];
+  if (jsEntryPoints.size > 0 || lazySections.size > 0) {
+    // Settings shared by the modern and the legacy build
+    const scriptBuild = {
+      bundle: true,
+      write: false,
+      plugins,
+      minify: options.minifyOutput === true,
+      sourcemap: options.sourcemap ? 'linked' : false,
+      metafile: !!attribution,
+      treeShaking: true,
+      logLevel: 'silent',
+      absWorkingDir: projectRoot // Set working directory for better path resolution
+    };
 
-      const jsEntryArray = Array.from(jsEntryPoints).filter((file) => fs.existsSync(file));
+    try {
+      // The entry imports the main entry first, then each component script.
+      // ES modules are already isolated, so importing them is all it takes.
+      // In esm mode section scripts are imported on demand by the loader.
+      const entryContent = lazyLoading
+        ? lazyLoaderEntry([...jsEntryPoints], lazySections, options.chunks.rootMargin)
+        : [...jsEntryPoints].map((file) => `import ${JSON.stringify(file)};`).join('\n');
 
-      // Check if we have any valid JS files
-      if (jsEntryArray.length === 0) {
-        jsContent = null;
-      } else {
-        // Separate main entry from component files
-        let mainEntryFile = null;
-        const componentFiles = [];
-
-        jsEntryArray.forEach((file, index) => {
-          const isMainEntry =
-            index === 0 && options.mainJSEntry && path.resolve(projectRoot, options.mainJSEntry) === file;
-
-          if (isMainEntry) {
-            mainEntryFile = file;
-          } else {
-            componentFiles.push(file);
+      /*
+       * Code splitting writes several files, so esm output is laid out from
+       * the project root: the entry at jsDest, chunks under chunks.dest with
+       * their content hash in the name. Imports between them are relative,
+       * so the layout survives the entry being renamed by hashing.
+       */
+      const outfile = path.resolve(projectRoot, options.jsDest);
+      const extension = path.extname(options.jsDest);
+      const output = lazyLoading
+        ? {
+            outdir: projectRoot,
+            entryNames: options.jsDest.slice(0, options.jsDest.length - extension.length),
+            chunkNames: `${options.chunks.dest}/[name]-[hash]`,
+            outExtension: { '.js': extension || '.js' },
+            splitting: true,
+            format: 'esm'
           }
-        });
-
-        // Create entry file content
-        let entryContent = '';
-
-        // Import main entry if it exists
-        if (mainEntryFile) {
-          entryContent += `// Main entry: ${path.relative(projectRoot, mainEntryFile)}\n`;
-          entryContent += `import '${mainEntryFile}';\n\n`;
-        }
-
-        // For component files, we need to maintain isolation
-        // Since ES modules are already isolated, we just import them
-        componentFiles.forEach((file, index) => {
-          entryContent += `// Component ${index}: ${path.relative(projectRoot, file)}\n`;
-          entryContent += `import '${file}';\n`;
-        });
-
-        // Write the entry file with import statements
-        fs.writeFileSync(tempJSEntry, entryContent);
-        tempFiles.push(tempJSEntry); // Track for cleanup later
-
-        // Verify file was created
-        if (!fs.existsSync(tempJSEntry)) {
-          throw new Error(`Failed to create temp JS file at ${tempJSEntry}`);
+        : { outfile, format: 'iife' };
+
+      const configure = () => ({
+        stdin: { contents: entryContent, resolveDir: projectRoot, sourcefile: 'bundled-components.js', loader: 'js' },
+        ...scriptBuild,
+        ...output,
+        target: options.target || 'es2020'
+      });
+
+      const js = await cachedBuild(
+        cache,
+        { key: `js:${options.jsDest}`, signature: JSON.stringify([entryContent, !!attribution]), projectRoot },
+        configure,
+        (result) => {
+          // Every other script esbuild wrote is a chunk
+          const chunkFiles = result.outputFiles.filter((file) => file.path !== outfile && !file.path.endsWith('.map'));
+          return {
+            ...extractOutput(result, outfile, projectRoot, options.sourcemap, 'js'),
+            chunks: chunkFiles.map((file) => {
+              const { content, map } = extractOutput(result, file.path, projectRoot, options.sourcemap, 'js');
+              return { dest: path.relative(projectRoot, file.path).split(path.sep).join('/'), contents: content, map };
+            }),
+            reports: attribution
+              ? [
+                  analyzeOutput(result, outfile, 'js', projectRoot, attribution),
+                  ...chunkFiles.map((file) => analyzeOutput(result, file.path, 'jsChunk', projectRoot, attribution))
+                ]
+              : []
+          };
         }
+      );
+      ({ content: jsContent, map: jsMap, chunks: jsChunks } = js);
+      reports.push(...js.reports);
+    } catch (error) {
+      // A genuine bundling failure must fail the build, not silently emit no JS.
+      throw new Error(`JS bundling failed: ${error.message}`, { cause: error });
+    }
 
-        const result = await build({
-          entryPoints: [tempJSEntry],
-          bundle: true,
-          write: false,
-          plugins,
+    /*
+     * The legacy bundle is for browsers that skip `type="module"` scripts and
+     * run `nomodule` ones instead. They can't load chunks either, so every
+     * script, lazy sections included, goes into one classic script.
+     */
+    if (options.legacy?.enabled) {
+      try {
+        const allScripts = [...jsEntryPoints, ...[...lazySections.values()].flat()];
+        const legacyEntry = allScripts.map((file) => `import ${JSON.stringify(file)};`).join('\n');
+        const outfile = path.resolve(projectRoot, legacyPath(options.jsDest));
+        const configure = () => ({
+          stdin: {
+            contents: legacyEntry,
+            resolveDir: projectRoot,
+            sourcefile: 'bundled-components.legacy.js',
+            loader: 'js'
+          },
+          ...scriptBuild,
+          outfile,
           format: 'iife',
-          minify: options.minifyOutput === true,
-          target: options.target || 'es2020',
-          treeShaking: true,
-          logLevel: 'silent',
-          absWorkingDir: projectRoot // Set working directory for better path resolution
+          target: options.legacy.target
         });
 
-        // Extract JS from the result
-        if (result.outputFiles && result.outputFiles.length > 0) {
-          jsContent = result.outputFiles[0].text;
-        }
-
-        // Don't clean up here - will clean up all temp files at the end
+        const legacy = await cachedBuild(
+          cache,
+          {
+            key: `js:${legacyPath(options.jsDest)}`,
+            signature: JSON.stringify([legacyEntry, !!attribution]),
+            projectRoot
+          },
+          configure,
+          (result) => ({
+            ...extractOutput(result, outfile, projectRoot, options.sourcemap, 'js'),
+            reports: attribution ? [analyzeOutput(result, outfile, 'jsLegacy', projectRoot, attribution)] : []
+          })
+        );
+        ({ content: jsLegacy, map: jsLegacyMap } = legacy);
+        reports.push(...legacy.reports);
+      } catch (error) {
+        throw new Error(`Legacy JS bundling failed: ${error.message}`, { cause: error });
       }
-    } catch (error) {
-      // A genuine bundling failure must fail the build, not silently emit no JS.
-      cleanup();
-      throw new Error(`JS bundling failed: ${error.message}`, { cause: error });
     }
   }
 
-  // Clean up all temp files and directories at the end
-  cleanup();
-
   return {
     css: cssContent,
-    js: jsContent
+    js: jsContent,
+    cssMap,
+    jsMap,
+    jsLegacy,
+    jsLegacyMap,
+    jsChunks,
+    cssAssets,
+    reports: reports.filter(Boolean)
   };
 }
 
@@ -0,0 +1,252 @@
+import path from 'node:path';
+import { contentHash, hashedPath, relinkSourceMap } from './utils/asset-hashing.js';
+import { compressVariants } from './utils/compression.js';
+import { collectUsedNames, purgeStylesheet } from './utils/css-purge.js';
+import { integrityHash } from './utils/integrity.js';
+import { normalizePurgeOptions } from './utils/options.js';
+
+/**
+ * @typedef {import('./utils/options.js').PurgeBundlesOptions} PurgeBundlesOptions
+ */
+
+/**
+ * Replace renamed paths in metadata, in place: string values in objects and
+ * arrays, and object keys (integrity maps are keyed by path)
+ *
+ * @param {Object|Array} value - Metadata object or array
+ * @param {Map<string, string>} renames - New path per old path
+ */
+function renamePaths(value, renames) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      if (typeof item === 'string' && renames.has(item)) {
+        value[index] = renames.get(item);
+      } else if (item && typeof item === 'object') {
+        renamePaths(item, renames);
+      }
+    });
+    return;
+  }
+  Object.keys(value).forEach((key) => {
+    const item = value[key];
+    const renamedKey = renames.get(key) || key;
+    if (renamedKey !== key) {
+      delete value[key];
+    }
+    if (typeof item === 'string' && renames.has(item)) {
+      value[renamedKey] = renames.get(item);
+    } else {
+      value[renamedKey] = item;
+      if (item && typeof item === 'object') {
+        renamePaths(item, renames);
+      }
+    }
+  });
+}
+
+/**
+ * A Metalsmith plugin that removes CSS rules no rendered page uses.
+ *
+ * Runs after layouts, once pages are full documents, and before
+ * injectBundles. It reads the class and id names of every `.html` page and
+ * every word of the bundled scripts, then drops the rules of the CSS bundles
+ * whose selectors all need a name none of them uses. Names in the
+ * `purge.safelist` option of bundledComponents, or in a component's
+ * manifest `safelist`, are always kept.
+ *
+ * A purged bundle is finished the way bundledComponents finished it: its
+ * source map is updated, a content-hashed bundle gets a new name (and pages,
+ * the asset manifest and the metadata follow), integrity hashes are
+ * recomputed and compressed variants are made again.
+ *
+ * Needs `bundledComponents({ purge: { enabled: true } })` earlier in the
+ * build, which marks where each component's CSS starts in the bundles.
+ *
+ * @param {PurgeBundlesOptions} [options] - Plugin options
+ * @returns {import('metalsmith').Plugin} - Metalsmith plugin function
+ *
+ * @example
+ * metalsmith
+ *   .use(bundledComponents({ purge: { enabled: true } }))
+ *   .use(layouts())
+ *   .use(purgeBundles())
+ *   .use(injectBundles())
+ */
+function purgeBundles(options = {}) {
+  options = normalizePurgeOptions(options);
+
+  /**
+   * @param {Object} files - Metalsmith files object
+   * @param {import('metalsmith').Metalsmith} metalsmith - Metalsmith instance
+   * @param {Function} done - Callback function for async completion
+   */
+  function plugin(files, metalsmith, done) {
+    const debug = metalsmith.debug('metalsmith-bundled-components:purge');
+    const metadata = metalsmith.metadata();
+    const plan = metadata.bundledComponents?.purge;
+
+    if (!plan) {
+      done(new Error('purgeBundles needs bundledComponents({ purge: { enabled: true } }) earlier in the build'));
+      return;
+    }
+
+    const pages = Object.keys(files)
+      .filter((fileName) => fileName.endsWith('.html') || fileName.endsWith('.htm'))
+      .map((fileName) => files[fileName].contents.toString('utf8'));
+    const scripts = plan.scripts
+      .filter((scriptPath) => files[scriptPath])
+      .map((scriptPath) => files[scriptPath].contents.toString('utf8'));
+    const used = collectUsedNames(pages, scripts);
+    debug('Found %d class and %d id names in %d page(s)', used.classes.size, used.ids.size, pages.length);
+
+    // The configured path of a hashed bundle, which its map comment and new name derive from
+    const manifestEntries = Object.entries(metadata.assets || {});
+    const unhashedPath = (outputPath) => {
+      const entry = plan.hashing && manifestEntries.find(([, value]) => value === outputPath);
+      return entry ? path.posix.join(path.posix.dirname(outputPath), entry[0]) : outputPath;
+    };
+
+    const renames = new Map();
+    const purged = new Set();
+    const report = { bundles: [], summary: {} };
+
+    try {
+      plan.styles
+        .filter((stylePath) => files[stylePath])
+        .forEach((stylePath) => {
+          const css = files[stylePath].contents.toString('utf8');
+          const dest = unhashedPath(stylePath);
+          const mapFile = files[`${stylePath}.map`];
+          let map = false;
+          if (mapFile) {
+            map = {
+              prev: mapFile.contents.toString('utf8'),
+              inline: false,
+              annotation: `${path.posix.basename(dest)}.map`
+            };
+          } else if (css.includes('sourceMappingURL=data:')) {
+            map = { inline: true };
+          }
+
+          const result = purgeStylesheet(css, {
+            used,
+            safelist: plan.safelist,
+            safelists: plan.safelists,
+            from: metalsmith.path(metalsmith.destination(), dest),
+            map
+          });
+
+          let outputPath = stylePath;
+          let contents = result.css;
+          if (plan.hashing) {
+            outputPath = hashedPath(dest, contentHash(contents, plan.hashing.length));
+            contents = mapFile ? relinkSourceMap(contents, dest, outputPath) : contents;
+          }
+
+          // Variants of the old contents are stale whether or not the name changed
+          delete files[`${stylePath}.gz`];
+          delete files[`${stylePath}.br`];
+          if (outputPath !== stylePath) {
+            files[outputPath] = files[stylePath];
+            delete files[stylePath];
+            delete files[`${stylePath}.map`];
+            renames.set(stylePath, outputPath);
+            renames.set(`${stylePath}.map`, `${outputPath}.map`);
+          }
+          files[outputPath].contents = Buffer.from(contents, 'utf8');
+          if (mapFile) {
+            files[`${outputPath}.map`] = { ...mapFile, contents: Buffer.from(result.map, 'utf8') };
+          }
+          if (plan.compress) {
+            compressVariants(outputPath, files[outputPath].contents, plan.compress).forEach((variant) => {
+              files[variant.dest] = { contents: variant.contents };
+            });
+          }
+          purged.add(outputPath);
+
+          report.bundles.push({
+            file: outputPath,
+            before: Buffer.byteLength(css),
+            after: files[outputPath].contents.length,
+            removed: result.removed
+          });
+          Object.entries(result.removed).forEach(([owner, bytes]) => {
+            report.summary[owner] = (report.summary[owner] || 0) + bytes;
+          });
+          debug('Purged %s: %d → %d bytes', outputPath, Buffer.byteLength(css), files[outputPath].contents.length);
+        });
+    } catch (error) {
+      done(error);
+      return;
+    }
+
+    /*
+     * Point everything that names a renamed bundle at its new name: pages
+     * (rendered with the old name), the metadata layouts and injectBundles
+     * read, and the asset manifest
+     */
+    if (renames.size > 0) {
+      Object.keys(files)
+        .filter((fileName) => fileName.endsWith('.html') || fileName.endsWith('.htm'))
+        .forEach((fileName) => {
+          let html = files[fileName].contents.toString('utf8');
+          renames.forEach((newPath, oldPath) => {
+            html = html.split(oldPath).join(newPath);
+          });
+          files[fileName].contents = Buffer.from(html, 'utf8');
+        });
+      Object.values(files).forEach((file) => {
+        if (file.bundledAssets) {
+          renamePaths(file.bundledAssets, renames);
+        }
+      });
+      renamePaths(metadata.bundledComponents, renames);
+      if (metadata.assets) {
+        renamePaths(metadata.assets, renames);
+      }
+      debug('Renamed purged bundles: %O', Object.fromEntries(renames));
+    }
+
+    // Integrity hashes of purged bundles, wherever the metadata keeps them
+    if (plan.integrity) {
+      const integrityOf = (assetPath) => integrityHash(files[assetPath].contents, plan.integrity);
+      const site = metadata.bundledComponents;
+      if (site.integrity && purged.has(site.css)) {
+        site.integrity.css = integrityOf(site.css);
+      }
+      if (metadata.assets?.integrity) {
+        Object.keys(metadata.assets.integrity)
+          .filter((name) => purged.has(metadata.assets[name]))
+          .forEach((name) => {
+            metadata.assets.integrity[name] = integrityOf(metadata.assets[name]);
+          });
+      }
+      Object.values(files).forEach((file) => {
+        const integrity = file.bundledAssets?.integrity;
+        Object.keys(integrity || {})
+          .filter((assetPath) => purged.has(assetPath))
+          .forEach((assetPath) => {
+            integrity[assetPath] = integrityOf(assetPath);
+          });
+      });
+    }
+
+    if (plan.hashing && files[plan.hashing.manifest] && (renames.size > 0 || plan.integrity)) {
+      files[plan.hashing.manifest].contents = Buffer.from(`${JSON.stringify(metadata.assets, null, 2)}\n`, 'utf8');
+    }
+
+    if (options.report) {
+      files[options.report] = { contents: Buffer.from(`${JSON.stringify(report, null, 2)}\n`, 'utf8') };
+    }
+    debug('Bytes removed per component: %O', report.summary);
+
+    done();
+  }
+
+  // Set function name for better debugging
+  Object.defineProperty(plugin, 'name', { value: 'purgeBundles' });
+
+  return plugin;
+}
+
+export { purgeBundles };
@@ -0,0 +1,71 @@
+/**
+ * Asset Hashing - Content-hashed output file names
+ *
+ * A bundle named after its contents can be served with a far-future cache
+ * header: when the contents change, so does the name, and pages pick up the
+ * new file. Layouts find the current name through the asset manifest, which
+ * maps each logical name (`main.css`) to the hashed output path
+ * (`assets/main.1a2b3c4d.css`).
+ */
+
+import crypto from 'node:crypto';
+import path from 'node:path';
+
+/**
+ * Hash file contents for use in a file name
+ *
+ * @param {string|Buffer} contents - File contents
+ * @param {number} length - Number of hex characters to keep
+ * @returns {string} Hex digest prefix
+ */
+function contentHash(contents, length) {
+  return crypto.createHash('sha256').update(contents).digest('hex').slice(0, length);
+}
+
+/**
+ * Insert a hash before a path's extension
+ *
+ * @param {string} dest - Output path, e.g. "assets/main.css"
+ * @param {string} hash - Hash to insert
+ * @returns {string} Hashed path, e.g. "assets/main.1a2b3c4d.css"
+ *
+ * @example
+ * hashedPath('assets/main.css', '1a2b3c4d') // → 'assets/main.1a2b3c4d.css'
+ */
+function hashedPath(dest, hash) {
+  const ext = path.posix.extname(dest);
+  return `${dest.slice(0, dest.length - ext.length)}.${hash}${ext}`;
+}
+
+/**
+ * The manifest key an output path is listed under
+ *
+ * Layouts ask for `assets['main.css']` without knowing the configured
+ * destination directory, so the key is the file name alone.
+ *
+ * @param {string} dest - Unhashed output path
+ * @returns {string} Logical name
+ */
+function logicalName(dest) {
+  return path.posix.basename(dest);
+}
+
+/**
+ * Point a bundle's linked source map comment at the renamed map file
+ *
+ * esbuild links `<name>.map`; once the bundle is renamed its map is renamed
+ * with it, and the comment has to follow.
+ *
+ * @param {string} contents - Bundle contents
+ * @param {string} dest - Unhashed output path
+ * @param {string} hashedDest - Hashed output path
+ * @returns {string} Bundle contents with the comment updated
+ */
+function relinkSourceMap(contents, dest, hashedDest) {
+  return contents.replace(
+    `sourceMappingURL=${path.posix.basename(dest)}.map`,
+    `sourceMappingURL=${path.posix.basename(hashedDest)}.map`
+  );
+}
+
+export { contentHash, hashedPath, logicalName, relinkSourceMap };
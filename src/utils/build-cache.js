@@ -0,0 +1,258 @@
+/**
+ * Build Cache - Reuses work across runs of the same plugin instance
+ *
+ * In watch mode Metalsmith runs the plugin again after every change, which
+ * usually touches one file. The cache keeps what earlier runs produced:
+ *
+ * - Components, per folder. A folder whose files all have the modification
+ *   time and size they had last run isn't read again.
+ * - Bundles, per output path. A bundle whose entry (the files it bundles,
+ *   which follows the set of used components) and input files are unchanged
+ *   is reused as it is.
+ * - esbuild contexts, per output path, while Metalsmith is watching. A bundle
+ *   that does need building again is rebuilt incrementally, with esbuild
+ *   re-reading only what changed.
+ *
+ * Input files are compared by modification time and size, never by content,
+ * so checking a bundle costs one stat per file.
+ *
+ * With a disk cache configured, bundles are also looked up in and written to
+ * the cache directory, which outlives the process (see disk-cache.js).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { build, context } from 'esbuild';
+import { readBundle, writeBundle } from './disk-cache.js';
+
+/**
+ * @typedef {Object} BuildCache
+ * @property {Map<string, {stamp: string, component: Object}>} components - Loaded components by folder
+ * @property {Map<string, {signature: string, inputs: Object<string, string|null>, output: *}>} bundles - Last output per bundle
+ * @property {Map<string, {signature: string, state: BuildState, context: import('esbuild').BuildContext}>} contexts - Live esbuild contexts per bundle
+ * @property {boolean} memory - Reuse components and bundles from earlier runs of this process
+ * @property {import('./disk-cache.js').DiskCache|null} disk - Bundles stored on disk between processes, or null
+ * @property {boolean} useContexts - Keep esbuild contexts between runs (watch mode)
+ * @property {{components: number, bundles: string[], disk: string[]}} hits - What the current run reused, from memory and from disk
+ */
+
+/**
+ * @typedef {Object} BuildState
+ * @property {Map<string, Object>} assets - url() assets collected while bundling, by source path
+ * @property {Set<string>} dependencies - Files read by plugins that esbuild doesn't list as inputs (Sass partials)
+ */
+
+/**
+ * Create an empty cache
+ *
+ * @param {Object} [settings] - Cache settings
+ * @param {boolean} [settings.memory=true] - Reuse work from earlier runs of this process
+ * @param {import('./disk-cache.js').DiskCache|null} [settings.disk=null] - Disk cache settings, or null
+ * @returns {BuildCache} Cache to keep for the lifetime of the plugin
+ */
+function createBuildCache({ memory = true, disk = null } = {}) {
+  return {
+    components: new Map(),
+    bundles: new Map(),
+    contexts: new Map(),
+    memory,
+    disk,
+    useContexts: false,
+    hits: { components: 0, bundles: [], disk: [] }
+  };
+}
+
+/**
+ * Create the state one build's plugins fill
+ *
+ * @returns {BuildState} Empty build state
+ */
+function createBuildState() {
+  return { assets: new Map(), dependencies: new Set() };
+}
+
+/**
+ * Prepare the cache for a run
+ *
+ * esbuild contexts keep the process alive, so they are only kept while
+ * Metalsmith is watching; a run outside watch mode disposes any left over.
+ * Without the in-memory cache there are no contexts at all.
+ *
+ * @param {BuildCache} cache - Build cache
+ * @param {boolean} watching - Whether Metalsmith is in watch mode
+ * @returns {Promise<void>}
+ */
+async function startRun(cache, watching) {
+  cache.hits = { components: 0, bundles: [], disk: [] };
+  cache.useContexts = cache.memory && watching;
+  if (!cache.useContexts) {
+    await disposeContexts(cache);
+  }
+}
+
+/**
+ * Dispose every live esbuild context
+ *
+ * @param {BuildCache} cache - Build cache
+ * @returns {Promise<void>}
+ */
+async function disposeContexts(cache) {
+  const slots = [...cache.contexts.values()];
+  cache.contexts.clear();
+  await Promise.all(slots.map((slot) => slot.context.dispose()));
+}
+
+/**
+ * Modification time and size of a file
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {string|null} Stamp, or null when the file doesn't exist
+ */
+function fileStamp(filePath) {
+  try {
+    const stats = fs.statSync(filePath);
+    return `${stats.mtimeMs}:${stats.size}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stamp of a component folder: the names and stamps of its entries
+ *
+ * Adding, removing or editing a file changes the stamp, which is all a
+ * component's manifest and auto-discovery depend on. Subfolders are stamped
+ * the same way, since manifest patterns can match files inside them.
+ *
+ * @param {string} dirPath - Absolute path of the folder
+ * @returns {string} Stamp
+ */
+function folderStamp(dirPath) {
+  return fs
+    .readdirSync(dirPath, { withFileTypes: true })
+    .sort((a, b) => (a.name < b.name ? -1 : 1))
+    .map((entry) => {
+      const entryPath = path.join(dirPath, entry.name);
+      return entry.isDirectory()
+        ? `${entry.name}/[${folderStamp(entryPath)}]`
+        : `${entry.name}@${fileStamp(entryPath)}`;
+    })
+    .join('|');
+}
+
+/**
+ * Stamp every file in a list
+ *
+ * @param {Iterable<string>} files - Absolute paths
+ * @returns {Object<string, string|null>} Stamp per path
+ */
+function stampFiles(files) {
+  return Object.fromEntries([...new Set(files)].map((file) => [file, fileStamp(file)]));
+}
+
+/**
+ * Whether every stamped file still has its stamp
+ *
+ * @param {Object<string, string|null>} stamps - Stamp per path
+ * @returns {boolean} True when nothing changed
+ */
+function unchanged(stamps) {
+  return Object.entries(stamps).every(([file, stamp]) => fileStamp(file) === stamp);
+}
+
+/**
+ * Run one esbuild build through the cache
+ *
+ * `configure` receives the state the build's plugins fill and returns the
+ * esbuild options; `extract` turns the result into the value the caller
+ * wants. That value is returned straight from the cache when the signature
+ * (everything the options are made from) and all input files are unchanged,
+ * then from the disk cache when one is configured. Otherwise the bundle is
+ * built, with a kept context when contexts are on, and the output stored.
+ * A context is created again when the signature changes, since its options
+ * are fixed.
+ *
+ * @param {BuildCache|null} cache - Build cache, or null to just build
+ * @param {Object} bundle - The bundle to build
+ * @param {string} bundle.key - Bundle identity, e.g. "css:assets/main.css"
+ * @param {string} bundle.signature - Everything the build options depend on
+ * @param {string} bundle.projectRoot - Project root directory, which input paths are relative to
+ * @param {function(BuildState): import('esbuild').BuildOptions} configure - Build options for a state
+ * @param {function(import('esbuild').BuildResult, BuildState): *} extract - Output from the build result
+ * @returns {Promise<*>} Output of `extract`
+ */
+async function cachedBuild(cache, { key, signature, projectRoot }, configure, extract) {
+  if (!cache) {
+    const state = createBuildState();
+    return extract(await build(configure(state)), state);
+  }
+
+  const previous = cache.memory && cache.bundles.get(key);
+  if (previous && previous.signature === signature && unchanged(previous.inputs)) {
+    cache.hits.bundles.push(key);
+    return previous.output;
+  }
+
+  const stored = cache.disk && readBundle(cache.disk, key, signature, projectRoot);
+  if (stored) {
+    cache.hits.disk.push(key);
+    remember(cache, key, signature, stored.inputs, stored.output);
+    return stored.output;
+  }
+
+  let state;
+  let result;
+  if (cache.useContexts) {
+    let slot = cache.contexts.get(key);
+    if (slot && slot.signature !== signature) {
+      await slot.context.dispose();
+      slot = null;
+    }
+    if (!slot) {
+      const slotState = createBuildState();
+      slot = { signature, state: slotState, context: await context({ ...configure(slotState), metafile: true }) };
+      cache.contexts.set(key, slot);
+    }
+    ({ state } = slot);
+    // The context's plugins fill the same state on every rebuild
+    state.assets.clear();
+    state.dependencies.clear();
+    result = await slot.context.rebuild();
+  } else {
+    state = createBuildState();
+    result = await build({ ...configure(state), metafile: true });
+  }
+
+  const output = extract(result, state);
+  // The entry is generated, not a file
+  const entries = new Set(Object.values(result.metafile.outputs).map((output) => output.entryPoint));
+  const inputs = [
+    ...Object.keys(result.metafile.inputs)
+      .filter((input) => !entries.has(input))
+      .map((input) => path.resolve(projectRoot, input)),
+    ...state.dependencies,
+    ...state.assets.keys()
+  ];
+  remember(cache, key, signature, inputs, output);
+  if (cache.disk) {
+    writeBundle(cache.disk, key, signature, projectRoot, inputs, output);
+  }
+  return output;
+}
+
+/**
+ * Keep a bundle's output in memory, stamped with its input files
+ *
+ * @param {BuildCache} cache - Build cache
+ * @param {string} key - Bundle identity
+ * @param {string} signature - Everything the build options depend on
+ * @param {string[]} inputs - Absolute paths of the files the bundle was built from
+ * @param {*} output - Bundle output
+ */
+function remember(cache, key, signature, inputs, output) {
+  if (cache.memory) {
+    cache.bundles.set(key, { signature, inputs: stampFiles(inputs), output });
+  }
+}
+
+export { cachedBuild, createBuildCache, disposeContexts, fileStamp, folderStamp, stampFiles, startRun, unchanged };
@@ -0,0 +1,328 @@
+/**
+ * Bundle Report - What each component, main entry and package adds to the bundles
+ *
+ * esbuild's metafile lists, for every output file, how many bytes each input
+ * file contributes. The report groups those inputs by where they came from:
+ *
+ * - package: a file inside node_modules, grouped by package name
+ * - component: a file inside a component's folder, or one a component's
+ *   style or script imports from elsewhere
+ * - main: a main entry, and whatever it imports
+ * - other: anything else, such as site override stylesheets
+ *
+ * Bytes not taken up by any input (esbuild's module wrappers and helpers)
+ * are listed as `(bundler overhead)`. gzip sizes are each group's share of
+ * the gzipped output file, in proportion to its raw bytes: compression works
+ * across the whole file, so that share is what a group costs on the wire.
+ *
+ * The report is written as JSON for tooling and as a self-contained HTML
+ * treemap for people.
+ */
+
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+/**
+ * @typedef {Object} Attribution
+ * @property {Map<string, string>} owners - Component name per absolute style or script path
+ * @property {Map<string, string>} componentDirs - Component name per absolute component folder
+ * @property {Map<string, string>} mainEntries - Group name (the configured path) per absolute main entry path
+ */
+
+/**
+ * @typedef {Object} ReportGroup
+ * @property {string} name - Component name, main entry path, package name or file path
+ * @property {'component'|'main'|'package'|'other'|'overhead'} kind - Where the bytes came from
+ * @property {number} bytes - Raw bytes in the output file
+ * @property {number} gzip - Share of the gzipped output file
+ * @property {Array<{path: string, bytes: number}>} files - Input files, relative to the project root
+ */
+
+/**
+ * @typedef {Object} BundleReport
+ * @property {string} file - Output path
+ * @property {'css'|'js'|'jsLegacy'|'jsChunk'} type - Kind of output file
+ * @property {number} bytes - Raw size
+ * @property {number} gzip - gzipped size
+ * @property {ReportGroup[]} groups - Contributions, largest first
+ */
+
+/**
+ * Name of the package a file in node_modules belongs to
+ *
+ * @param {string} relativePath - Input path, relative to the project root, with forward slashes
+ * @returns {string|null} Package name, e.g. "swiper" or "@scope/pkg", or null outside node_modules
+ */
+function packageName(relativePath) {
+  const parts = relativePath.split('/');
+  const index = parts.lastIndexOf('node_modules');
+  if (index === -1 || index === parts.length - 1) {
+    return null;
+  }
+  const name = parts[index + 1];
+  return name.startsWith('@') ? `${name}/${parts[index + 2]}` : name;
+}
+
+/**
+ * Decide which group every input of a build belongs to
+ *
+ * Ownership passes down imports: a file a component imports from a shared
+ * folder counts towards that component, the first one to import it wins.
+ * A file inside node_modules or inside a component folder always counts
+ * towards that package or component.
+ *
+ * @param {import('esbuild').Metafile} metafile - esbuild metafile
+ * @param {string} projectRoot - Project root directory, which metafile paths are relative to
+ * @param {Attribution} attribution - What is known about the bundled files
+ * @returns {Map<string, {name: string, kind: string}>} Group per metafile input path
+ */
+function attributeInputs(metafile, projectRoot, attribution) {
+  const componentDirs = [...attribution.componentDirs].sort(([a], [b]) => b.length - a.length);
+
+  // The group a file has on its own, without looking at who imports it
+  const ownGroup = (input) => {
+    const pkg = packageName(input);
+    if (pkg) {
+      return { name: pkg, kind: 'package' };
+    }
+    const filePath = path.resolve(projectRoot, input);
+    const dir = componentDirs.find(([componentDir]) => filePath.startsWith(`${componentDir}${path.sep}`));
+    if (dir) {
+      return { name: dir[1], kind: 'component' };
+    }
+    if (attribution.owners.has(filePath)) {
+      return { name: attribution.owners.get(filePath), kind: 'component' };
+    }
+    if (attribution.mainEntries.has(filePath)) {
+      return { name: attribution.mainEntries.get(filePath), kind: 'main' };
+    }
+    return null;
+  };
+
+  const groups = new Map();
+  const visit = (input, inherited) => {
+    if (groups.has(input) || !metafile.inputs[input]) {
+      return;
+    }
+    const group = ownGroup(input) || inherited || { name: input, kind: 'other' };
+    groups.set(input, group);
+    metafile.inputs[input].imports.forEach((imported) => {
+      if (!imported.external) {
+        visit(imported.path, group.kind === 'package' ? inherited : group);
+      }
+    });
+  };
+
+  // The generated entry imports every top-level file, in bundle order
+  const entries = new Set(Object.values(metafile.outputs).map((output) => output.entryPoint));
+  entries.forEach((entry) => {
+    (metafile.inputs[entry]?.imports || []).forEach((imported) => {
+      visit(imported.path, null);
+    });
+  });
+  Object.keys(metafile.inputs)
+    .filter((input) => !entries.has(input))
+    .forEach((input) => {
+      visit(input, null);
+    });
+  return groups;
+}
+
+/**
+ * Report on one output file of a build
+ *
+ * @param {import('esbuild').BuildResult} result - esbuild result, built with `metafile: true`
+ * @param {string} outputPath - Absolute path of the output file
+ * @param {'css'|'js'|'jsLegacy'|'jsChunk'} type - Kind of output file
+ * @param {string} projectRoot - Project root directory
+ * @param {Attribution} attribution - What is known about the bundled files
+ * @returns {BundleReport|null} Report, or null when the build has no such output
+ */
+function analyzeOutput(result, outputPath, type, projectRoot, attribution) {
+  const outputKey = path.relative(projectRoot, outputPath).split(path.sep).join('/');
+  const output = result.metafile?.outputs[outputKey];
+  const outputFile = result.outputFiles.find((file) => file.path === outputPath);
+  if (!output || !outputFile) {
+    return null;
+  }
+
+  const groupOf = attributeInputs(result.metafile, projectRoot, attribution);
+  const groups = new Map();
+  let attributed = 0;
+  Object.entries(output.inputs).forEach(([input, { bytesInOutput }]) => {
+    if (bytesInOutput === 0) {
+      return;
+    }
+    const { name, kind } = groupOf.get(input) || { name: input, kind: 'other' };
+    const id = `${kind}:${name}`;
+    if (!groups.has(id)) {
+      groups.set(id, { name, kind, bytes: 0, gzip: 0, files: [] });
+    }
+    const group = groups.get(id);
+    group.bytes += bytesInOutput;
+    group.files.push({ path: input, bytes: bytesInOutput });
+    attributed += bytesInOutput;
+  });
+
+  const bytes = outputFile.contents.length;
+  if (bytes > attributed) {
+    groups.set('overhead', {
+      name: '(bundler overhead)',
+      kind: 'overhead',
+      bytes: bytes - attributed,
+      gzip: 0,
+      files: []
+    });
+  }
+
+  const gzip = zlib.gzipSync(outputFile.contents, { level: 9 }).length;
+  const sorted = [...groups.values()].sort((a, b) => b.bytes - a.bytes);
+  sorted.forEach((group) => {
+    group.gzip = bytes > 0 ? Math.round((gzip * group.bytes) / bytes) : 0;
+    group.files.sort((a, b) => b.bytes - a.bytes);
+  });
+
+  return { file: outputKey, type, bytes, gzip, groups: sorted };
+}
+
+/**
+ * Combine bundle reports into the report file
+ *
+ * The summary adds up each group over every bundle, split into CSS and JS.
+ * Legacy bundles repeat the modern scripts, so they're listed but left out
+ * of the summary.
+ *
+ * @param {BundleReport[]} bundles - Reports of every emitted bundle
+ * @returns {{bundles: BundleReport[], summary: Array<{name: string, kind: string, css: {bytes: number, gzip: number}, js: {bytes: number, gzip: number}}>}} Report
+ */
+function buildReport(bundles) {
+  const summary = new Map();
+  bundles
+    .filter((bundle) => bundle.type !== 'jsLegacy')
+    .forEach((bundle) => {
+      const side = bundle.type === 'css' ? 'css' : 'js';
+      bundle.groups.forEach((group) => {
+        const id = `${group.kind}:${group.name}`;
+        if (!summary.has(id)) {
+          summary.set(id, {
+            name: group.name,
+            kind: group.kind,
+            css: { bytes: 0, gzip: 0 },
+            js: { bytes: 0, gzip: 0 }
+          });
+        }
+        summary.get(id)[side].bytes += group.bytes;
+        summary.get(id)[side].gzip += group.gzip;
+      });
+    });
+
+  const total = (entry) => entry.css.bytes + entry.js.bytes;
+  return { bundles, summary: [...summary.values()].sort((a, b) => total(b) - total(a)) };
+}
+
+/**
+ * Format a byte count for people
+ *
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "812 B" or "14.2 kB"
+ */
+function formatBytes(bytes) {
+  return bytes < 1000 ? `${bytes} B` : `${(bytes / 1000).toFixed(1)} kB`;
+}
+
+/**
+ * Escape text for HTML
+ *
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+}
+
+/**
+ * Render the report as a self-contained HTML page
+ *
+ * Each bundle is a treemap: one tile per group, sized by raw bytes, split
+ * into one tile per input file. Hovering a tile shows its numbers; a table
+ * below lists every group with raw and gzip bytes.
+ *
+ * @param {ReturnType<typeof buildReport>} report - Report from buildReport
+ * @returns {string} HTML document
+ */
+function renderReportHtml(report) {
+  const tile = (label, title, bytes, className, children = '') =>
+    `<div class="${className}" style="flex-grow:${bytes}" title="${escapeHtml(title)}"><span>${escapeHtml(label)}</span>${children}</div>`;
+
+  const treemaps = report.bundles
+    .map((bundle) => {
+      const groups = bundle.groups
+        .map((group) => {
+          const files = group.files
+            .map((file) =>
+              tile(path.posix.basename(file.path), `${file.path}: ${formatBytes(file.bytes)}`, file.bytes, 'file')
+            )
+            .join('');
+          const title = `${group.name} (${group.kind}): ${formatBytes(group.bytes)}, ${formatBytes(group.gzip)} gzip`;
+          return tile(
+            group.name,
+            title,
+            group.bytes,
+            `group ${group.kind}`,
+            files ? `<div class="files">${files}</div>` : ''
+          );
+        })
+        .join('');
+      const heading = `${escapeHtml(bundle.file)} <small>${formatBytes(bundle.bytes)}, ${formatBytes(bundle.gzip)} gzip</small>`;
+      return `<section><h2>${heading}</h2><div class="treemap">${groups}</div></section>`;
+    })
+    .join('\n');
+
+  const rows = report.summary
+    .map(
+      (entry) =>
+        `<tr><td>${escapeHtml(entry.name)}</td><td>${entry.kind}</td><td>${formatBytes(entry.css.bytes)}</td><td>${formatBytes(entry.css.gzip)}</td><td>${formatBytes(entry.js.bytes)}</td><td>${formatBytes(entry.js.gzip)}</td></tr>`
+    )
+    .join('\n');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Bundle report</title>
+<style>
+body { font: 14px/1.4 system-ui, sans-serif; margin: 2rem; color: #222; }
+.treemap { display: flex; height: 320px; border: 1px solid #888; }
+.treemap div { display: flex; min-width: 0; min-height: 0; overflow: hidden; box-sizing: border-box; }
+.group { flex-direction: column; border: 1px solid #fff; }
+.group > span { padding: 2px 4px; font-weight: 600; white-space: nowrap; }
+.files { flex: 1; flex-direction: column; }
+.file { border-top: 1px solid rgba(255, 255, 255, 0.6); padding: 2px 4px; font-size: 12px; white-space: nowrap; }
+.component { background: #8ecae6; }
+.main { background: #ffb703; }
+.package { background: #fb8500; }
+.other { background: #b7b7a4; }
+.overhead { background: #ddd; }
+table { border-collapse: collapse; margin-top: 2rem; }
+th, td { padding: 4px 12px; border-bottom: 1px solid #ddd; text-align: right; }
+th:first-child, td:first-child, th:nth-child(2), td:nth-child(2) { text-align: left; }
+</style>
+</head>
+<body>
+<h1>Bundle report</h1>
+${treemaps}
+<table>
+<thead><tr><th>Name</th><th>Kind</th><th>CSS</th><th>CSS gzip</th><th>JS</th><th>JS gzip</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+export { analyzeOutput, attributeInputs, buildReport, formatBytes, packageName, renderReportHtml };
@@ -1,26 +1,62 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parse as parseYaml } from 'yaml';
+import { folderStamp } from './build-cache.js';
+import { expandFileList } from './file-globs.js';
+import { checkManifest } from './manifest-check.js';
+
+// Manifest files, in the order they're looked for
+const MANIFEST_FILES = ['manifest.json', 'manifest.yaml', 'manifest.yml', 'manifest.js'];
+
+// Extensions of the styles and scripts an auto-generated manifest picks up
+const COMPONENT_EXTENSIONS = ['.scss', '.css', '.ts', '.mts', '.js'];
 
 /**
  * @typedef {Object} ComponentManifest
  * @property {string} name - Component name
  * @property {string} [type] - Component type (e.g., 'auto', 'manual')
- * @property {string[]} styles - Array of CSS file names
- * @property {string[]} scripts - Array of JS file names
+ * @property {string[]} styles - Array of CSS or SCSS file names
+ * @property {string[]} scripts - Array of JS or TypeScript file names
  * @property {string[]} dependencies - Array of component names this component depends on (legacy)
  * @property {string[]} requires - Array of component names this component requires (new format)
+ * @property {{css?: string|number, js?: string|number}} [budget] - Size budget per side, e.g. "4kb"
+ * @property {string[]} [safelist] - Class and id names purging always keeps in this component's CSS
+ * @property {string} [extends] - Component of an earlier root this one builds on, as "root:name"
  */
 
 /**
  * @typedef {Object} Component
  * @property {string} name - Component name
  * @property {string} [type] - Component type
- * @property {string[]} styles - Array of CSS file names
- * @property {string[]} scripts - Array of JS file names
+ * @property {string[]} styles - Array of CSS or SCSS file names
+ * @property {string[]} scripts - Array of JS or TypeScript file names
  * @property {string[]} dependencies - Array of component names this component depends on (legacy)
  * @property {string[]} requires - Array of component names this component requires (new format)
+ * @property {{css?: string|number, js?: string|number}} [budget] - Size budget per side, e.g. "4kb"
+ * @property {string[]} [safelist] - Class and id names purging always keeps in this component's CSS
+ * @property {string} [extends] - Component of an earlier root this one builds on, as "root:name"
  * @property {string} path - Full path to component directory
+ * @property {string} [root] - Name of the component root it was found in
+ * @property {string[]} [shadows] - Roots whose component of the same name this one replaces
+ * @property {string} [manifestPath] - Manifest file, when the component has one
+ * @property {string[]} [manifestIssues] - Problems found in the manifest (see manifest-check.js)
+ */
+
+/**
+ * Whether a folder is a component rather than a category of components
+ *
+ * A component folder holds a manifest, a template named after the folder,
+ * or a style or script the auto-generated manifest would pick up.
+ *
+ * @param {string} dirPath - Folder to check
+ * @param {string} name - Folder name
+ * @returns {boolean} True for a component folder
  */
+function isComponentFolder(dirPath, name) {
+  const markers = [...MANIFEST_FILES, `${name}.njk`, ...COMPONENT_EXTENSIONS.map((extension) => `${name}${extension}`)];
+  return markers.some((file) => fs.existsSync(path.join(dirPath, file)));
+}
 
 /**
  * Collect all components from a directory (base or sections)
@@ -29,68 +65,171 @@ import path from 'node:path';
  * their manifests or auto-generates them. Supports both explicit manifests
  * and auto-discovery based on file patterns.
  *
+ * Components can be grouped in category folders (`sections/marketing/hero`).
+ * A folder that isn't a component is searched for components in turn, down
+ * to `maxDepth` levels below `dirPath`; at the deepest level every folder is
+ * taken as a component, as it is at the top level with a `maxDepth` of 1.
+ * Components are named after their own folder, not the category path.
+ *
+ * With a build cache, a component whose folder is unchanged since the last
+ * run is taken from the cache instead of being loaded again.
+ *
  * @param {string} dirPath - Directory to scan for components
- * @returns {Array} Array of component objects with metadata and file paths
+ * @param {Object} [settings] - Discovery settings
+ * @param {import('./build-cache.js').BuildCache|null} [settings.cache=null] - Build cache kept across runs, or null
+ * @param {number} [settings.maxDepth=3] - How many folder levels below dirPath are searched
+ * @param {Object} [settings.options={}] - Plugin options, passed to manifest.js functions
+ * @returns {Promise<Array>} Array of component objects with metadata and file paths
  */
-function collectComponents(dirPath) {
+async function collectComponents(dirPath, { cache = null, maxDepth = 3, options = {} } = {}) {
   // Component directories are optional - return empty array if not found
   // This allows projects to have only partials or only sections
   if (!fs.existsSync(dirPath)) {
     return [];
   }
 
-  // Read all items in the component directory (e.g., 'button', 'hero', etc.)
-  const items = fs.readdirSync(dirPath);
+  // Read all items in the component directory (e.g., 'button', 'hero', 'marketing', etc.)
+  // Sorted, so nested components are found in the same order on every platform
+  const items = fs.readdirSync(dirPath).sort();
   const components = [];
 
-  items.forEach((item) => {
+  for (const item of items) {
     const itemPath = path.join(dirPath, item);
     const stats = fs.statSync(itemPath);
 
-    // Skip files - we only process directories (each directory is a component)
+    // Skip files - we only process directories (each directory is a component or a category)
     if (!stats.isDirectory()) {
-      return;
+      continue;
+    }
+
+    // A category folder: look for components one level further down
+    if (maxDepth > 1 && !isComponentFolder(itemPath, item)) {
+      components.push(...(await collectComponents(itemPath, { cache, maxDepth: maxDepth - 1, options })));
+      continue;
     }
 
     // Load the component from its directory (reads manifest or auto-generates)
-    const component = loadComponent(itemPath, item);
+    const component = cache
+      ? await loadCachedComponent(itemPath, item, cache, options)
+      : await loadComponent(itemPath, item, options);
 
     // Only add successfully loaded components (null means loading failed)
     if (component) {
       components.push(component);
     }
-  });
+  }
 
   return components;
 }
 
+/**
+ * Load a component, or take it from the cache when its folder is unchanged
+ *
+ * @param {string} componentPath - Component directory path
+ * @param {string} componentName - Component name
+ * @param {import('./build-cache.js').BuildCache} cache - Build cache
+ * @param {Object} options - Plugin options, passed to manifest.js functions
+ * @returns {Promise<Object|null>} Component object or null if invalid
+ */
+async function loadCachedComponent(componentPath, componentName, cache, options) {
+  const stamp = folderStamp(componentPath);
+  const cached = cache.components.get(componentPath);
+  if (cached && cached.stamp === stamp) {
+    cache.hits.components += 1;
+    return cached.component;
+  }
+
+  const component = await loadComponent(componentPath, componentName, options);
+  // Invalid components aren't cached, so their error is reported on every run
+  if (component) {
+    cache.components.set(componentPath, { stamp, component });
+  } else {
+    cache.components.delete(componentPath);
+  }
+  return component;
+}
+
+/**
+ * A manifest list, whatever the manifest gave
+ *
+ * @param {*} value - Manifest value
+ * @returns {Array} The array, a lone string in an array, or an empty array
+ */
+function asList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return typeof value === 'string' ? [value] : [];
+}
+
+/**
+ * Read a manifest file
+ *
+ * `manifest.json` is JSON and `manifest.yaml`/`manifest.yml` YAML, which
+ * needs no escaping for validation patterns. `manifest.js` is an ES module
+ * whose default export is the manifest, or a function of the plugin options
+ * returning it (or a promise of it).
+ *
+ * @param {string} manifestPath - Manifest file path
+ * @param {Object} options - Plugin options, passed to manifest.js functions
+ * @returns {Promise<Object>} Manifest
+ * @throws {Error} If the file can't be parsed or doesn't hold an object
+ */
+async function readManifest(manifestPath, options) {
+  let manifest;
+  if (manifestPath.endsWith('.js')) {
+    // The modification time in the URL makes watch mode import an edited file again
+    const { mtimeMs } = fs.statSync(manifestPath);
+    const module = await import(`${pathToFileURL(path.resolve(manifestPath)).href}?mtime=${mtimeMs}`);
+    manifest = typeof module.default === 'function' ? await module.default(options) : module.default;
+  } else if (manifestPath.endsWith('.json')) {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } else {
+    manifest = parseYaml(fs.readFileSync(manifestPath, 'utf8'));
+  }
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error(
+      manifestPath.endsWith('.js')
+        ? 'expected a default export of a manifest object, or of a function returning one'
+        : 'expected a manifest object'
+    );
+  }
+  return manifest;
+}
+
 /**
  * Load a single component from directory
  *
- * Attempts to read a manifest.json file from the component directory.
- * If no manifest exists, auto-generates one based on file conventions.
+ * Attempts to read a manifest file (manifest.json, manifest.yaml,
+ * manifest.yml or manifest.js, the first one found) from the component
+ * directory. If no manifest exists, auto-generates one based on file
+ * conventions. Patterns in `styles` and `scripts` are expanded to the
+ * files they match (see file-globs.js).
  *
  * @param {string} componentPath - Component directory path
  * @param {string} componentName - Component name
- * @returns {Object|null} Component object or null if invalid
+ * @param {Object} [options={}] - Plugin options, passed to manifest.js functions
+ * @returns {Promise<Object|null>} Component object or null if invalid
  */
-function loadComponent(componentPath, componentName) {
-  const manifestPath = path.join(componentPath, 'manifest.json');
+async function loadComponent(componentPath, componentName, options = {}) {
+  const manifestFile = MANIFEST_FILES.find((file) => fs.existsSync(path.join(componentPath, file)));
+  const manifestPath = manifestFile ? path.join(componentPath, manifestFile) : null;
   let manifest;
 
   // Try to load an explicit manifest file if it exists
-  if (fs.existsSync(manifestPath)) {
+  if (manifestPath) {
     try {
-      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      manifest = await readManifest(manifestPath, options);
     } catch (error) {
-      // Invalid JSON - log error and skip this component
-      console.error(`Invalid manifest.json in ${componentName}: ${error.message}`);
+      // Unparseable manifest - log error and skip this component
+      console.error(`Invalid ${manifestFile} in ${componentName} (${manifestPath}): ${error.message}`);
       return null;
     }
   } else {
     // No manifest found - auto-generate based on component name conventions
     // Looks for componentName.css and componentName.js files
-    manifest = autoGenerateManifest(componentPath, componentName);
+    manifest = autoGenerateManifest(componentPath, componentName, options);
   }
 
   // Validate that manifest has the required 'name' field
@@ -99,15 +238,25 @@ function loadComponent(componentPath, componentName) {
     return null;
   }
 
+  // Problems with the manifest itself (typos, wrong types, missing files)
+  // are kept with the component and reported together after discovery
+  const manifestCheck =
+    manifestPath && options.manifestCheck?.enabled !== false
+      ? { manifestPath, manifestIssues: checkManifest(manifest, componentPath, componentName) }
+      : {};
+
   // Return the complete component object with normalized arrays
   // and the full filesystem path for later asset resolution
   return {
     ...manifest,
+    ...manifestCheck,
     path: componentPath,
-    // Ensure arrays exist even if not defined in manifest
-    styles: manifest.styles || [],
-    scripts: manifest.scripts || [],
-    dependencies: manifest.dependencies || []
+    // Ensure arrays exist even if not defined in manifest; a single file
+    // name given as a string (reported by the manifest check) still counts
+    styles: expandFileList(asList(manifest.styles), componentPath),
+    scripts: expandFileList(asList(manifest.scripts), componentPath),
+    dependencies: asList(manifest.dependencies),
+    ...(manifest.requires !== undefined ? { requires: asList(manifest.requires) } : {})
   };
 }
 
@@ -115,28 +264,40 @@ function loadComponent(componentPath, componentName) {
  * Auto-generate manifest for components without one
  *
  * Creates a manifest based on naming conventions:
- * - Looks for {componentName}.css
- * - Looks for {componentName}.js
- * - No dependencies (must be explicit via manifest.json)
+ * - Looks for {componentName}.css, then {componentName}.scss
+ *   (the other way round with the `preferScss` option)
+ * - Looks for {componentName}.js, then {componentName}.ts, then {componentName}.mts
+ *   (.ts and .mts first with the `preferTypeScript` option)
+ * - No dependencies (must be explicit in a manifest)
  *
  * This enables "convention over configuration" for simple components.
  *
  * @param {string} componentPath - Component directory
  * @param {string} componentName - Component name
+ * @param {Object} [options={}] - Plugin options
  * @returns {Object} Generated manifest
  */
-function autoGenerateManifest(componentPath, componentName) {
+function autoGenerateManifest(componentPath, componentName, options = {}) {
   // Expected file names based on component name
-  // Example: 'button' component looks for 'button.css' and 'button.js'
-  const cssFile = `${componentName}.css`;
-  const jsFile = `${componentName}.js`;
+  // Example: 'button' component looks for 'button.css' or 'button.scss', and 'button.js' or 'button.ts'
+  // A plain .css or .js next to a source is usually its compiled output, which
+  // sites built before Sass and TypeScript support bundle; they opt in to the
+  // sources with preferScss and preferTypeScript.
+  const exists = (file) => fs.existsSync(path.join(componentPath, file));
+  const styleFiles = [`${componentName}.css`, `${componentName}.scss`];
+  const cssFile = (options.preferScss ? styleFiles.reverse() : styleFiles).find(exists);
+  const sourceScripts = [`${componentName}.ts`, `${componentName}.mts`];
+  const scriptFiles = options.preferTypeScript
+    ? [...sourceScripts, `${componentName}.js`]
+    : [`${componentName}.js`, ...sourceScripts];
+  const jsFile = scriptFiles.find(exists);
 
   return {
     name: componentName,
     type: 'auto', // Mark as auto-generated for debugging
     // Only include files that actually exist on disk
-    styles: fs.existsSync(path.join(componentPath, cssFile)) ? [cssFile] : [],
-    scripts: fs.existsSync(path.join(componentPath, jsFile)) ? [jsFile] : [],
+    styles: cssFile ? [cssFile] : [],
+    scripts: jsFile ? [jsFile] : [],
     // Auto-generated manifests can't know dependencies - must be explicit
     dependencies: []
   };
@@ -151,18 +312,28 @@ function autoGenerateManifest(componentPath, componentName) {
  * - Template analysis (getting component manifests)
  * - Validation (accessing component schemas)
  *
- * @param {Array} components - Array of components
+ * Components from different roots (see component-roots.js) may share a
+ * name: the later one shadows the earlier, and lists the roots it shadows
+ * in `shadows`.
+ *
+ * @param {Array} components - Array of components, in root order
  * @returns {Map} Component map keyed by name
- * @throws {Error} If duplicate component names are found
+ * @throws {Error} If duplicate component names are found within one root
  */
 function createComponentMap(components) {
   const componentMap = new Map();
 
   components.forEach((component) => {
-    // Detect duplicate component names across partials and sections
-    // This prevents ambiguity in dependency resolution
-    if (componentMap.has(component.name)) {
-      throw new Error(`Duplicate component name: ${component.name}`);
+    const existing = componentMap.get(component.name);
+    if (existing) {
+      // Detect duplicate component names across partials and sections of one root
+      // This prevents ambiguity in dependency resolution
+      if (existing.root === component.root) {
+        const where = component.root ? ` in component root "${component.root}"` : '';
+        throw new Error(`Duplicate component name: ${component.name}${where} (${existing.path}, ${component.path})`);
+      }
+      componentMap.set(component.name, { ...component, shadows: [...(existing.shadows || []), existing.root] });
+      return;
     }
 
     // Map stores: componentName → full component object with path, styles, scripts, etc.
@@ -0,0 +1,246 @@
+/**
+ * Component Roots - Where components are looked for, in shadowing order
+ *
+ * A root is a pair of folders, one of partials and one of sections. The
+ * site's own `basePath` and `sectionsPath` make the last root; the `roots`
+ * option lists roots searched before it, such as a component library shared
+ * between sites as an npm package:
+ *
+ *   roots: ['@acme/components', { name: 'legacy', path: 'lib/legacy-components' }]
+ *
+ * A component found in a later root shadows the one of the same name in an
+ * earlier root, so a site replaces a library's hero by adding its own. Two
+ * components of the same name in one root are still an error.
+ *
+ * Instead of replacing a component outright, a manifest can build on one
+ * from an earlier root with `"extends": "library:hero"`: it keeps that
+ * component's styles, scripts and requirements, adds its own after them, and
+ * overrides any other manifest key it sets.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { collectComponents, createComponentMap } from './component-discovery.js';
+import { findPackageDir } from './import-resolver.js';
+import { guardComponentPaths } from './path-guard.js';
+
+// Name of the root made of the site's own basePath and sectionsPath
+const SITE_ROOT = 'site';
+
+// Folders of a root that names none, and of a package without a `bundledComponents` field
+const ROOT_FOLDERS = { basePath: '_partials', sectionsPath: 'sections' };
+
+/**
+ * @typedef {Object} ResolvedRoot
+ * @property {string} name - Root name, shown in debug output
+ * @property {string} dir - Absolute root folder
+ * @property {string} basePath - Absolute partials folder
+ * @property {string} sectionsPath - Absolute sections folder
+ */
+
+/**
+ * Resolve one entry of the `roots` option
+ *
+ * A string is a local folder when one exists at that path, and a package
+ * name otherwise. A package can name its folders in a `bundledComponents`
+ * field of its package.json; the entry's own `basePath` and `sectionsPath`
+ * win over both.
+ *
+ * @param {string|import('./options.js').ComponentRootOptions} entry - Root entry
+ * @param {string} projectRoot - Project root directory
+ * @returns {ResolvedRoot} Resolved root
+ * @throws {Error} If the folder or package can't be found
+ */
+function resolveRoot(entry, projectRoot) {
+  let root = typeof entry === 'string' ? { path: entry } : { ...entry };
+  if (typeof entry === 'string' && !fs.existsSync(path.resolve(projectRoot, entry))) {
+    root = { package: entry };
+  }
+
+  let dir;
+  let folders = ROOT_FOLDERS;
+  if (root.package) {
+    dir = findPackageDir(root.package, projectRoot);
+    if (!dir) {
+      throw new Error(
+        `Component root "${root.package}" is neither a folder nor a package installed in node_modules (searched from ${projectRoot})`
+      );
+    }
+    const packageJsonPath = path.join(dir, 'package.json');
+    const packageJson = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')) : {};
+    folders = { ...ROOT_FOLDERS, ...(packageJson.bundledComponents || {}) };
+  } else if (root.path) {
+    dir = path.resolve(projectRoot, root.path);
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Component root folder "${root.path}" does not exist`);
+    }
+  } else {
+    throw new Error(`Component root ${JSON.stringify(entry)} needs a "path" or a "package"`);
+  }
+
+  return {
+    name: root.name || root.package || root.path,
+    dir,
+    basePath: path.resolve(dir, root.basePath || folders.basePath),
+    sectionsPath: path.resolve(dir, root.sectionsPath || folders.sectionsPath)
+  };
+}
+
+/**
+ * Resolve every component root, the site's own last
+ *
+ * @param {import('./options.js').BundledComponentsOptions} options - Normalized plugin options
+ * @param {string} projectRoot - Project root directory
+ * @returns {ResolvedRoot[]} Roots in shadowing order
+ * @throws {Error} If a root can't be found, or two roots share a name
+ */
+function resolveComponentRoots(options, projectRoot) {
+  const roots = [
+    ...options.roots.map((entry) => resolveRoot(entry, projectRoot)),
+    {
+      name: SITE_ROOT,
+      dir: projectRoot,
+      basePath: path.resolve(projectRoot, options.basePath),
+      sectionsPath: path.resolve(projectRoot, options.sectionsPath)
+    }
+  ];
+
+  const seen = new Set();
+  roots.forEach((root) => {
+    if (seen.has(root.name)) {
+      throw new Error(`Component root name "${root.name}" is used more than once; give one of them another "name"`);
+    }
+    seen.add(root.name);
+  });
+
+  return roots;
+}
+
+/**
+ * Merge a component with the one it extends
+ *
+ * Styles and scripts of the extended component come first, as absolute
+ * paths into its folder, so the extending component's CSS wins the cascade.
+ * Requirements and safelists are combined; any other key the extending
+ * manifest sets replaces the extended one.
+ *
+ * @param {Object} component - Extending component
+ * @param {Object} base - Extended component
+ * @returns {Object} Merged component
+ */
+function extendComponent(component, base) {
+  const absolute = (files, dir) => files.map((file) => path.resolve(dir, file));
+  const combined = (a, b) => (a || b ? [...new Set([...(a || []), ...(b || [])])] : undefined);
+
+  return {
+    ...base,
+    ...component,
+    styles: [...absolute(base.styles, base.path), ...component.styles],
+    scripts: [...absolute(base.scripts, base.path), ...component.scripts],
+    requires: combined(base.requires || base.dependencies, component.requires || component.dependencies),
+    safelist: combined(base.safelist, component.safelist)
+  };
+}
+
+/**
+ * Apply the `extends` of every component, in root order
+ *
+ * A component can only extend one from an earlier root, so chains
+ * (site → theme → library) resolve front to back and can't loop.
+ *
+ * @param {Array<Array<Object>>} perRoot - Components of each root, in root order
+ * @param {string[]} rootNames - Root names, in the same order
+ * @returns {Array<Array<Object>>} Components of each root, extended
+ * @throws {Error} If an `extends` is malformed or names a component no earlier root has
+ */
+function applyExtends(perRoot, rootNames) {
+  const byId = new Map();
+  return perRoot.map((components, index) =>
+    components.map((component) => {
+      let resolved = component;
+      if (component.extends) {
+        const separator = String(component.extends).lastIndexOf(':');
+        const rootName = separator > 0 ? component.extends.slice(0, separator) : null;
+        if (!rootName) {
+          throw new Error(
+            `Component "${component.name}" in root "${component.root}" has "extends": ${JSON.stringify(component.extends)}; use "<root>:<component>", e.g. "library:${component.name}"`
+          );
+        }
+        const base = byId.get(component.extends);
+        if (!base || rootNames.indexOf(rootName) >= index) {
+          throw new Error(
+            `Component "${component.name}" in root "${component.root}" extends "${component.extends}", which no earlier component root has (roots: ${rootNames.slice(0, index).join(', ') || 'none'})`
+          );
+        }
+        resolved = extendComponent(component, base);
+      }
+      byId.set(`${component.root}:${component.name}`, resolved);
+      return resolved;
+    })
+  );
+}
+
+/**
+ * How a component was resolved, for debug output and reports
+ *
+ * @param {Object} component - Component from the component map
+ * @param {string} projectRoot - Project root directory
+ * @returns {{root: string, path: string, shadows?: string[], extends?: string}} Resolution
+ */
+function componentResolution(component, projectRoot) {
+  return {
+    root: component.root,
+    path: path.relative(projectRoot, component.path).split(path.sep).join('/'),
+    ...(component.shadows ? { shadows: component.shadows } : {}),
+    ...(component.extends ? { extends: component.extends } : {})
+  };
+}
+
+/**
+ * Collect the components of every root, leaving out shadowed ones
+ *
+ * Each component records the root it came from in `root`, and a component
+ * that shadows others lists their roots in `shadows`. Every component's
+ * styles and scripts must stay inside its folder or an allowed folder.
+ *
+ * @param {ResolvedRoot[]} roots - Roots in shadowing order
+ * @param {Object} settings - Discovery settings for collectComponents (cache, maxDepth and plugin options), and `allowedDirs`, the absolute folders manifests may reference besides their own
+ * @returns {Promise<{base: Array, sections: Array, componentMap: Map<string, Object>}>} Partials and sections in use, and the map of both
+ * @throws {Error} If an `extends` can't be resolved, one root has two components of the same name, or a manifest references a file outside its component
+ */
+async function collectRootComponents(roots, settings) {
+  const collect = async (dirPath, root) =>
+    (await collectComponents(dirPath, settings)).map((component) => {
+      // Checked before `extends` adds the extended component's files
+      guardComponentPaths(component, settings.allowedDirs);
+      return { ...component, root: root.name };
+    });
+
+  const collected = [];
+  for (const root of roots) {
+    collected.push({
+      base: await collect(root.basePath, root),
+      sections: await collect(root.sectionsPath, root)
+    });
+  }
+  const extended = applyExtends(
+    collected.map(({ base, sections }) => [...base, ...sections]),
+    roots.map((root) => root.name)
+  );
+  const perRoot = extended.map((components, index) => ({
+    base: components.slice(0, collected[index].base.length),
+    sections: components.slice(collected[index].base.length)
+  }));
+  const componentMap = createComponentMap(extended.flat());
+
+  const active = (component) => componentMap.get(component.name).path === component.path;
+  return {
+    base: perRoot.flatMap(({ base }) => base.filter(active).map((component) => componentMap.get(component.name))),
+    sections: perRoot.flatMap(({ sections }) =>
+      sections.filter(active).map((component) => componentMap.get(component.name))
+    ),
+    componentMap
+  };
+}
+
+export { collectRootComponents, componentResolution, extendComponent, resolveComponentRoots };
@@ -0,0 +1,55 @@
+/**
+ * Compression - Precompressed variants of the bundles
+ *
+ * Static hosts and servers such as nginx (gzip_static, brotli_static) serve
+ * `main.css.br` or `main.css.gz` in place of `main.css` when the browser
+ * accepts it, so the files are compressed once, at build time, with the
+ * slowest and best settings instead of on every request.
+ */
+
+import zlib from 'node:zlib';
+
+/**
+ * @typedef {Object} CompressedVariant
+ * @property {string} dest - Output path of the variant, e.g. "assets/main.css.br"
+ * @property {Buffer} contents - Compressed contents
+ */
+
+/**
+ * Compress one file into each enabled format
+ *
+ * Files smaller than the threshold are left alone: a few hundred bytes gain
+ * little, and the compressed file can come out larger than the original.
+ * A variant that isn't smaller than the original is dropped for the same
+ * reason.
+ *
+ * @param {string} dest - Output path of the file
+ * @param {Buffer} contents - File contents
+ * @param {import('./options.js').CompressOptions} compress - Compression options
+ * @returns {CompressedVariant[]} Variants to emit, possibly none
+ */
+function compressVariants(dest, contents, compress) {
+  if (contents.length < compress.threshold) {
+    return [];
+  }
+
+  const variants = [];
+  if (compress.gzip) {
+    variants.push({ dest: `${dest}.gz`, contents: zlib.gzipSync(contents, { level: compress.gzipLevel }) });
+  }
+  if (compress.brotli) {
+    variants.push({
+      dest: `${dest}.br`,
+      contents: zlib.brotliCompressSync(contents, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: compress.brotliLevel,
+          [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: contents.length
+        }
+      })
+    });
+  }
+  return variants.filter((variant) => variant.contents.length < contents.length);
+}
+
+export { compressVariants };
@@ -0,0 +1,96 @@
+/**
+ * Critical CSS - The styles a page needs before its first paint
+ *
+ * A page lists its sections in order in its frontmatter, so the sections a
+ * visitor sees first are known at build time. Per page, a small stylesheet
+ * is built from the main CSS entry plus the styles of the first few sections
+ * (and the components they require). It is inlined in the page head, and the
+ * full bundle loads without blocking rendering.
+ *
+ * Pages whose first sections are the same share one build, so a site with
+ * hundreds of pages built from a handful of layouts runs a handful of builds.
+ */
+
+import { resolveAllDependencies } from './dependency-resolver.js';
+import { chunkName } from './page-bundles.js';
+import { collectSectionTypes } from './template-parser.js';
+
+/**
+ * @typedef {Object} CriticalGroup
+ * @property {string} name - Stable name of the component set, e.g. "page-1a2b3c4d"
+ * @property {Set<string>} components - Components whose styles are critical
+ * @property {string[]} pages - Pages sharing this critical stylesheet
+ */
+
+/**
+ * Components rendered above the fold on a page
+ *
+ * The first `count` entries of the page's `sections`, including components
+ * nested inside them (a hero with an embedded banner), plus any components
+ * configured to always count as critical, such as a header the layout renders.
+ *
+ * @param {Object} file - Metalsmith file with a `sections` array
+ * @param {import('./options.js').CriticalOptions} critical - Critical CSS options
+ * @returns {Set<string>} Component names
+ */
+function aboveTheFold(file, critical) {
+  const components = new Set(critical.include);
+  collectSectionTypes(file.sections.slice(0, critical.sections), components);
+  return components;
+}
+
+/**
+ * Group pages by the components their critical stylesheet is built from
+ *
+ * Only pages with a `sections` array take part; without one there is no way
+ * to tell what comes first on the page.
+ *
+ * @param {Object} files - Metalsmith files object
+ * @param {Map<string, Object>} componentMap - Map of all available components
+ * @param {import('./options.js').CriticalOptions} critical - Critical CSS options
+ * @returns {Map<string, CriticalGroup>} Groups keyed by name
+ */
+function planCriticalStyles(files, componentMap, critical) {
+  const groups = new Map();
+
+  Object.keys(files)
+    .filter((fileName) => Array.isArray(files[fileName].sections))
+    .forEach((fileName) => {
+      const components = resolveAllDependencies(aboveTheFold(files[fileName], critical), componentMap);
+      const name = chunkName(components);
+      if (!groups.has(name)) {
+        groups.set(name, { name, components, pages: [] });
+      }
+      groups.get(name).pages.push(fileName);
+    });
+
+  return groups;
+}
+
+/**
+ * Plugin options for building one critical stylesheet
+ *
+ * Only CSS is built: the main JS entry is dropped and callers pass components
+ * without their scripts. The stylesheet is inlined into pages at any depth,
+ * so url() assets get URLs under the public path instead of URLs relative
+ * to a bundle file. Purge markers are left out: nothing purges the
+ * inlined copy.
+ *
+ * @param {import('./options.js').BundledComponentsOptions} options - Normalized plugin options
+ * @param {string} name - Group name
+ * @returns {import('./options.js').BundledComponentsOptions} Options for bundleWithESBuild
+ */
+function criticalBuildOptions(options, name) {
+  return {
+    ...options,
+    mainJSEntry: null,
+    cssDest: `critical/${name}.css`,
+    sourcemap: false,
+    legacy: { ...options.legacy, enabled: false },
+    analyze: { ...options.analyze, enabled: false },
+    assets: { ...options.assets, publicPath: options.critical.publicPath },
+    purge: { ...options.purge, enabled: false }
+  };
+}
+
+export { aboveTheFold, criticalBuildOptions, planCriticalStyles };
@@ -0,0 +1,171 @@
+/**
+ * CSS Assets - Images and fonts referenced with url() from bundled CSS
+ *
+ * A component's stylesheet refers to its icons and fonts relative to its own
+ * folder: `url(./icon.svg)`. Once bundled, the CSS lives somewhere else, so
+ * each referenced file is copied to `assetsDest` and the url() is rewritten
+ * to point at the copy, relative to the bundle that uses it. Small files can
+ * be inlined as data URIs instead of copied.
+ *
+ * Root-relative URLs (`/images/bg.jpg`) already name a file of the site and
+ * are left as written, as are absolute URLs and data URIs.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { contentHash, hashedPath } from './asset-hashing.js';
+import { applyAlias, resolvePackageStylesheet } from './import-resolver.js';
+
+// File types copied (or inlined) from url(), with the MIME type used for data URIs
+const ASSET_TYPES = {
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.cur': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject'
+};
+
+/**
+ * @typedef {Object} CssAsset
+ * @property {string} source - Absolute path of the referenced file
+ * @property {string} dest - Output path the file is copied to
+ * @property {Buffer} contents - File contents
+ */
+
+/**
+ * Split a url() value into the file part and any query or fragment
+ *
+ * Font declarations carry suffixes such as `font.eot?#iefix` and sprites use
+ * `icons.svg#close`; the suffix is kept on the rewritten URL.
+ *
+ * @param {string} url - url() value
+ * @returns {{file: string, suffix: string}} File path and suffix
+ */
+function splitUrl(url) {
+  const index = url.search(/[?#]/);
+  return index === -1 ? { file: url, suffix: '' } : { file: url.slice(0, index), suffix: url.slice(index) };
+}
+
+/**
+ * Find the file a url() refers to
+ *
+ * Relative first, as the browser would read it from the original stylesheet,
+ * then through the configured aliases, then from a package in node_modules.
+ *
+ * @param {string} file - url() value without suffix
+ * @param {string} resolveDir - Folder of the stylesheet containing the url()
+ * @param {Object<string, string>} aliases - Import aliases
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} Absolute path, or null when nothing matches
+ */
+function resolveAssetFile(file, resolveDir, aliases, projectRoot) {
+  const candidates = [applyAlias(file, aliases, projectRoot), path.resolve(resolveDir, file)].filter(Boolean);
+  const found = candidates.find((candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+  if (found) {
+    return found;
+  }
+  return file.startsWith('.') ? null : resolvePackageStylesheet(file, resolveDir);
+}
+
+/**
+ * Output path for a copied asset
+ *
+ * @param {string} source - Absolute path of the file
+ * @param {Buffer} contents - File contents
+ * @param {string} assetsDest - Folder assets are copied to
+ * @param {number|false} hashLength - Hex characters of content hash in the name, or false for none
+ * @returns {string} Output path, e.g. "assets/media/icon.1a2b3c4d.svg"
+ */
+function assetDest(source, contents, assetsDest, hashLength) {
+  const dest = path.posix.join(assetsDest, path.basename(source));
+  return hashLength ? hashedPath(dest, contentHash(contents, hashLength)) : dest;
+}
+
+/**
+ * Render a file as a data URI
+ *
+ * @param {string} source - Absolute path of the file
+ * @param {Buffer} contents - File contents
+ * @returns {string} data: URI
+ */
+function dataUri(source, contents) {
+  return `data:${ASSET_TYPES[path.extname(source).toLowerCase()]};base64,${contents.toString('base64')}`;
+}
+
+/**
+ * esbuild plugin that copies or inlines the files CSS references with url()
+ *
+ * The rewritten URL is marked external so esbuild writes it as given. Each
+ * copied file is added to `collected`, which the caller emits alongside the
+ * bundle.
+ *
+ * @param {Object} options - Asset options
+ * @param {string} options.projectRoot - Project root directory
+ * @param {string} options.cssDest - Output path of the bundle, URLs are made relative to it
+ * @param {string} options.assetsDest - Folder assets are copied to
+ * @param {number|false} options.hashLength - Hex characters of content hash in copied names, or false for none
+ * @param {number} options.inlineLimit - Files up to this many bytes become data URIs, 0 to never inline
+ * @param {Object<string, string>} options.aliases - Import aliases
+ * @param {string|null} [options.publicPath] - Prefix for URLs of copied files, or null for URLs relative to the bundle
+ * @param {Map<string, CssAsset>} collected - Copied files by source path, filled as the build runs
+ * @returns {import('esbuild').Plugin} esbuild plugin
+ */
+function cssAssetsPlugin(
+  { projectRoot, cssDest, assetsDest, hashLength, inlineLimit, aliases, publicPath = null },
+  collected
+) {
+  return {
+    name: 'bundled-components-css-assets',
+    setup(build) {
+      build.onResolve({ filter: /.*/ }, (args) => {
+        if (args.kind !== 'url-token') {
+          return undefined;
+        }
+        // Root-relative URLs point at the site, not at a file next to the CSS
+        if (args.path.startsWith('/')) {
+          return { path: args.path, external: true };
+        }
+        // Absolute URLs, data URIs and fragment-only references stay as written
+        if (/^([a-z][a-z0-9+.-]*:|#)/i.test(args.path)) {
+          return undefined;
+        }
+
+        const { file, suffix } = splitUrl(args.path);
+        if (!ASSET_TYPES[path.extname(file).toLowerCase()]) {
+          return undefined;
+        }
+
+        const source = resolveAssetFile(file, args.resolveDir, aliases, projectRoot);
+        if (!source) {
+          const importer = path.relative(projectRoot, args.importer);
+          return { errors: [{ text: `Cannot resolve url(${args.path}) in ${importer}: file not found` }] };
+        }
+
+        const contents = fs.readFileSync(source);
+        if (inlineLimit > 0 && contents.length <= inlineLimit) {
+          return { path: dataUri(source, contents), external: true };
+        }
+
+        if (!collected.has(source)) {
+          collected.set(source, { source, dest: assetDest(source, contents, assetsDest, hashLength), contents });
+        }
+        if (publicPath !== null) {
+          return { path: `${publicPath}${collected.get(source).dest}${suffix}`, external: true };
+        }
+        const url = path.posix.relative(path.posix.dirname(cssDest), collected.get(source).dest);
+        return { path: `${url.startsWith('.') ? url : `./${url}`}${suffix}`, external: true };
+      });
+    }
+  };
+}
+
+export { ASSET_TYPES, assetDest, cssAssetsPlugin, dataUri, splitUrl };
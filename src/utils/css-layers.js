@@ -1,5 +1,6 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import { inlineSourceMapComment, shiftedSourceMap, shiftSourceMap } from './source-maps.js';
 
 /**
  * Cascade layer assembly.
@@ -60,6 +61,37 @@ function wrapInLayer(layerName, css) {
   return `@layer ${layerName} {\n${indent(css.trimEnd())}\n}`;
 }
 
+/**
+ * Wrap a stylesheet in a named layer, carrying an inline source map back to
+ * the original file.
+ *
+ * The wrapper adds one line on top and indents every non-blank line, so
+ * without a map every rule would be reported one line and two columns off,
+ * in a file that only exists in memory. esbuild follows the inline map, so
+ * the bundle's own map points at the component file as it is on disk.
+ *
+ * Stylesheets compiled from another language (Sass) pass the compiler's map,
+ * which is shifted the same way so it keeps pointing at the source they were
+ * compiled from.
+ *
+ * @param {string} layerName - Fully qualified layer name, e.g. "components.hero"
+ * @param {string} css - Stylesheet contents
+ * @param {string} sourcePath - Absolute path of the stylesheet
+ * @param {Object} [inputMap] - Map from `css` to its own source, when it was compiled
+ * @returns {string} The wrapped stylesheet with its map, or the original when it cannot be wrapped
+ */
+function wrapInLayerWithSourceMap(layerName, css, sourcePath, inputMap) {
+  if (!isWrappable(css)) {
+    return inputMap ? `${css}\n${inlineSourceMapComment(inputMap, 'css')}\n` : css;
+  }
+  const shift = {
+    lineOffset: 1,
+    columnOffset: (line) => (line.trim() === '' ? 0 : 2)
+  };
+  const map = inputMap ? shiftSourceMap(inputMap, css, shift) : shiftedSourceMap(css, sourcePath, shift);
+  return `${wrapInLayer(layerName, css)}\n${inlineSourceMapComment(map, 'css')}\n`;
+}
+
 /**
  * The `@layer` statement that fixes precedence for the whole bundle.
  *
@@ -135,4 +167,12 @@ function collectOverrides(componentNames, projectRoot, layers) {
   return found;
 }
 
-export { collectOverrides, findOverride, isWrappable, layerOrderStatement, sublayerOrderStatement, wrapInLayer };
+export {
+  collectOverrides,
+  findOverride,
+  isWrappable,
+  layerOrderStatement,
+  sublayerOrderStatement,
+  wrapInLayer,
+  wrapInLayerWithSourceMap
+};
@@ -0,0 +1,247 @@
+/**
+ * CSS Purge - Drops rules no rendered page can match
+ *
+ * Component stylesheets carry every variant a component supports
+ * (`.hero.is-reverse`, `.card--wide`), and most sites use a few of them.
+ * Once pages are rendered, the class and id names they use are known; a
+ * rule whose selectors all need a name no page and no script uses is
+ * removed.
+ *
+ * To say which component a removed rule came from, the bundle is built with
+ * a marker comment in front of each entry file:
+ *
+ *   /*! bundled-components-purge:hero *\/
+ *
+ * Everything after a marker, the file's own @imports included, belongs to
+ * that component until the next marker. The purge removes the markers.
+ *
+ * Matching is conservative. Element selectors are always kept, names inside
+ * :not(), :is(), :has() and other functional pseudo-classes don't count,
+ * and every word in the scripts counts as used, since scripts add classes
+ * at runtime. Names built at runtime (`hero--${variant}`) can't be seen and
+ * go in a safelist.
+ */
+
+import postcss from 'postcss';
+
+// Import path of a marker, and the comment it loads as
+const MARKER_PREFIX = 'bundled-components-purge:';
+const MARKER_PATTERN = /^!\s*bundled-components-purge:(\S*)\s*$/;
+
+// Report key for rules ahead of the first marker, such as layer order statements
+const UNMARKED = '(other)';
+
+/**
+ * @typedef {Object} UsedNames
+ * @property {Set<string>} classes - Class names used by pages or scripts
+ * @property {Set<string>} ids - Ids used by pages or scripts
+ */
+
+/**
+ * @typedef {Object} PurgeResult
+ * @property {string} css - Purged stylesheet, markers removed
+ * @property {string|null} map - Updated external source map JSON, or null
+ * @property {Object<string, number>} removed - Bytes removed per component (or file)
+ */
+
+/**
+ * The @import that puts an owner's marker into the bundle
+ *
+ * esbuild keeps only the last of several identical @imports, so a component
+ * with more than one stylesheet would lose the marker in front of its first
+ * one. Each marker is made unique by the index of the file it precedes.
+ *
+ * @param {string} owner - Component name, or file path for files without one
+ * @param {number} [index=0] - Position of the file in the bundle entry
+ * @returns {string} @import statement
+ */
+function markerImport(owner, index = 0) {
+  return `@import ${JSON.stringify(`${MARKER_PREFIX}${encodeURIComponent(owner)}#${index}`)};`;
+}
+
+/**
+ * esbuild plugin that loads marker imports as legal comments
+ *
+ * The build needs `legalComments: 'inline'` so the comments stay in place.
+ *
+ * @returns {import('esbuild').Plugin} esbuild plugin
+ */
+function purgeMarkerPlugin() {
+  return {
+    name: 'bundled-components-purge-markers',
+    setup(build) {
+      build.onResolve({ filter: new RegExp(`^${MARKER_PREFIX}`) }, (args) => ({
+        path: args.path.slice(MARKER_PREFIX.length),
+        namespace: 'purge-marker'
+      }));
+      build.onLoad({ filter: /.*/, namespace: 'purge-marker' }, (args) => ({
+        contents: `/*! ${MARKER_PREFIX}${args.path.replace(/#\d+$/, '')} */`,
+        loader: 'css'
+      }));
+    }
+  };
+}
+
+/**
+ * Collect the class and id names pages and scripts use
+ *
+ * @param {string[]} pages - Rendered HTML
+ * @param {string[]} scripts - Bundled JavaScript
+ * @returns {UsedNames} Used names
+ */
+function collectUsedNames(pages, scripts) {
+  const used = { classes: new Set(), ids: new Set() };
+
+  for (const html of pages) {
+    for (const [, name, ...values] of html.matchAll(/\s(class|id)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/gi)) {
+      const value = values.find((candidate) => candidate !== undefined);
+      const target = name.toLowerCase() === 'class' ? used.classes : used.ids;
+      for (const word of value.split(/\s+/).filter(Boolean)) {
+        target.add(word);
+      }
+    }
+  }
+
+  // Any word could be a class a script adds, so every one counts for both
+  for (const script of scripts) {
+    for (const [word] of script.matchAll(/[\w-]+(?::[\w-]+)*/g)) {
+      used.classes.add(word);
+      used.ids.add(word);
+    }
+  }
+
+  return used;
+}
+
+/**
+ * The class and id names a selector needs to match
+ *
+ * @param {string} selector - One selector of a rule
+ * @returns {Array<{type: 'class'|'id', name: string}>} Required names
+ *
+ * @example
+ * selectorNames('.hero.is-reverse > a:not(.button)')
+ * // → [{type: 'class', name: 'hero'}, {type: 'class', name: 'is-reverse'}]
+ */
+function selectorNames(selector) {
+  // Strings, attribute selectors and pseudo-class arguments don't have to match
+  let simple = selector.replace(/(["'])(?:\\.|(?!\1)[^\\])*\1/g, '').replace(/\[[^\]]*\]/g, '');
+  let previous;
+  do {
+    previous = simple;
+    simple = simple.replace(/\([^()]*\)/g, '');
+  } while (simple !== previous);
+
+  return [...simple.matchAll(/([.#])((?:\\.|[\w-]|\P{ASCII})+)/gu)].map(([, sigil, name]) => ({
+    type: sigil === '.' ? 'class' : 'id',
+    name: name.replace(/\\(.)/g, '$1')
+  }));
+}
+
+/**
+ * Turn safelist entries into a matcher
+ *
+ * Entries are names (a leading `.` or `#` is ignored), names with `*`
+ * wildcards such as `"hero--*"`, or regular expressions.
+ *
+ * @param {Array<string|RegExp>} entries - Safelist entries
+ * @returns {(name: string) => boolean} Whether a name is safelisted
+ */
+function safelistMatcher(entries) {
+  const patterns = entries.map((entry) => {
+    if (entry instanceof RegExp) {
+      return entry;
+    }
+    const name = String(entry).replace(/^[.#]/, '');
+    const source = name
+      .split('*')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`);
+  });
+  return (name) => patterns.some((pattern) => pattern.test(name));
+}
+
+/**
+ * Remove the rules and selectors below a node that need an unused name
+ *
+ * @param {import('postcss').ChildNode} node - Rule or at-rule
+ * @param {(required: {type: string, name: string}) => boolean} isUsed - Whether a name is used
+ */
+function purgeNode(node, isUsed) {
+  if (node.type === 'rule') {
+    const kept = node.selectors.filter((selector) => selectorNames(selector).every(isUsed));
+    if (kept.length === 0) {
+      node.remove();
+    } else if (kept.length < node.selectors.length) {
+      node.selectors = kept;
+    }
+    return;
+  }
+
+  // @keyframes steps aren't selectors; @font-face and the like hold declarations only
+  if (node.type !== 'atrule' || !node.nodes || /keyframes$/i.test(node.name)) {
+    return;
+  }
+  const hadRules = node.nodes.some((child) => child.type !== 'comment');
+  for (const child of [...node.nodes]) {
+    purgeNode(child, isUsed);
+  }
+  // A block emptied by the purge goes too; one written empty (a layer declared for ordering) stays
+  if (hadRules && node.nodes.every((child) => child.type === 'comment')) {
+    node.remove();
+  }
+}
+
+/**
+ * Purge a bundled stylesheet
+ *
+ * @param {string} css - Stylesheet built with purge markers
+ * @param {Object} options - Purge options
+ * @param {UsedNames} options.used - Names pages and scripts use
+ * @param {Array<string|RegExp>} [options.safelist] - Names kept in every component
+ * @param {Object<string, Array<string|RegExp>>} [options.safelists] - Names kept per component
+ * @param {string} options.from - Absolute path of the stylesheet, for source maps
+ * @param {Object|false} [options.map] - PostCSS map options, or false when the bundle has no source map
+ * @returns {PurgeResult} Purged stylesheet and what was removed
+ */
+function purgeStylesheet(css, { used, safelist = [], safelists = {}, from, map = false }) {
+  const root = postcss.parse(css, { from, map: map ? { prev: map.prev } : false });
+  const globallySafe = safelistMatcher(safelist);
+  const matchers = new Map(Object.entries(safelists).map(([owner, entries]) => [owner, safelistMatcher(entries)]));
+  const removed = {};
+
+  let owner = UNMARKED;
+  for (const node of [...root.nodes]) {
+    const marker = node.type === 'comment' && node.text.match(MARKER_PATTERN);
+    if (marker) {
+      owner = decodeURIComponent(marker[1]);
+      node.remove();
+      continue;
+    }
+    // Without minification esbuild names each file in a comment, the markers' virtual files too
+    if (node.type === 'comment' && node.text.startsWith('purge-marker:')) {
+      node.remove();
+      continue;
+    }
+
+    const ownerSafe = matchers.get(owner);
+    const isUsed = ({ type, name }) =>
+      (type === 'class' ? used.classes : used.ids).has(name) || globallySafe(name) || Boolean(ownerSafe?.(name));
+
+    const before = node.toString().length;
+    purgeNode(node, isUsed);
+    const after = node.parent ? node.toString().length : 0;
+    if (after < before) {
+      removed[owner] = (removed[owner] || 0) + before - after;
+    }
+  }
+
+  if (!map) {
+    return { css: root.toString(), map: null, removed };
+  }
+  const result = root.toResult({ to: from, map: { ...map, prev: undefined, sourcesContent: true } });
+  return { css: result.css, map: result.map ? result.map.toString() : null, removed };
+}
+
+export { collectUsedNames, markerImport, purgeMarkerPlugin, purgeStylesheet, safelistMatcher, selectorNames };
@@ -0,0 +1,215 @@
+/**
+ * Disk Cache - Bundles kept on disk between separate builds
+ *
+ * The in-memory build cache only helps runs of the same process. A CI build
+ * starts from nothing each time, yet its bundles rarely change, so with the
+ * disk cache on each bundle is also stored in a cache directory:
+ *
+ *   .cache/bundled-components/
+ *     entries/<entry key>.json   input files the bundle read last time
+ *     <content key>.json         the bundle built from those inputs
+ *
+ * The entry key hashes what the bundle is made of before any file is read:
+ * its entry (so the resolved component set), the plugin options and the
+ * esbuild version. The content key adds the contents of every input file
+ * listed under the entry key, so a stored bundle is found only when every
+ * file it was built from is byte for byte the same. Paths are stored
+ * relative to the project root, so the cache survives the checkout moving.
+ *
+ * Unreadable cache files count as a miss; the bundle is built and the files
+ * are written again.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { version as esbuildVersion } from 'esbuild';
+
+// Bump when the stored format changes, so old cache files are never read
+const CACHE_FORMAT = 1;
+
+/**
+ * @typedef {Object} DiskCache
+ * @property {string} dir - Cache directory, relative to the project root
+ * @property {string} salt - Hash of the plugin options
+ */
+
+/**
+ * sha256 hex digest
+ *
+ * @param {string|Buffer} contents - Data to hash
+ * @returns {string} Hex digest
+ */
+function sha256(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+/**
+ * A JSON-safe projection of an options value
+ *
+ * PostCSS plugins are functions or objects holding functions, which JSON
+ * would drop, so functions stand for their source. A PostCSS plugin object
+ * stands for its name, version and options, since the rest of it can be a
+ * large graph, circular too. Other circular references and values that
+ * can't be read or serialised stand for a placeholder instead of failing.
+ *
+ * @param {*} value - Options value
+ * @param {Set<Object>} ancestors - Objects being projected, to break cycles
+ * @returns {*} Value JSON.stringify can handle
+ */
+function projectOption(value, ancestors) {
+  if (typeof value === 'function' || typeof value === 'bigint' || typeof value === 'symbol') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof RegExp) {
+    return value.toString();
+  }
+  if (ancestors.has(value)) {
+    return '[Circular]';
+  }
+
+  ancestors.add(value);
+  try {
+    if (typeof value.postcssPlugin === 'string') {
+      return {
+        postcssPlugin: value.postcssPlugin,
+        version: projectOption(value.version, ancestors),
+        options: projectOption(value.options, ancestors)
+      };
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => projectOption(item, ancestors));
+    }
+    return Object.fromEntries(Object.keys(value).map((key) => [key, projectOption(value[key], ancestors)]));
+  } catch {
+    return '[Unserializable]';
+  } finally {
+    ancestors.delete(value);
+  }
+}
+
+/**
+ * Hash plugin options for the cache key
+ *
+ * @param {Object} options - Normalized plugin options
+ * @returns {string} Hex digest
+ */
+function optionsHash(options) {
+  return sha256(JSON.stringify(projectOption(options, new Set())));
+}
+
+/**
+ * Key naming a bundle before its inputs are known
+ *
+ * @param {DiskCache} disk - Disk cache settings
+ * @param {string} key - Bundle identity, e.g. "css:assets/main.css"
+ * @param {string} signature - Everything the build options depend on
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Hex digest
+ */
+function entryKey(disk, key, signature, projectRoot) {
+  const portableSignature = signature.split(projectRoot).join('<root>');
+  return sha256(JSON.stringify([CACHE_FORMAT, esbuildVersion, disk.salt, key, portableSignature]));
+}
+
+/**
+ * Key naming a bundle built from the given input files as they are now
+ *
+ * @param {string} entry - Entry key
+ * @param {string[]} inputs - Input files, relative to the project root
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Hex digest
+ */
+function contentKey(entry, inputs, projectRoot) {
+  const hash = crypto.createHash('sha256').update(entry);
+  [...inputs].sort().forEach((input) => {
+    const filePath = path.resolve(projectRoot, input);
+    hash.update(`\0${input}\0${fs.existsSync(filePath) ? sha256(fs.readFileSync(filePath)) : 'missing'}`);
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Read a JSON cache file
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {*} Parsed contents, or null when missing or unreadable
+ */
+function readCacheFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'), (_key, value) =>
+      value && typeof value.$buffer === 'string' ? Buffer.from(value.$buffer, 'base64') : value
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a JSON cache file, via a temporary file so parallel builds never
+ * read a half-written one
+ *
+ * @param {string} filePath - Absolute path
+ * @param {*} data - Data to store; Buffers are stored as base64
+ */
+function writeCacheFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const json = JSON.stringify(data, function (key, value) {
+    // JSON.stringify calls Buffer#toJSON before the replacer sees the value
+    const original = this[key];
+    return Buffer.isBuffer(original) ? { $buffer: original.toString('base64') } : value;
+  });
+  const temporary = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, json);
+  fs.renameSync(temporary, filePath);
+}
+
+/**
+ * Look up a stored bundle
+ *
+ * @param {DiskCache} disk - Disk cache settings
+ * @param {string} key - Bundle identity
+ * @param {string} signature - Everything the build options depend on
+ * @param {string} projectRoot - Project root directory
+ * @returns {{output: *, inputs: string[]}|null} Stored output and its absolute input paths, or null on a miss
+ */
+function readBundle(disk, key, signature, projectRoot) {
+  const dir = path.resolve(projectRoot, disk.dir);
+  const entry = entryKey(disk, key, signature, projectRoot);
+  const record = readCacheFile(path.join(dir, 'entries', `${entry}.json`));
+  if (!record) {
+    return null;
+  }
+
+  const stored = readCacheFile(path.join(dir, `${contentKey(entry, record.inputs, projectRoot)}.json`));
+  if (!stored) {
+    return null;
+  }
+  return { output: stored.output, inputs: record.inputs.map((input) => path.resolve(projectRoot, input)) };
+}
+
+/**
+ * Store a bundle under the contents of the files it was built from
+ *
+ * @param {DiskCache} disk - Disk cache settings
+ * @param {string} key - Bundle identity
+ * @param {string} signature - Everything the build options depend on
+ * @param {string} projectRoot - Project root directory
+ * @param {string[]} inputs - Absolute paths of the files the bundle was built from
+ * @param {*} output - Bundle output to store
+ */
+function writeBundle(disk, key, signature, projectRoot, inputs, output) {
+  const dir = path.resolve(projectRoot, disk.dir);
+  const entry = entryKey(disk, key, signature, projectRoot);
+  const relativeInputs = [...new Set(inputs)].map((input) =>
+    path.relative(projectRoot, input).split(path.sep).join('/')
+  );
+
+  writeCacheFile(path.join(dir, 'entries', `${entry}.json`), { inputs: relativeInputs });
+  writeCacheFile(path.join(dir, `${contentKey(entry, relativeInputs, projectRoot)}.json`), { key, output });
+}
+
+export { optionsHash, readBundle, writeBundle };
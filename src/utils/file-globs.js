@@ -0,0 +1,151 @@
+/**
+ * File Globs - Patterns in manifest `styles` and `scripts`
+ *
+ * A component split into several files can list them by pattern instead of
+ * by name, so adding a file doesn't mean editing the manifest:
+ *
+ *   "styles": ["hero.css", "variants/*.css", "!variants/*.draft.css"]
+ *
+ * Patterns are matched against paths relative to the component folder:
+ *
+ * - `*` matches any characters except `/`, `?` one of them
+ * - `**` matches any number of folders
+ * - `{a,b}` matches either alternative
+ * - a leading `!` excludes what the pattern matches
+ *
+ * Expansion is deterministic: entries keep their order in the list, the
+ * files one pattern matches are sorted, a file listed twice appears once,
+ * and exclusions apply to the whole list wherever they stand. Names without
+ * pattern characters are kept as they are, whether or not they exist.
+ * Manifest files are never matched, so `*.js` doesn't bundle a manifest.js.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Characters that make a list entry a pattern
+const GLOB_CHARACTERS = /[*?{}]/;
+
+// Folders a pattern never descends into
+const SKIPPED_FOLDERS = new Set(['node_modules', '.git']);
+
+// Files a pattern never matches
+const MANIFEST_PATTERN = /^manifest\.(json|ya?ml|js)$/;
+
+/**
+ * Whether a list entry is a pattern or an exclusion
+ *
+ * @param {string} entry - Entry of a styles or scripts list
+ * @returns {boolean} True for patterns and exclusions
+ */
+function isGlob(entry) {
+  return entry.startsWith('!') || GLOB_CHARACTERS.test(entry);
+}
+
+/**
+ * Turn a glob pattern into a regular expression
+ *
+ * @param {string} pattern - Pattern relative to the component folder
+ * @returns {RegExp} Expression matching whole relative paths
+ *
+ * @example
+ * globToRegExp('variants/*.css').test('variants/dark.css') // → true
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inBraces = false;
+  const normalized = pattern.replace(/^\.\//, '');
+
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (char === '*' && normalized[i + 1] === '*') {
+      // `**/` matches zero or more folders; a trailing `**` matches everything below
+      const slash = normalized[i + 2] === '/';
+      source += slash ? '(?:[^/]+/)*' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inBraces = true;
+      source += '(?:';
+    } else if (char === '}' && inBraces) {
+      inBraces = false;
+      source += ')';
+    } else if (char === ',' && inBraces) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Every file below a folder, as sorted relative paths with `/` separators
+ *
+ * @param {string} dirPath - Folder to list
+ * @param {string} [prefix] - Relative path of dirPath, for recursion
+ * @returns {string[]} Relative file paths
+ */
+function listFiles(dirPath, prefix = '') {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dirPath)
+    .sort()
+    .flatMap((name) => {
+      const relative = `${prefix}${name}`;
+      if (fs.statSync(path.join(dirPath, name)).isDirectory()) {
+        return SKIPPED_FOLDERS.has(name) ? [] : listFiles(path.join(dirPath, name), `${relative}/`);
+      }
+      return MANIFEST_PATTERN.test(relative) ? [] : [relative];
+    });
+}
+
+/**
+ * Files of a component folder a pattern matches
+ *
+ * @param {string} pattern - Pattern, without a leading `!`
+ * @param {string[]} files - Relative file paths of the component folder
+ * @returns {string[]} Matching paths, sorted
+ */
+function matchFiles(pattern, files) {
+  const expression = globToRegExp(pattern);
+  return files.filter((file) => expression.test(file));
+}
+
+/**
+ * Expand the patterns of a styles or scripts list
+ *
+ * @param {string[]} entries - Manifest list: file names, patterns and exclusions
+ * @param {string} componentPath - Component folder
+ * @returns {string[]} File names, relative to the component folder
+ */
+function expandFileList(entries, componentPath) {
+  if (!entries.some(isGlob)) {
+    return entries;
+  }
+
+  const files = listFiles(componentPath);
+  const included = [];
+  const excluded = new Set();
+  entries.forEach((entry) => {
+    if (entry.startsWith('!')) {
+      matchFiles(entry.slice(1), files).forEach((file) => {
+        excluded.add(file);
+      });
+    } else if (GLOB_CHARACTERS.test(entry)) {
+      included.push(...matchFiles(entry, files));
+    } else {
+      included.push(entry);
+    }
+  });
+
+  return [...new Set(included)].filter((file) => !excluded.has(file.replace(/^\.\//, '')));
+}
+
+export { expandFileList, globToRegExp, isGlob, listFiles, matchFiles };
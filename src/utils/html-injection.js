@@ -0,0 +1,176 @@
+/**
+ * HTML Injection - Stylesheet and script tags for the bundles
+ *
+ * Builds the `<link>` and `<script>` tags a page needs and splices them into
+ * rendered HTML: stylesheets before `</head>`, scripts before `</body>`. A tag
+ * whose bundle the page already references is left out, so hand-written tags
+ * in a layout are never doubled.
+ */
+
+/**
+ * @typedef {Object} TagOptions
+ * @property {string} publicPath - Prefix turning an output path into a URL
+ * @property {boolean} defer - Add `defer` to classic scripts
+ * @property {boolean} module - Load scripts as `type="module"` (deferred by nature)
+ * @property {boolean} [nomodule] - Mark scripts `nomodule`, for browsers without module support only
+ * @property {string|null} nonce - CSP nonce added to every tag
+ * @property {string|null} crossorigin - `crossorigin` value added alongside integrity
+ */
+
+/**
+ * Escape a value for use in a double-quoted HTML attribute
+ *
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Escape a string for literal use in a regular expression
+ *
+ * @param {string} value - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Render an attribute list, skipping attributes without a value
+ *
+ * @param {Array<[string, string|boolean|null|undefined]>} attributes - Name/value pairs; `true` renders a bare attribute
+ * @returns {string} Attributes with a leading space each
+ */
+function renderAttributes(attributes) {
+  return attributes
+    .filter(([, value]) => value !== null && value !== undefined && value !== false)
+    .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`))
+    .join('');
+}
+
+/**
+ * Build the `<link>` tag for a stylesheet
+ *
+ * @param {string} assetPath - Output path of the stylesheet
+ * @param {string|null} integrity - SRI string, or null
+ * @param {TagOptions} options - Tag options
+ * @returns {string} The tag
+ */
+function stylesheetTag(assetPath, integrity, options) {
+  return `<link${renderAttributes([
+    ['rel', 'stylesheet'],
+    ['href', `${options.publicPath}${assetPath}`],
+    ['integrity', integrity],
+    ['crossorigin', integrity ? options.crossorigin : null],
+    ['nonce', options.nonce]
+  ])}>`;
+}
+
+/**
+ * Build the tags that load a stylesheet without blocking rendering
+ *
+ * The stylesheet is preloaded and switched to `rel="stylesheet"` once it
+ * arrives; browsers without JavaScript get a plain `<link>` from `<noscript>`.
+ *
+ * @param {string} assetPath - Output path of the stylesheet
+ * @param {string|null} integrity - SRI string, or null
+ * @param {TagOptions} options - Tag options
+ * @returns {string} The tags
+ */
+function asyncStylesheetTag(assetPath, integrity, options) {
+  const preload = `<link${renderAttributes([
+    ['rel', 'preload'],
+    ['as', 'style'],
+    ['href', `${options.publicPath}${assetPath}`],
+    ['integrity', integrity],
+    ['crossorigin', integrity ? options.crossorigin : null],
+    ['nonce', options.nonce],
+    ['onload', "this.onload=null;this.rel='stylesheet'"]
+  ])}>`;
+  return `${preload}\n<noscript>${stylesheetTag(assetPath, integrity, options)}</noscript>`;
+}
+
+/**
+ * Build the inline `<style>` tag for a page's critical CSS
+ *
+ * @param {string} css - Critical CSS
+ * @param {TagOptions} options - Tag options
+ * @returns {string} The tag
+ */
+function criticalStyleTag(css, options) {
+  // A literal </style> in the CSS (say, in a content string) would end the tag early
+  const contents = css.replace(/<\/style/gi, '<\\/style');
+  return `<style${renderAttributes([
+    ['data-critical', true],
+    ['nonce', options.nonce]
+  ])}>${contents}</style>`;
+}
+
+/**
+ * Build the `<script>` tag for a script
+ *
+ * @param {string} assetPath - Output path of the script
+ * @param {string|null} integrity - SRI string, or null
+ * @param {TagOptions} options - Tag options
+ * @returns {string} The tag
+ */
+function scriptTag(assetPath, integrity, options) {
+  return `<script${renderAttributes([
+    ['type', options.module ? 'module' : null],
+    ['src', `${options.publicPath}${assetPath}`],
+    ['nomodule', options.nomodule],
+    ['defer', options.defer && !options.module],
+    ['integrity', integrity],
+    ['crossorigin', integrity ? options.crossorigin : null],
+    ['nonce', options.nonce]
+  ])}></script>`;
+}
+
+/**
+ * Whether a page already references an asset from a `<link>` or `<script>`
+ *
+ * Matches the path with or without the public path prefix, so a layout that
+ * links `/assets/main.css` by hand keeps its own tag.
+ *
+ * @param {string} html - Page HTML
+ * @param {string} assetPath - Output path of the asset
+ * @param {string} publicPath - Prefix turning an output path into a URL
+ * @returns {boolean} True when the page already references the asset
+ */
+function referencesAsset(html, assetPath, publicPath) {
+  const url = `(?:${escapeRegExp(publicPath)})?/?${escapeRegExp(assetPath)}`;
+  return new RegExp(`(?:href|src)\\s*=\\s*["']${url}["']`).test(html);
+}
+
+/**
+ * Insert markup before a closing tag, or leave the page alone when the tag is
+ * missing (a fragment rather than a full document)
+ *
+ * @param {string} html - Page HTML
+ * @param {string} closingTag - Closing tag to insert before, e.g. "</head>"
+ * @param {string[]} markup - Tags to insert, in order
+ * @returns {string} The page with the markup inserted
+ */
+function insertBefore(html, closingTag, markup) {
+  if (markup.length === 0) {
+    return html;
+  }
+  const index = html.toLowerCase().lastIndexOf(closingTag);
+  if (index === -1) {
+    return html;
+  }
+  return `${html.slice(0, index)}${markup.join('\n')}\n${html.slice(index)}`;
+}
+
+export {
+  asyncStylesheetTag,
+  criticalStyleTag,
+  escapeAttribute,
+  insertBefore,
+  referencesAsset,
+  renderAttributes,
+  scriptTag,
+  stylesheetTag
+};
@@ -0,0 +1,198 @@
+/**
+ * Import Resolver - Resolves @import and import paths for the bundles
+ *
+ * Every stylesheet and script is loaded from where it lives on disk, so
+ * relative imports already resolve against the file that contains them.
+ * This resolver adds the two lookups esbuild does not do for CSS on its own:
+ *
+ * - Aliases: `@import "@tokens/colors.css"` with `{ '@tokens': 'lib/assets/tokens' }`
+ *   reads `lib/assets/tokens/colors.css`, from any file at any depth. Aliases
+ *   apply to script imports too.
+ * - Packages: `@import "normalize.css"` or `@import "~open-props/style"` finds
+ *   the package in the nearest node_modules, using the package's `style`
+ *   field when no file inside it is named.
+ *
+ * An import that resolves nowhere fails the build, naming the file it is in.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Extensions tried when a stylesheet import names a file without one
+const STYLESHEET_EXTENSIONS = ['', '.css', '.scss'];
+
+/**
+ * Whether an import path is left to esbuild as written
+ *
+ * @param {string} importPath - Import path
+ * @returns {boolean} True for relative, absolute and URL imports
+ */
+function isDirectPath(importPath) {
+  return (
+    importPath.startsWith('./') ||
+    importPath.startsWith('../') ||
+    path.isAbsolute(importPath) ||
+    /^[a-z][a-z0-9+.-]*:/i.test(importPath)
+  );
+}
+
+/**
+ * Rewrite an import path through the configured aliases
+ *
+ * The longest matching alias wins, so `@ui/forms` can point somewhere other
+ * than `@ui`. An alias matches the whole path or a path prefix ending at `/`.
+ *
+ * @param {string} importPath - Import path
+ * @param {Object<string, string>} aliases - Alias → target, targets relative to the project root
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} Absolute path, or null when no alias matches
+ *
+ * @example
+ * applyAlias('@tokens/colors.css', { '@tokens': 'lib/assets/tokens' }, '/site')
+ * // → '/site/lib/assets/tokens/colors.css'
+ */
+function applyAlias(importPath, aliases, projectRoot) {
+  const match = Object.keys(aliases)
+    .filter((alias) => importPath === alias || importPath.startsWith(`${alias}/`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!match) {
+    return null;
+  }
+  return path.resolve(projectRoot, aliases[match], `.${importPath.slice(match.length)}`);
+}
+
+/**
+ * Find the first existing stylesheet for a path that may omit its extension
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {string|null} Existing file, or null
+ */
+function findStylesheet(filePath) {
+  const found = STYLESHEET_EXTENSIONS.map((ext) => `${filePath}${ext}`).find(
+    (candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile()
+  );
+  return found || null;
+}
+
+/**
+ * Find a package's folder in the nearest node_modules that has it
+ *
+ * Walks up from `resolveDir`, the same search Node does for scripts.
+ *
+ * @param {string} packageName - Package name, e.g. "normalize.css" or "@scope/pkg"
+ * @param {string} resolveDir - Folder to start from
+ * @returns {string|null} Absolute package folder, or null
+ */
+function findPackageDir(packageName, resolveDir) {
+  let dir = resolveDir;
+  while (true) {
+    const packageDir = path.join(dir, 'node_modules', packageName);
+    if (fs.existsSync(packageDir)) {
+      return packageDir;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Resolve a stylesheet import from a package in node_modules
+ *
+ * Walks up from the importing file's folder to the nearest node_modules that
+ * has the package, the same search Node does for scripts. A leading `~`
+ * (the webpack convention) is accepted and ignored.
+ *
+ * @param {string} importPath - Bare import, e.g. "normalize.css" or "@scope/pkg/file.css"
+ * @param {string} resolveDir - Folder of the importing file
+ * @returns {string|null} Absolute path of the stylesheet, or null
+ */
+function resolvePackageStylesheet(importPath, resolveDir) {
+  const specifier = importPath.replace(/^~/, '');
+  const parts = specifier.split('/');
+  const nameLength = specifier.startsWith('@') ? 2 : 1;
+  const packageName = parts.slice(0, nameLength).join('/');
+  const subpath = parts.slice(nameLength).join('/');
+
+  const packageDir = findPackageDir(packageName, resolveDir);
+  if (!packageDir) {
+    return null;
+  }
+  if (subpath) {
+    return findStylesheet(path.join(packageDir, subpath));
+  }
+  const packageJsonPath = path.join(packageDir, 'package.json');
+  const packageJson = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')) : {};
+  const entry = packageJson.style || (/\.s?css$/.test(packageJson.main || '') ? packageJson.main : 'index.css');
+  return findStylesheet(path.join(packageDir, entry));
+}
+
+/**
+ * esbuild plugin resolving aliased imports, and package imports in CSS
+ *
+ * @param {Object} options - Resolver options
+ * @param {Object<string, string>} options.aliases - Alias → target, targets relative to the project root
+ * @param {string} options.projectRoot - Project root directory
+ * @returns {import('esbuild').Plugin} esbuild plugin
+ */
+function importResolverPlugin({ aliases, projectRoot }) {
+  return {
+    name: 'bundled-components-import-resolver',
+    setup(build) {
+      build.onResolve({ filter: /.*/ }, async (args) => {
+        // Our own build.resolve() calls below come back through here
+        if (args.pluginData?.resolvedAlias || isDirectPath(args.path)) {
+          return undefined;
+        }
+
+        const importer = args.importer ? path.relative(projectRoot, args.importer) : 'the bundle entry';
+        const isStylesheetImport = args.kind === 'import-rule';
+
+        const aliased = applyAlias(args.path, aliases, projectRoot);
+        if (aliased) {
+          if (isStylesheetImport) {
+            const found = findStylesheet(aliased);
+            if (found) {
+              return { path: found };
+            }
+            const target = path.relative(projectRoot, aliased);
+            return {
+              errors: [{ text: `Cannot resolve @import "${args.path}" in ${importer} (alias points to ${target})` }]
+            };
+          }
+          // Let esbuild apply its usual extension and index lookups to the target
+          const result = await build.resolve(aliased, {
+            kind: args.kind,
+            resolveDir: args.resolveDir,
+            pluginData: { resolvedAlias: true }
+          });
+          return result.errors.length > 0 ? { errors: result.errors } : { path: result.path };
+        }
+
+        // Bare script imports are packages, which esbuild resolves already
+        if (!isStylesheetImport) {
+          return undefined;
+        }
+
+        // In CSS a bare path is relative first, as browsers read it
+        const relative = findStylesheet(path.resolve(args.resolveDir, args.path));
+        if (relative) {
+          return { path: relative };
+        }
+
+        const fromPackage = resolvePackageStylesheet(args.path, args.resolveDir);
+        if (fromPackage) {
+          return { path: fromPackage };
+        }
+
+        const reason = 'not a file next to it, a configured alias, or a package in node_modules';
+        return { errors: [{ text: `Cannot resolve @import "${args.path}" in ${importer}: ${reason}` }] };
+      });
+    }
+  };
+}
+
+export { applyAlias, findPackageDir, importResolverPlugin, isDirectPath, resolvePackageStylesheet };
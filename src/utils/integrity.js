@@ -0,0 +1,22 @@
+/**
+ * Subresource Integrity - Hashes a browser can verify a bundle against
+ *
+ * A page that loads a bundle from a CDN can pin the exact bytes it expects
+ * with an `integrity` attribute; the browser refuses the file when the CDN
+ * serves anything else.
+ */
+
+import crypto from 'node:crypto';
+
+/**
+ * Compute a Subresource Integrity string
+ *
+ * @param {string|Buffer} contents - File contents as served
+ * @param {string} [algorithm] - Hash algorithm: sha256, sha384 or sha512
+ * @returns {string} Integrity string, e.g. "sha384-oqVuAfXRKap7fdgcCY5uykM6+R9GqQ8K/uxy9rx7HNQlGYl1kPzQho1wx4JwY8wC"
+ */
+function integrityHash(contents, algorithm = 'sha384') {
+  return `${algorithm}-${crypto.createHash(algorithm).update(contents).digest('base64')}`;
+}
+
+export { integrityHash };
@@ -0,0 +1,117 @@
+/**
+ * Lazy Loader - Entry for ES module output with lazily loaded section scripts
+ *
+ * In `esm` mode the main entry and partial scripts load up front, as before,
+ * and each section's scripts are split into a chunk of their own. The entry
+ * carries a small loader that imports a section's chunk only once an element
+ * marked with the section's name comes near the viewport:
+ *
+ *   <section data-component="gallery">…</section>
+ *
+ * A gallery further down the page then costs nothing until the visitor
+ * scrolls towards it. Markers added to the page later (by other scripts) are
+ * picked up too. Browsers without IntersectionObserver load every marked
+ * section straight away.
+ */
+
+/**
+ * Runtime part of the loader. `sections` maps section names to functions
+ * importing their chunk; `rootMargin` is substituted when the entry is built.
+ */
+const LOADER_RUNTIME = `
+const loaded = new Set();
+
+function load(name) {
+  if (loaded.has(name) || !sections[name]) {
+    return;
+  }
+  loaded.add(name);
+  sections[name]().catch((error) => {
+    loaded.delete(name);
+    console.error(\`Could not load the script for section "\${name}"\`, error);
+  });
+}
+
+const observer =
+  'IntersectionObserver' in window
+    ? new IntersectionObserver(
+        (entries) => {
+          entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+              observer.unobserve(entry.target);
+              load(entry.target.dataset.component);
+            }
+          });
+        },
+        { rootMargin: ROOT_MARGIN }
+      )
+    : null;
+
+function watch(element) {
+  const name = element.dataset.component;
+  if (!sections[name] || loaded.has(name)) {
+    return;
+  }
+  if (observer) {
+    observer.observe(element);
+  } else {
+    load(name);
+  }
+}
+
+function scan(root) {
+  if (root.matches?.('[data-component]')) {
+    watch(root);
+  }
+  root.querySelectorAll('[data-component]').forEach(watch);
+}
+
+scan(document);
+
+new MutationObserver((records) => {
+  records.forEach((record) => {
+    record.addedNodes.forEach((node) => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        scan(node);
+      }
+    });
+  });
+}).observe(document.documentElement, { childList: true, subtree: true });
+`;
+
+/**
+ * Build the entry module for `esm` output
+ *
+ * @param {string[]} eagerFiles - Absolute paths imported up front, in order (main entry, partial scripts)
+ * @param {Map<string, string[]>} lazySections - Absolute script paths per section name
+ * @param {string} rootMargin - IntersectionObserver rootMargin, how far ahead of the viewport to start loading
+ * @returns {string} Entry module source
+ *
+ * @example
+ * lazyLoaderEntry(['/site/lib/assets/main.js'], new Map([['gallery', ['/site/.../gallery.js']]]), '200px')
+ * // → import "/site/lib/assets/main.js";
+ * //   const sections = { "gallery": () => import("/site/.../gallery.js") };
+ * //   …loader runtime
+ */
+function lazyLoaderEntry(eagerFiles, lazySections, rootMargin) {
+  const imports = eagerFiles.map((file) => `import ${JSON.stringify(file)};`);
+
+  if (lazySections.size === 0) {
+    return imports.join('\n');
+  }
+
+  const entries = [...lazySections].map(([name, scripts]) => {
+    const loaders = scripts.map((file) => `import(${JSON.stringify(file)})`);
+    const body = loaders.length === 1 ? loaders[0] : `Promise.all([${loaders.join(', ')}])`;
+    return `  ${JSON.stringify(name)}: () => ${body}`;
+  });
+
+  return [
+    ...imports,
+    `const sections = {\n${entries.join(',\n')}\n};`,
+    `const ROOT_MARGIN = ${JSON.stringify(rootMargin)};`,
+    LOADER_RUNTIME
+  ].join('\n');
+}
+
+export { lazyLoaderEntry };
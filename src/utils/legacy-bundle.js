@@ -0,0 +1,26 @@
+/**
+ * Legacy Bundle - Naming for the differential (module/nomodule) JS bundles
+ *
+ * With differential bundles on, modern browsers load the regular JS bundle as
+ * `<script type="module">` and skip `<script nomodule>`; browsers without
+ * module support do the opposite. Each side gets a bundle compiled for its
+ * own target, so modern browsers don't download the down-levelled code.
+ */
+
+import path from 'node:path';
+
+/**
+ * Output path of the legacy bundle for a JS bundle
+ *
+ * @param {string} dest - Output path of the modern bundle
+ * @returns {string} Output path of the legacy bundle
+ *
+ * @example
+ * legacyPath('assets/main.js') // → 'assets/main.legacy.js'
+ */
+function legacyPath(dest) {
+  const ext = path.posix.extname(dest);
+  return `${dest.slice(0, dest.length - ext.length)}.legacy${ext}`;
+}
+
+export { legacyPath };
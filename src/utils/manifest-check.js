@@ -0,0 +1,185 @@
+/**
+ * Manifest Check - Catches mistakes in component manifests themselves
+ *
+ * A manifest key the plugin doesn't know is ignored, so a typo such as
+ * `"require": ["button"]` or `"style": "hero.css"` quietly leaves a
+ * requirement or a stylesheet out of the build. Each manifest is checked
+ * when its component is loaded:
+ *
+ * - keys the plugin doesn't know, with the known key they were probably meant to be
+ * - keys of the wrong type, such as `"styles": "hero.css"`
+ * - styles and scripts that don't exist in the component folder, and
+ *   patterns that match none
+ * - a `name` other than the folder name
+ *
+ * Every problem of every manifest is listed in one report after discovery.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { isGlob, listFiles, matchFiles } from './file-globs.js';
+
+/**
+ * Known manifest keys and the type each must have
+ *
+ * `description` and `version` are only read by people; `fields` and
+ * `abstract` by the editor schema; `validation` by section validation.
+ */
+const MANIFEST_KEYS = {
+  name: 'string',
+  type: 'string',
+  description: 'string',
+  version: 'string',
+  styles: 'string[]',
+  scripts: 'string[]',
+  requires: 'string[]',
+  dependencies: 'string[]',
+  validation: 'object',
+  fields: 'object',
+  abstract: 'boolean',
+  budget: 'object',
+  safelist: 'array',
+  extends: 'string'
+};
+
+/**
+ * @typedef {Object} ManifestProblems
+ * @property {string} name - Component name
+ * @property {string} manifestPath - Manifest file path
+ * @property {string[]} issues - What is wrong, one sentence each
+ */
+
+/**
+ * Edit distance between two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Insertions, deletions and substitutions turning a into b
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * The known key an unknown key was most likely meant to be
+ *
+ * @param {string} key - Unknown key
+ * @returns {string|null} Closest known key, or null when none is close
+ *
+ * @example
+ * suggestKey('require') // → 'requires'
+ * suggestKey('colour') // → null
+ */
+function suggestKey(key) {
+  const candidates = Object.keys(MANIFEST_KEYS)
+    .map((known) => ({ known, distance: editDistance(key.toLowerCase(), known) }))
+    .filter(({ known, distance }) => distance <= Math.max(1, Math.floor(known.length / 3)))
+    .sort((a, b) => a.distance - b.distance);
+  return candidates.length > 0 ? candidates[0].known : null;
+}
+
+/**
+ * Describe a value's type the way the report names types
+ *
+ * @param {*} value - Any value
+ * @returns {string} e.g. "string", "array" or "null"
+ */
+function typeName(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Whether a value has the type a manifest key needs
+ *
+ * @param {*} value - Manifest value
+ * @param {string} type - Type from MANIFEST_KEYS
+ * @returns {boolean} True when the type matches
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'string[]':
+      return Array.isArray(value) && value.every((item) => typeof item === 'string');
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeName(value) === 'object';
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Check a manifest for unknown keys, wrong types, missing files and a
+ * name that doesn't match its folder
+ *
+ * @param {Object} manifest - Manifest as read from its file
+ * @param {string} componentPath - Component folder
+ * @param {string} folderName - Name of the component folder
+ * @returns {string[]} Problems found, empty when there are none
+ */
+function checkManifest(manifest, componentPath, folderName) {
+  const issues = [];
+
+  Object.keys(manifest).forEach((key) => {
+    const type = MANIFEST_KEYS[key];
+    if (!type) {
+      const suggestion = suggestKey(key);
+      issues.push(`unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      return;
+    }
+    if (!hasType(manifest[key], type)) {
+      const expected = type === 'string[]' ? 'an array of strings' : `a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}`;
+      issues.push(`"${key}" should be ${expected}, got ${typeName(manifest[key])}`);
+    }
+  });
+
+  ['styles', 'scripts'].forEach((key) => {
+    if (!hasType(manifest[key], 'string[]')) {
+      return;
+    }
+    const files = manifest[key].some(isGlob) ? listFiles(componentPath) : [];
+    manifest[key].forEach((entry) => {
+      if (!isGlob(entry)) {
+        if (!fs.existsSync(path.resolve(componentPath, entry))) {
+          issues.push(`"${key}" lists "${entry}", which does not exist in the component folder`);
+        }
+      } else if (!entry.startsWith('!') && matchFiles(entry, files).length === 0) {
+        issues.push(`"${key}" pattern "${entry}" matches no files in the component folder`);
+      }
+    });
+  });
+
+  if (typeof manifest.name === 'string' && manifest.name !== folderName) {
+    issues.push(`"name" is "${manifest.name}" but the folder is "${folderName}"`);
+  }
+
+  return issues;
+}
+
+/**
+ * Format every manifest's problems as one report
+ *
+ * @param {ManifestProblems[]} problems - Problems per manifest
+ * @param {string} projectRoot - Project root directory, for shorter paths
+ * @returns {string} Report for the console
+ */
+function formatManifestReport(problems, projectRoot) {
+  const sections = problems.map(({ name, manifestPath, issues }) => {
+    const where = path.relative(projectRoot, manifestPath).split(path.sep).join('/');
+    return `  ${name} (${where})\n${issues.map((issue) => `    - ${issue}`).join('\n')}`;
+  });
+  return `Manifest problems:\n\n${sections.join('\n\n')}`;
+}
+
+export { checkManifest, formatManifestReport, MANIFEST_KEYS, suggestKey };
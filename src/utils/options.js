@@ -27,37 +27,191 @@
  * @property {string} [overridesPath] - Directory holding per-component override files, relative to the project root
  */
 
+/**
+ * @typedef {Object} PerPageOptions
+ * @property {boolean} [enabled] - Bundle a shared chunk plus a chunk per distinct page component set
+ * @property {number} [sharedThreshold] - Fraction of pages (0-1] a component must be used on to go in the shared chunk
+ * @property {string} [dest] - Directory the page-specific chunks are written to
+ */
+
+/**
+ * @typedef {Object} HashingOptions
+ * @property {boolean} [enabled] - Write bundles under content-hashed names, e.g. `assets/main.1a2b3c4d.css`
+ * @property {number} [length] - Number of hex characters in the hash
+ * @property {string} [manifest] - Output path for the asset manifest JSON
+ */
+
+/**
+ * @typedef {Object} IntegrityOptions
+ * @property {boolean} [enabled] - Compute Subresource Integrity strings for the emitted bundles
+ * @property {string} [algorithm] - Hash algorithm: sha256, sha384 or sha512
+ */
+
+/**
+ * @typedef {Object} LegacyOptions
+ * @property {boolean} [enabled] - Also build a legacy `nomodule` JS bundle next to the modern `module` one
+ * @property {string} [target] - esbuild target of the legacy bundle
+ */
+
+/**
+ * @typedef {Object} ChunkOptions
+ * @property {string} [dest] - Directory lazily loaded section chunks are written to (esm format)
+ * @property {string} [rootMargin] - How far ahead of the viewport a section's chunk starts loading, as an IntersectionObserver rootMargin
+ */
+
+/**
+ * @typedef {Object} AssetOptions
+ * @property {boolean} [hash] - Add a content hash to the names of copied url() assets
+ * @property {number} [inlineLimit] - Inline url() assets up to this many bytes as data URIs, 0 to never inline
+ * @property {string|null} [publicPath] - Prefix for rewritten url()s, e.g. "/"; null makes them relative to the bundle
+ */
+
+/**
+ * @typedef {Object} ResolveOptions
+ * @property {Object<string, string>} [aliases] - Import path prefix → folder relative to the project root, for CSS @import and JS imports
+ */
+
+/**
+ * @typedef {Object} TypeScriptOptions
+ * @property {boolean} [typeCheck] - Run tsc over the bundled TypeScript scripts and report errors per component
+ * @property {boolean} [strict] - Fail build on type errors (vs warnings only)
+ * @property {string|null} [tsconfig] - tsconfig.json to check with, relative to the project root; strict defaults when null
+ */
+
+/**
+ * @typedef {Object} AnalyzeOptions
+ * @property {boolean} [enabled] - Report the bytes each component, main entry and package adds to the bundles
+ * @property {string} [report] - Output path of the JSON report
+ * @property {string|null} [html] - Output path of the HTML treemap, or null for none
+ */
+
+/**
+ * @typedef {Object} BudgetOptions
+ * @property {string|number|null} [css] - Largest allowed CSS bundle, e.g. "40kb", or null for no limit
+ * @property {string|number|null} [js] - Largest allowed JS bundle, e.g. "100kb", or null for no limit
+ * @property {'raw'|'gzip'} [measure] - Whether budgets, these and the ones in manifests, apply to raw or gzip sizes
+ * @property {boolean} [strict] - Fail build when a budget is exceeded (vs warnings only)
+ */
+
+/**
+ * @typedef {Object} CriticalOptions
+ * @property {boolean} [enabled] - Build a critical stylesheet per page, inlined by injectBundles
+ * @property {number} [sections] - How many of a page's first sections count as above the fold
+ * @property {string[]} [include] - Components that are always critical, such as a header the layout renders
+ * @property {string} [publicPath] - Prefix for url()s in critical CSS, which is inlined into pages at any depth
+ */
+
+/**
+ * @typedef {Object} PurgeOptions
+ * @property {boolean} [enabled] - Mark the CSS bundles so purgeBundles can drop rules no rendered page uses
+ * @property {Array<string|RegExp>} [safelist] - Class and id names always kept, e.g. "is-open" or "hero--*"; manifests add their own
+ */
+
+/**
+ * @typedef {Object} CompressOptions
+ * @property {boolean} [enabled] - Add precompressed `.gz`/`.br` variants of the CSS and JS bundles
+ * @property {boolean} [gzip] - Emit `.gz` variants
+ * @property {boolean} [brotli] - Emit `.br` variants
+ * @property {number} [gzipLevel] - gzip level, 1 (fastest) to 9 (smallest)
+ * @property {number} [brotliLevel] - Brotli quality, 0 (fastest) to 11 (smallest)
+ * @property {number} [threshold] - Leave files smaller than this many bytes uncompressed
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {boolean} [enabled] - Store bundles on disk and reuse them in later builds while their inputs are unchanged
+ * @property {string} [dir] - Cache directory, relative to the project root
+ */
+
+/**
+ * @typedef {Object} ManifestCheckOptions
+ * @property {boolean} [enabled] - Check manifests for unknown keys, wrong types, missing files and mismatched names
+ * @property {boolean} [strict] - Fail the build on a manifest problem instead of warning
+ */
+
+/**
+ * @typedef {Object} ComponentRootOptions
+ * @property {string} [name] - Root name for debug output; defaults to the package name or path
+ * @property {string} [path] - Local folder of the root, relative to the project root
+ * @property {string} [package] - Package in node_modules holding the root
+ * @property {string} [basePath] - Partials folder inside the root (default '_partials')
+ * @property {string} [sectionsPath] - Sections folder inside the root (default 'sections')
+ */
+
 /**
  * @typedef {Object} BundledComponentsOptions
  * @property {string} [basePath] - Path to base/partial components directory
  * @property {string} [sectionsPath] - Path to section components directory
+ * @property {Array<string|ComponentRootOptions>} [roots] - Component roots searched before basePath and sectionsPath, later ones shadowing earlier ones
+ * @property {number} [maxDepth] - Folder levels below basePath and sectionsPath searched for components in category folders
+ * @property {string[]} [allowedPaths] - Folders outside component folders that manifest styles and scripts may reference
  * @property {string} [layoutsPath] - Path to layouts directory for scanning template includes
  * @property {string} [cssDest] - Output path for bundled CSS file
  * @property {string} [jsDest] - Output path for bundled JavaScript file
+ * @property {string} [assetsDest] - Output folder for images and fonts referenced with url() from component CSS
  * @property {string} [mainCSSEntry] - Main CSS entry point (design tokens, base styles)
  * @property {string} [mainJSEntry] - Main JavaScript entry point (app initialization)
+ * @property {boolean} [preferScss] - Auto-discovery takes <name>.scss over a <name>.css next to it
+ * @property {boolean} [preferTypeScript] - Auto-discovery takes <name>.ts or <name>.mts over a <name>.js next to it
  * @property {boolean} [minifyOutput] - Enable esbuild minification for production
+ * @property {boolean} [incremental] - Reuse unchanged components and bundles across runs, with esbuild contexts in watch mode
+ * @property {CacheOptions} [cache] - Bundle cache on disk, shared between separate builds
+ * @property {'iife'|'esm'} [format] - JS output: one classic script, or an ES module that loads section scripts lazily
+ * @property {ChunkOptions} [chunks] - Lazily loaded section chunks (esm format)
+ * @property {string|string[]} [target] - esbuild target of the JS bundle, e.g. 'es2020' or ['chrome90', 'safari14']
+ * @property {LegacyOptions} [legacy] - Differential modern/legacy JS bundles
+ * @property {'inline'|'external'|false} [sourcemap] - Source maps for the bundles: embedded, as `<dest>.map` files, or none
  * @property {PostCSSConfiguration} [postcss] - PostCSS configuration via esbuild plugin
+ * @property {ManifestCheckOptions} [manifestCheck] - Checks of the manifests themselves
  * @property {ValidationOptions} [validation] - Component property validation settings
  * @property {SchemaOptions} [schema] - Editor schema emit settings
  * @property {LayerOptions} [layers] - Cascade layer wrapping and site override pickup
+ * @property {PerPageOptions} [perPage] - Per-page bundle splitting
+ * @property {HashingOptions} [hashing] - Content-hashed output names and asset manifest
+ * @property {IntegrityOptions} [integrity] - Subresource Integrity hashes for the bundles
+ * @property {TypeScriptOptions} [typescript] - Type-check pass for TypeScript component scripts
+ * @property {ResolveOptions} [resolve] - Import resolution for the bundles
+ * @property {AssetOptions} [assets] - Handling of url() assets referenced from CSS
+ * @property {AnalyzeOptions} [analyze] - Bundle size report
+ * @property {BudgetOptions} [budgets] - Size budgets for the bundles; component budgets go in manifests
+ * @property {CompressOptions} [compress] - Precompressed variants of the bundles
+ * @property {CriticalOptions} [critical] - Critical CSS per page
+ * @property {PurgeOptions} [purge] - Unused rule removal by purgeBundles
  */
 
 /** @type {BundledComponentsOptions} */
 const defaults = {
   basePath: 'lib/layouts/components/_partials', // Base/partial components (buttons, cards, etc.)
   sectionsPath: 'lib/layouts/components/sections', // Section components (hero, banner, etc.)
+  roots: [], // Component libraries (folders or npm packages) searched first; the site's own components shadow theirs
+  maxDepth: 3, // Category folders (sections/marketing/hero) are searched this many levels down
+  allowedPaths: [], // Shared folders manifests may reference; otherwise files must be inside the component folder
   layoutsPath: 'lib/layouts', // Layouts directory for scanning includes
   cssDest: 'assets/main.css', // Output path for bundled CSS (main + components)
   jsDest: 'assets/main.js', // Output path for bundled JS (main + components)
+  assetsDest: 'assets/media', // url() assets from component CSS are copied here
   mainCSSEntry: 'lib/assets/main.css', // Main CSS entry (design tokens, base styles)
   mainJSEntry: 'lib/assets/main.js', // Main JS entry (app initialization)
+  preferScss: false, // A component's compiled .css wins over its .scss source unless set
+  preferTypeScript: false, // A component's compiled .js wins over its .ts/.mts source unless set
   minifyOutput: false, // Enable esbuild minification
+  incremental: false, // Opt in: skip work whose input files haven't changed since the last run (watch mode)
+  cache: {
+    enabled: false, // Off by default; writes to the project
+    dir: '.cache/bundled-components' // Bundles keyed by their entry, inputs' contents, options and esbuild version
+  },
+  format: 'iife', // 'iife' (one classic script) or 'esm' (section scripts in lazy chunks)
+  target: 'es2020', // esbuild target of the JS bundle
+  sourcemap: false, // 'inline', 'external' (<dest>.map) or false
   postcss: {
     enabled: false, // PostCSS via esbuild plugin
     plugins: [], // PostCSS plugins array
     options: {} // Additional PostCSS options
   },
+  manifestCheck: {
+    enabled: true, // Unknown keys, wrong types, missing files and mismatched names in manifests
+    strict: false // Warn vs fail on manifest problems
+  },
   validation: {
     enabled: true, // Component property validation
     strict: false, // Warn vs fail on validation errors
@@ -73,9 +227,105 @@ const defaults = {
     componentsLayer: 'components', // Component CSS lands in components.<name>
     siteLayer: 'site', // Override CSS lands in site.<name>
     overridesPath: 'lib/overrides' // Per-component overrides: <overridesPath>/<name>/<name>.css
+  },
+  perPage: {
+    enabled: false, // Off by default; one site-wide bundle
+    sharedThreshold: 1, // Shared chunk holds components used on every page
+    dest: 'assets/pages' // Page chunks land in <dest>/page-<hash>.css|js
+  },
+  hashing: {
+    enabled: false, // Off by default; bundles keep their configured names
+    length: 8, // Hex characters of the content hash in file names
+    manifest: 'assets-manifest.json' // Logical name → hashed path, also exposed as metadata.assets
+  },
+  integrity: {
+    enabled: false, // Off by default; SRI strings published on metadata.bundledComponents.integrity
+    algorithm: 'sha384' // SRI hash algorithm
+  },
+  typescript: {
+    typeCheck: false, // Off by default; esbuild strips types without checking them
+    strict: false, // Warn vs fail on type errors
+    tsconfig: null // Check with strict built-in flags unless a tsconfig is given
+  },
+  resolve: {
+    aliases: {} // e.g. { '@tokens': 'lib/assets/tokens' } → @import "@tokens/colors.css"
+  },
+  legacy: {
+    enabled: false, // Off by default; one bundle for every browser
+    target: 'es2015' // Lowest target esbuild can down-level modern syntax to
+  },
+  chunks: {
+    dest: 'assets/chunks', // Section chunks land in <dest>/<name>-<hash>.js
+    rootMargin: '200px' // Start loading a section's chunk 200px before it scrolls into view
+  },
+  assets: {
+    hash: false, // Copied url() assets keep their file names
+    inlineLimit: 0, // Never inline by default; e.g. 4096 inlines files up to 4 KB as data URIs
+    publicPath: null // url()s point at the copies relative to the bundle
+  },
+  analyze: {
+    enabled: false, // Off by default; reports are build artifacts most sites don't publish
+    report: 'bundle-report.json', // Bytes per component, main entry and package, raw and gzip
+    html: 'bundle-report.html' // Treemap of the same, or null to skip it
+  },
+  budgets: {
+    css: null, // No limit on the CSS bundle by default
+    js: null, // No limit on the JS bundle by default
+    measure: 'raw', // 'raw' or 'gzip' bytes, for these and for manifest budgets
+    strict: false // Warn vs fail when a budget is exceeded
+  },
+  compress: {
+    enabled: false, // Off by default; most hosts compress on the fly
+    gzip: true, // main.css.gz, for every browser
+    brotli: true, // main.css.br, smaller, for browsers that accept br
+    gzipLevel: 9, // Smallest output; compression runs once per build
+    brotliLevel: 11, // Smallest output; compression runs once per build
+    threshold: 1024 // Files under 1 KB gain too little to be worth a variant
+  },
+  critical: {
+    enabled: false, // Off by default; every page links the full bundle
+    sections: 2, // The first two sections are usually all a first screen shows
+    include: [], // E.g. ['header'] when the layout renders one above the sections
+    publicPath: '/' // Copied url() assets are served from the site root
+  },
+  purge: {
+    enabled: false, // Off by default; bundles ship every rule their components define
+    safelist: [] // Names kept even when no page or script uses them
   }
 };
 
+/**
+ * @typedef {Object} InjectOptions
+ * @property {string} [publicPath] - Prefix turning an output path into a URL
+ * @property {boolean} [defer] - Add `defer` to classic script tags
+ * @property {boolean} [module] - Load scripts with `type="module"`
+ * @property {boolean} [integrity] - Add Subresource Integrity attributes
+ * @property {string} [algorithm] - Integrity hash algorithm: sha256, sha384 or sha512
+ * @property {string|null} [crossorigin] - `crossorigin` value added alongside integrity
+ * @property {string|null} [nonce] - CSP nonce added to every injected tag
+ */
+
+/** @type {InjectOptions} */
+const injectDefaults = {
+  publicPath: '/', // Bundle URLs are site-root relative
+  defer: true, // Classic scripts don't block parsing
+  module: false, // type="module" is deferred by nature
+  integrity: false, // SRI attributes, computed from the bundles in the files object
+  algorithm: 'sha384', // SRI hash algorithm
+  crossorigin: 'anonymous', // Required for SRI on cross-origin (CDN) bundles
+  nonce: null // CSP nonce, e.g. a placeholder the server replaces per request
+};
+
+/**
+ * @typedef {Object} PurgeBundlesOptions
+ * @property {string|null} [report] - Output path of the JSON report of removed bytes, or null for none
+ */
+
+/** @type {PurgeBundlesOptions} */
+const purgeDefaults = {
+  report: 'purge-report.json' // Bytes removed per bundle and per component
+};
+
 /**
  * Normalize and merge plugin options with defaults
  *
@@ -88,9 +338,15 @@ const defaults = {
 function normalizeOptions(options) {
   const normalized = { ...defaults, ...(options || {}) };
 
+  // Ensure cache configuration has all required properties
+  normalized.cache = { ...defaults.cache, ...(normalized.cache || {}) };
+
   // Ensure postcss configuration has all required properties
   normalized.postcss = { ...defaults.postcss, ...(normalized.postcss || {}) };
 
+  // Ensure manifest check configuration has all required properties
+  normalized.manifestCheck = { ...defaults.manifestCheck, ...(normalized.manifestCheck || {}) };
+
   // Ensure validation configuration has all required properties
   normalized.validation = { ...defaults.validation, ...(normalized.validation || {}) };
 
@@ -100,7 +356,66 @@ function normalizeOptions(options) {
   // Ensure layer configuration has all required properties
   normalized.layers = { ...defaults.layers, ...(normalized.layers || {}) };
 
+  // Ensure per-page configuration has all required properties
+  normalized.perPage = { ...defaults.perPage, ...(normalized.perPage || {}) };
+
+  // Ensure hashing configuration has all required properties
+  normalized.hashing = { ...defaults.hashing, ...(normalized.hashing || {}) };
+
+  // Ensure integrity configuration has all required properties
+  normalized.integrity = { ...defaults.integrity, ...(normalized.integrity || {}) };
+
+  // Ensure TypeScript configuration has all required properties
+  normalized.typescript = { ...defaults.typescript, ...(normalized.typescript || {}) };
+
+  // Ensure resolve configuration has all required properties
+  normalized.resolve = { ...defaults.resolve, ...(normalized.resolve || {}) };
+
+  // Ensure legacy configuration has all required properties
+  normalized.legacy = { ...defaults.legacy, ...(normalized.legacy || {}) };
+
+  // Ensure chunk configuration has all required properties
+  normalized.chunks = { ...defaults.chunks, ...(normalized.chunks || {}) };
+
+  // Ensure asset configuration has all required properties
+  normalized.assets = { ...defaults.assets, ...(normalized.assets || {}) };
+
+  // Ensure analyze configuration has all required properties
+  normalized.analyze = { ...defaults.analyze, ...(normalized.analyze || {}) };
+
+  // Ensure budget configuration has all required properties
+  normalized.budgets = { ...defaults.budgets, ...(normalized.budgets || {}) };
+
+  // Ensure compression configuration has all required properties
+  normalized.compress = { ...defaults.compress, ...(normalized.compress || {}) };
+
+  // Ensure critical CSS configuration has all required properties
+  normalized.critical = { ...defaults.critical, ...(normalized.critical || {}) };
+
+  // Ensure purge configuration has all required properties
+  normalized.purge = { ...defaults.purge, ...(normalized.purge || {}) };
+
   return normalized;
 }
 
-export { defaults, normalizeOptions };
+/**
+ * Merge injection plugin options with defaults
+ *
+ * @param {InjectOptions} [options] - User-provided options
+ * @returns {InjectOptions} Options with all defaults applied
+ */
+function normalizeInjectOptions(options) {
+  return { ...injectDefaults, ...(options || {}) };
+}
+
+/**
+ * Merge purge plugin options with defaults
+ *
+ * @param {PurgeBundlesOptions} [options] - User-provided options
+ * @returns {PurgeBundlesOptions} Options with all defaults applied
+ */
+function normalizePurgeOptions(options) {
+  return { ...purgeDefaults, ...(options || {}) };
+}
+
+export { defaults, injectDefaults, normalizeInjectOptions, normalizeOptions, normalizePurgeOptions, purgeDefaults };
@@ -0,0 +1,103 @@
+/**
+ * Page Bundles - Splits components into a shared bundle and per-page chunks
+ *
+ * In per-page mode every page gets the shared bundle (main entries plus the
+ * components most pages use) and, when it needs more, one small chunk holding
+ * only its remaining components. Pages that need exactly the same extra
+ * components share a chunk, so a blog with a thousand posts built from one
+ * layout produces one chunk, not a thousand.
+ *
+ * The shared set is dependency-closed without extra work: a component's
+ * requirements are needed on every page the component is needed on, so they
+ * are always counted at least as often as the component itself.
+ */
+
+import crypto from 'node:crypto';
+import { resolveAllDependencies } from './dependency-resolver.js';
+
+/**
+ * @typedef {Object} PageChunk
+ * @property {string} name - Chunk file name without extension, e.g. "page-1a2b3c4d"
+ * @property {Set<string>} components - Components bundled into the chunk
+ * @property {string[]} pages - Pages that load the chunk
+ */
+
+/**
+ * @typedef {Object} PageBundlePlan
+ * @property {Set<string>} shared - Components bundled into the shared bundle
+ * @property {Map<string, PageChunk>} chunks - Chunks keyed by name
+ * @property {Map<string, string|null>} pageChunks - Chunk name per page, null when the shared bundle is enough
+ */
+
+/**
+ * Stable chunk name for a set of components
+ *
+ * Derived from the sorted component names so the same set always lands in the
+ * same file across builds, which keeps browser caches valid between deploys.
+ *
+ * @param {Set<string>} components - Components in the chunk
+ * @returns {string} Chunk name
+ */
+function chunkName(components) {
+  const hash = crypto
+    .createHash('sha1')
+    .update([...components].sort().join('\n'))
+    .digest('hex');
+  return `page-${hash.slice(0, 8)}`;
+}
+
+/**
+ * Plan the shared bundle and the per-page chunks
+ *
+ * @param {Map<string, Set<string>>} pageComponents - Directly used components per page
+ * @param {Map<string, Object>} componentMap - Map of all available components
+ * @param {number} sharedThreshold - Fraction of pages (0-1] a component must be needed on to be shared
+ * @returns {PageBundlePlan} The bundle plan
+ *
+ * @example
+ * // "header" is on both pages, "hero" only on index.html
+ * // planPageBundles(new Map([['index.html', {header, hero}], ['blog.html', {header}]]), map, 1)
+ * // → shared: {header}, index.html gets a chunk with {hero}, blog.html gets none
+ */
+function planPageBundles(pageComponents, componentMap, sharedThreshold) {
+  const neededPerPage = new Map();
+  const usage = new Map();
+
+  pageComponents.forEach((used, page) => {
+    const needed = resolveAllDependencies(used, componentMap);
+    neededPerPage.set(page, needed);
+    needed.forEach((name) => {
+      usage.set(name, (usage.get(name) || 0) + 1);
+    });
+  });
+
+  const pageCount = neededPerPage.size;
+  const shared = new Set();
+  usage.forEach((count, name) => {
+    if (count / pageCount >= sharedThreshold) {
+      shared.add(name);
+    }
+  });
+
+  const chunks = new Map();
+  const pageChunks = new Map();
+
+  neededPerPage.forEach((needed, page) => {
+    const own = new Set([...needed].filter((name) => !shared.has(name)));
+    if (own.size === 0) {
+      pageChunks.set(page, null);
+      return;
+    }
+
+    const name = chunkName(own);
+    if (!chunks.has(name)) {
+      chunks.set(name, { name, components: own, pages: [] });
+    }
+    chunks.get(name).pages.push(page);
+    pageChunks.set(page, name);
+  });
+
+  return { shared, chunks, pageChunks };
+}
+
+export { chunkName, planPageBundles };
@@ -0,0 +1,66 @@
+/**
+ * Path Guard - Keeps manifest file references inside their component
+ *
+ * Manifest `styles` and `scripts` are resolved from the component folder,
+ * so an entry such as `"../../../secrets.css"` or `"/etc/passwd"` would
+ * bundle a file the component doesn't own. Component libraries come from
+ * npm packages, so every entry must stay inside its component folder, or
+ * inside a folder the site allows with the `allowedPaths` option:
+ *
+ *   allowedPaths: ['lib/shared-styles']
+ *
+ * Paths are compared after following symlinks, so a link inside a
+ * component can't point outside it either.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Absolute path with symlinks followed, as far as it exists
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {string} Real path, or the resolved path when nothing exists there
+ */
+function realPath(filePath) {
+  return fs.existsSync(filePath) ? fs.realpathSync(filePath) : path.resolve(filePath);
+}
+
+/**
+ * Whether a path is a folder or inside it
+ *
+ * @param {string} filePath - Absolute real path
+ * @param {string} dirPath - Absolute real folder path
+ * @returns {boolean} True when filePath is dirPath or below it
+ */
+function isInside(filePath, dirPath) {
+  const relative = path.relative(dirPath, filePath);
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * Make sure every style and script of a component stays inside its folder
+ * or an allowed folder
+ *
+ * @param {Object} component - Component as loaded from its manifest
+ * @param {string[]} [allowedDirs=[]] - Absolute folders manifests may reference besides their own
+ * @throws {Error} If an entry resolves outside the component folder and every allowed folder
+ */
+function guardComponentPaths(component, allowedDirs = []) {
+  const dirs = [component.path, ...allowedDirs].map(realPath);
+
+  ['styles', 'scripts'].forEach((key) => {
+    component[key].forEach((entry) => {
+      const resolved = realPath(path.resolve(component.path, entry));
+      if (dirs.some((dir) => isInside(resolved, dir))) {
+        return;
+      }
+      const manifest = component.manifestPath ? ` (${component.manifestPath})` : '';
+      throw new Error(
+        `Component "${component.name}"${manifest} lists "${entry}" in "${key}", which resolves to ${resolved}, outside the component folder ${component.path}. Manifests may only reference files inside their component folder; add a shared folder to the "allowedPaths" option to allow files in it.`
+      );
+    });
+  });
+}
+
+export { guardComponentPaths, isInside };
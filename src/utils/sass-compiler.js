@@ -0,0 +1,80 @@
+/**
+ * Sass Compiler - Compiles .scss stylesheets before they are bundled
+ *
+ * Sass runs per file, ahead of layer wrapping and PostCSS, so everything
+ * downstream only ever sees plain CSS. `@use` and `@import` resolve relative
+ * to the file being compiled first, which lets a component keep its partials
+ * (`_variables.scss`) in its own folder, and then in node_modules.
+ *
+ * The compiler is loaded on first use, so sites without any .scss files never
+ * pay for it.
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * @typedef {Object} CompiledStylesheet
+ * @property {string} css - Compiled CSS
+ * @property {Object|null} map - Source map v3 object from the compiled CSS to the Sass sources, or null
+ * @property {string[]} loadedFiles - Absolute paths of every file the compile read, partials included
+ */
+
+/**
+ * Whether a stylesheet has to go through Sass
+ *
+ * @param {string} filePath - Stylesheet path
+ * @returns {boolean} True for .scss files
+ */
+function isSassFile(filePath) {
+  return path.extname(filePath) === '.scss';
+}
+
+/**
+ * Compile one .scss file to CSS
+ *
+ * @param {string} filePath - Absolute path of the .scss file
+ * @param {Object} options - Compile options
+ * @param {string|null} options.componentName - Component the file belongs to, null for the main entry
+ * @param {string} options.projectRoot - Project root, whose node_modules is searched after the file's folder
+ * @param {boolean} [options.sourceMap=false] - Also return a map back to the Sass sources
+ * @returns {Promise<CompiledStylesheet>} The compiled stylesheet
+ * @throws {Error} When the file does not compile, naming the component and the file
+ */
+async function compileSass(filePath, { componentName, projectRoot, sourceMap = false }) {
+  const sass = await import('sass');
+
+  try {
+    const result = sass.compile(filePath, {
+      loadPaths: [path.dirname(filePath), path.join(projectRoot, 'node_modules')],
+      charset: false,
+      sourceMap,
+      sourceMapIncludeSources: sourceMap
+    });
+
+    // Sass names sources as file: URLs; the rest of the pipeline works with paths
+    const map = result.sourceMap
+      ? {
+          ...result.sourceMap,
+          sources: result.sourceMap.sources.map((source) =>
+            source.startsWith('file:') ? fileURLToPath(source) : source
+          )
+        }
+      : null;
+
+    const loadedFiles = result.loadedUrls.filter((url) => url.protocol === 'file:').map((url) => fileURLToPath(url));
+
+    return { css: result.css, map, loadedFiles };
+  } catch (error) {
+    const owner = componentName ? `component "${componentName}"` : 'main entry';
+    // The error can sit in a partial the file uses, which is the one to open
+    const failedFile = error.span?.url ? fileURLToPath(error.span.url) : filePath;
+    const line = error.span ? `:${error.span.start.line + 1}` : '';
+    const location = `${path.relative(projectRoot, failedFile)}${line}`;
+    throw new Error(`Sass compilation failed in ${owner} (${location}): ${error.sassMessage || error.message}`, {
+      cause: error
+    });
+  }
+}
+
+export { compileSass, isSassFile };
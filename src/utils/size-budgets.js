@@ -0,0 +1,158 @@
+/**
+ * Size Budgets - Limits on what components and bundles may weigh
+ *
+ * A component declares its budget in its manifest:
+ *
+ *   { "name": "gallery", "budget": { "css": "4kb", "js": "10kb" } }
+ *
+ * and the plugin options can cap the CSS and JS bundles as a whole. After
+ * bundling, each component's contribution (from the bundle report) and each
+ * bundle's size are checked against their budgets; anything over budget is
+ * listed in one table.
+ *
+ * Sizes are numbers of bytes or strings such as "512b", "4kb" or "1.5mb",
+ * with 1 kb = 1024 bytes.
+ */
+
+// Bytes per unit of a size string
+const UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+/**
+ * Parse a budget size
+ *
+ * @param {string|number} value - Bytes, or a size such as "4kb"
+ * @param {string} where - What declared the budget, for the error message
+ * @returns {number} Bytes
+ * @throws {Error} When the size can't be read
+ *
+ * @example
+ * parseSize('4kb', 'component "hero"') // → 4096
+ */
+function parseSize(value, where) {
+  if (typeof value === 'number' && value >= 0) {
+    return value;
+  }
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size budget ${JSON.stringify(value)} in ${where}: use bytes or a size such as "4kb"`);
+  }
+  return Math.round(Number(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Format bytes the way budgets are written
+ *
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "812b" or "4.2kb"
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes}b`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)}kb` : `${(bytes / 1024 / 1024).toFixed(2)}mb`;
+}
+
+/**
+ * Whether any budget applies to a build
+ *
+ * @param {Array} components - Components in the build
+ * @param {import('./options.js').BudgetOptions} budgets - Budget options
+ * @returns {boolean} True when a component or the options declare a budget
+ */
+function hasBudgets(components, budgets) {
+  return Boolean(budgets?.css || budgets?.js || components.some((component) => component.budget));
+}
+
+/**
+ * @typedef {Object} BudgetOffender
+ * @property {string} name - Component name or bundle path
+ * @property {'component'|'bundle'} kind - What is over budget
+ * @property {'css'|'js'} type - Which side
+ * @property {number} bytes - Raw size
+ * @property {number} gzip - gzip size
+ * @property {number} budget - Budget in bytes
+ */
+
+/**
+ * Check components and bundles against their budgets
+ *
+ * A component is measured over every bundle it ends up in (lazy chunks and
+ * per-page bundles included, legacy bundles not). The total budgets apply
+ * to each CSS or JS bundle file on its own.
+ *
+ * @param {ReturnType<import('./bundle-report.js').buildReport>} report - Bundle report of the build
+ * @param {Map<string, Object>} componentMap - Components by name
+ * @param {import('./options.js').BudgetOptions} budgets - Budget options
+ * @returns {BudgetOffender[]} Everything over budget, components first
+ * @throws {Error} When a budget can't be read
+ */
+function checkBudgets(report, componentMap, budgets) {
+  const measured = (entry) => (budgets.measure === 'gzip' ? entry.gzip : entry.bytes);
+  const offenders = [];
+
+  componentMap.forEach((component, name) => {
+    if (!component.budget) {
+      return;
+    }
+    const usage = report.summary.find((entry) => entry.kind === 'component' && entry.name === name);
+    ['css', 'js'].forEach((type) => {
+      if (component.budget[type] === undefined || !usage) {
+        return;
+      }
+      const budget = parseSize(component.budget[type], `component "${name}"`);
+      if (measured(usage[type]) > budget) {
+        offenders.push({ name, kind: 'component', type, ...usage[type], budget });
+      }
+    });
+  });
+
+  report.bundles
+    .filter((bundle) => bundle.type === 'css' || bundle.type === 'js')
+    .forEach((bundle) => {
+      if (!budgets[bundle.type]) {
+        return;
+      }
+      const budget = parseSize(budgets[bundle.type], `budgets.${bundle.type}`);
+      if (measured(bundle) > budget) {
+        offenders.push({
+          name: bundle.file,
+          kind: 'bundle',
+          type: bundle.type,
+          bytes: bundle.bytes,
+          gzip: bundle.gzip,
+          budget
+        });
+      }
+    });
+
+  return offenders;
+}
+
+/**
+ * Format offenders as a table
+ *
+ * @param {BudgetOffender[]} offenders - Everything over budget
+ * @param {'raw'|'gzip'} measure - Which size the budgets apply to
+ * @returns {string} Report for the console
+ */
+function formatBudgetReport(offenders, measure) {
+  const rows = [
+    ['Name', 'Type', 'Size', 'gzip', 'Budget', 'Over'],
+    ...offenders.map((offender) => {
+      const size = measure === 'gzip' ? offender.gzip : offender.bytes;
+      return [
+        offender.name,
+        offender.type,
+        formatSize(offender.bytes),
+        formatSize(offender.gzip),
+        `${formatSize(offender.budget)}${measure === 'gzip' ? ' gzip' : ''}`,
+        `+${formatSize(size - offender.budget)}`
+      ];
+    })
+  ];
+  const widths = rows[0].map((_cell, column) => Math.max(...rows.map((row) => row[column].length)));
+  const lines = rows.map((row) => `  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ')}`.trimEnd());
+  return `Size budgets exceeded:\n\n${lines.join('\n')}`;
+}
+
+export { checkBudgets, formatBudgetReport, formatSize, hasBudgets, parseSize };
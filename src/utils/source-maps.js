@@ -0,0 +1,170 @@
+import path from 'node:path';
+
+/**
+ * Source map helpers.
+ *
+ * esbuild writes the maps for the bundles; this module covers the two places
+ * it needs help. Component CSS is rewritten before esbuild sees it (layer
+ * wrapping shifts every line), so the rewritten text carries an inline input
+ * map that esbuild chains through to the original file. And the finished map
+ * is rewritten so `sources` name files relative to the project root, e.g.
+ * `lib/layouts/components/sections/hero/hero.css`, rather than relative to
+ * wherever the bundle happens to be written.
+ */
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode a number as a source map VLQ segment field.
+ *
+ * @param {number} value - Signed integer
+ * @returns {string} Base64 VLQ digits
+ */
+function encodeVlq(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) {
+      digit |= 32;
+    }
+    encoded += BASE64_DIGITS[digit];
+  } while (vlq > 0);
+  return encoded;
+}
+
+/**
+ * Decode one source map segment into its fields.
+ *
+ * @param {string} segment - Base64 VLQ digits of one segment
+ * @returns {number[]} Segment fields
+ */
+function decodeVlqSegment(segment) {
+  const fields = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = BASE64_DIGITS.indexOf(char);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      fields.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Build a map that sends every line of a file to the same line of itself.
+ *
+ * @param {string} original - File contents
+ * @param {string} sourcePath - Absolute path of the file
+ * @returns {Object} Source map v3 object
+ */
+function identitySourceMap(original, sourcePath) {
+  const lines = original.trimEnd().split('\n');
+  return {
+    version: 3,
+    sources: [sourcePath],
+    sourcesContent: [original],
+    names: [],
+    mappings: lines.map((_, index) => (index === 0 ? 'AAAA' : 'AACA')).join(';')
+  };
+}
+
+/**
+ * Move a map's generated positions to account for text added around the
+ * generated file: some lines on top, and a per-line indent.
+ *
+ * Only the first segment of a generated line holds an absolute column; the
+ * rest are relative to it, so shifting that one segment shifts the line.
+ * Source positions are untouched, which is what keeps the map pointing at
+ * the original file.
+ *
+ * @param {Object} map - Source map v3 object for `generated`
+ * @param {string} generated - The text the map describes, before shifting
+ * @param {Object} shift - How the shifted text relates to `generated`
+ * @param {number} shift.lineOffset - Lines added before the first line
+ * @param {(line: string) => number} shift.columnOffset - Columns added in front of a line
+ * @returns {Object} New source map v3 object
+ */
+function shiftSourceMap(map, generated, { lineOffset, columnOffset }) {
+  const lines = generated.split('\n');
+  const shifted = map.mappings.split(';').map((lineMappings, index) => {
+    const offset = columnOffset(lines[index] ?? '');
+    if (lineMappings === '' || offset === 0) {
+      return lineMappings;
+    }
+    const [first, ...rest] = lineMappings.split(',');
+    const [column, ...fields] = decodeVlqSegment(first);
+    return [[column + offset, ...fields].map(encodeVlq).join(''), ...rest].join(',');
+  });
+
+  return { ...map, mappings: `${';'.repeat(lineOffset)}${shifted.join(';')}` };
+}
+
+/**
+ * Build a line-accurate map for text that is the original shifted down by
+ * some lines, with some lines shifted right by a fixed indent.
+ *
+ * Each generated line that holds an original line gets one segment at its
+ * first column, which is what devtools need to open the right file at the
+ * right line.
+ *
+ * @param {string} original - Original file contents
+ * @param {string} sourcePath - Absolute path of the original file
+ * @param {Object} shift - How the generated text relates to the original
+ * @param {number} shift.lineOffset - Generated lines before the first original line
+ * @param {(line: string) => number} shift.columnOffset - Columns added in front of an original line
+ * @returns {Object} Source map v3 object
+ */
+function shiftedSourceMap(original, sourcePath, shift) {
+  return shiftSourceMap(identitySourceMap(original, sourcePath), original, shift);
+}
+
+/**
+ * Render a source map as an inline `sourceMappingURL` comment.
+ *
+ * @param {Object} map - Source map v3 object
+ * @param {'css'|'js'} type - Comment syntax to use
+ * @returns {string} The comment
+ */
+function inlineSourceMapComment(map, type) {
+  const url = `data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+  return type === 'css' ? `/*# sourceMappingURL=${url} */` : `//# sourceMappingURL=${url}`;
+}
+
+/**
+ * Rewrite a bundle's map so its sources are relative to the project root.
+ *
+ * esbuild names sources relative to the output file. The output here is
+ * virtual (it ends up in the Metalsmith files object), so those paths mean
+ * nothing to anyone; project-relative paths point at the file to edit.
+ *
+ * @param {string} mapText - Source map JSON as produced by esbuild
+ * @param {string} outfile - Absolute path esbuild was told the bundle is written to
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object} Source map v3 object
+ */
+function relativizeSourceMap(mapText, outfile, projectRoot) {
+  const map = JSON.parse(mapText);
+  const outDir = path.dirname(outfile);
+  map.sources = map.sources.map((source) =>
+    path.relative(projectRoot, path.resolve(outDir, source)).split(path.sep).join('/')
+  );
+  return map;
+}
+
+export {
+  decodeVlqSegment,
+  encodeVlq,
+  identitySourceMap,
+  inlineSourceMapComment,
+  relativizeSourceMap,
+  shiftedSourceMap,
+  shiftSourceMap
+};
@@ -25,6 +25,36 @@ const IMPORT_PATTERN = /\{%\s*from\s*["']([^"']+)["']\s*import\s+[^%]+\s*%\}/g;
  */
 const INCLUDE_PATTERN = /\{%\s*include\s*["']([^"']+)["']\s*%\}/g;
 
+/**
+ * Regular expression to match Nunjucks extends statements
+ * Matches: {% extends "pages/base.njk" %}
+ * Captures: The path to the parent template
+ */
+const EXTENDS_PATTERN = /\{%\s*extends\s*["']([^"']+)["']\s*%\}/g;
+
+// Discovered component folders as posix paths, per component map
+const componentPathIndex = new WeakMap();
+
+/**
+ * Find the discovered component a folder path below a component directory names
+ *
+ * @param {string} folderPath - Posix path starting with the component directory, e.g. "sections/marketing/cards"
+ * @param {Map<string, Object>} componentMap - Discovered components by name
+ * @returns {string|null} - Component name, or null when no component lives there
+ */
+function findComponentByPath(folderPath, componentMap) {
+  if (!componentPathIndex.has(componentMap)) {
+    componentPathIndex.set(
+      componentMap,
+      [...componentMap.values()].map((component) => [component.path.split(path.sep).join('/'), component.name])
+    );
+  }
+  const match = componentPathIndex
+    .get(componentMap)
+    .find(([componentPath]) => componentPath === folderPath || componentPath.endsWith(`/${folderPath}`));
+  return match ? match[1] : null;
+}
+
 /**
  * Extract component name from a Nunjucks import path
  *
@@ -32,22 +62,43 @@ const INCLUDE_PATTERN = /\{%\s*include\s*["']([^"']+)["']\s*%\}/g;
  *   "components/_partials/button/button.njk" → "button"
  *   "components/sections/hero/hero.njk" → "hero"
  *   "_partials/ctas/ctas.njk" → "ctas"
+ *   "sections/marketing/hero/hero.njk" → "hero"
+ *
+ * Components can sit in category folders below the component directory.
+ * With a component map, the deepest folder of the path that is a discovered
+ * component wins, so `marketing/cards/card-grid.njk` is the cards component
+ * whatever its template is called. Without one, the folder the template is
+ * named after wins, and a template named otherwise belongs to the first
+ * folder below the component directory.
  *
  * @param {string} importPath - The path from the {% from "..." %} statement
  * @param {string[]} componentDirs - Component directory names to look for (_partials, sections)
+ * @param {Map<string, Object>|null} [componentMap=null] - Discovered components, to resolve nested folders
  * @returns {string|null} - Component name or null if not a component import
  */
-function extractComponentName(importPath, componentDirs) {
+function extractComponentName(importPath, componentDirs, componentMap = null) {
   // Split path into segments
   const segments = importPath.split('/');
 
   // Look for component directory markers (_partials, sections, etc.)
   for (let i = 0; i < segments.length; i++) {
-    if (componentDirs.includes(segments[i])) {
-      // Component name is the next segment after the directory marker
-      if (i + 1 < segments.length) {
-        return segments[i + 1];
+    if (componentDirs.includes(segments[i]) && i + 1 < segments.length) {
+      const folders = segments.slice(i + 1, -1);
+
+      if (componentMap) {
+        for (let depth = folders.length; depth > 0; depth--) {
+          const name = findComponentByPath([segments[i], ...folders.slice(0, depth)].join('/'), componentMap);
+          if (name) {
+            return name;
+          }
+        }
+        continue;
       }
+
+      // Component name is the next segment after the directory marker,
+      // or the folder further down that the template file is named after
+      const templateName = path.basename(segments[segments.length - 1], path.extname(segments[segments.length - 1]));
+      return folders.includes(templateName) ? templateName : segments[i + 1];
     }
   }
 
@@ -59,14 +110,15 @@ function extractComponentName(importPath, componentDirs) {
  *
  * @param {string} fileContent - Template file contents as string
  * @param {string[]} componentDirs - Component directory names (_partials, sections)
+ * @param {Map<string, Object>|null} [componentMap=null] - Discovered components, to resolve nested folders
  * @returns {Set<string>} - Set of component names imported in this file
  */
-function parseTemplateFile(fileContent, componentDirs) {
+function parseTemplateFile(fileContent, componentDirs, componentMap = null) {
   const importedComponents = new Set();
 
   // Check {% from "..." import ... %} statements
   for (const match of fileContent.matchAll(IMPORT_PATTERN)) {
-    const componentName = extractComponentName(match[1], componentDirs);
+    const componentName = extractComponentName(match[1], componentDirs, componentMap);
     if (componentName) {
       importedComponents.add(componentName);
     }
@@ -74,7 +126,7 @@ function parseTemplateFile(fileContent, componentDirs) {
 
   // Check {% include "..." %} statements
   for (const match of fileContent.matchAll(INCLUDE_PATTERN)) {
-    const componentName = extractComponentName(match[1], componentDirs);
+    const componentName = extractComponentName(match[1], componentDirs, componentMap);
     if (componentName) {
       importedComponents.add(componentName);
     }
@@ -125,9 +177,10 @@ function collectSectionTypes(value, result) {
  * @param {Object} files - Metalsmith files object
  * @param {string[]} componentDirs - Component directory names (e.g., ['_partials', 'sections'])
  * @param {string|null} layoutDir - Path to layouts directory for scanning (or null to skip)
+ * @param {Map<string, Object>|null} [componentMap=null] - Discovered components, to resolve nested folders
  * @returns {Set<string>} - Set of all component names used in templates
  */
-function detectUsedComponents(files, componentDirs, layoutDir) {
+function detectUsedComponents(files, componentDirs, layoutDir, componentMap = null) {
   const allUsedComponents = new Set();
 
   // Process all template files in Metalsmith files object
@@ -153,7 +206,7 @@ function detectUsedComponents(files, componentDirs, layoutDir) {
     const content = Buffer.isBuffer(file.contents) ? file.contents.toString('utf8') : String(file.contents);
 
     // Parse Nunjucks imports and add components to the set
-    const fileComponents = parseTemplateFile(content, componentDirs);
+    const fileComponents = parseTemplateFile(content, componentDirs, componentMap);
     fileComponents.forEach((component) => {
       allUsedComponents.add(component);
     });
@@ -161,7 +214,7 @@ function detectUsedComponents(files, componentDirs, layoutDir) {
 
   // Also scan layout files if layoutDir is provided
   if (layoutDir) {
-    const layoutComponents = scanLayoutFiles(layoutDir, componentDirs);
+    const layoutComponents = scanLayoutFiles(layoutDir, componentDirs, componentMap);
     layoutComponents.forEach((component) => {
       allUsedComponents.add(component);
     });
@@ -170,13 +223,230 @@ function detectUsedComponents(files, componentDirs, layoutDir) {
   return allUsedComponents;
 }
 
+/**
+ * Collect every template path a template refers to through extends, include
+ * and import statements, whether or not it is a component
+ *
+ * @param {string} fileContent - Template file contents as string
+ * @returns {string[]} - Referenced template paths, in order of appearance
+ */
+function collectTemplateReferences(fileContent) {
+  const references = [];
+  for (const pattern of [EXTENDS_PATTERN, INCLUDE_PATTERN, IMPORT_PATTERN]) {
+    for (const match of fileContent.matchAll(pattern)) {
+      references.push(match[1]);
+    }
+  }
+  return references;
+}
+
+/**
+ * Detect the components a single template uses, following the non-component
+ * templates it extends or includes
+ *
+ * A page only ships the layout it names, and that layout usually extends a
+ * base template which includes a header and a footer. Following the chain is
+ * what lets a blog post skip components that appear only in the landing page
+ * layout. References resolve against the layouts directory, the way Nunjucks
+ * resolves them; references that do not exist there are ignored.
+ *
+ * @param {string} fileContent - Template file contents as string
+ * @param {string[]} componentDirs - Component directory names (_partials, sections)
+ * @param {string|null} layoutDir - Path to the layouts directory (or null to skip following)
+ * @param {Map<string, Set<string>>} [cache] - Components per layout file, shared across pages
+ * @param {Set<string>} [visiting] - Layout files on the current path, to break cycles
+ * @param {Map<string, Object>|null} [componentMap=null] - Discovered components, to resolve nested folders
+ * @returns {Set<string>} - Set of component names used by the template and its chain
+ */
+function scanTemplateChain(
+  fileContent,
+  componentDirs,
+  layoutDir,
+  cache = new Map(),
+  visiting = new Set(),
+  componentMap = null
+) {
+  const components = parseTemplateFile(fileContent, componentDirs, componentMap);
+
+  if (!layoutDir) {
+    return components;
+  }
+
+  collectTemplateReferences(fileContent).forEach((reference) => {
+    // Component templates are accounted for by name; callers with a
+    // component map follow them through followComponentTemplates
+    if (extractComponentName(reference, componentDirs, componentMap)) {
+      return;
+    }
+    const referenced = scanLayoutFile(
+      path.join(layoutDir, reference),
+      componentDirs,
+      layoutDir,
+      cache,
+      visiting,
+      componentMap
+    );
+    referenced.forEach((comp) => {
+      components.add(comp);
+    });
+  });
+
+  return components;
+}
+
+/**
+ * Detect the components a layout file and the templates it pulls in use
+ *
+ * @param {string} filePath - Absolute path to the layout file
+ * @param {string[]} componentDirs - Component directory names (_partials, sections)
+ * @param {string} layoutDir - Path to the layouts directory
+ * @param {Map<string, Set<string>>} cache - Components per layout file
+ * @param {Set<string>} visiting - Layout files on the current path
+ * @param {Map<string, Object>|null} [componentMap=null] - Discovered components, to resolve nested folders
+ * @returns {Set<string>} - Set of component names, empty when the file cannot be read
+ */
+function scanLayoutFile(filePath, componentDirs, layoutDir, cache, visiting, componentMap = null) {
+  if (cache.has(filePath)) {
+    return cache.get(filePath);
+  }
+  if (visiting.has(filePath) || !fs.existsSync(filePath)) {
+    return new Set();
+  }
+
+  visiting.add(filePath);
+  let components;
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    components = scanTemplateChain(content, componentDirs, layoutDir, cache, visiting, componentMap);
+  } catch {
+    // Silently skip files that can't be read
+    components = new Set();
+  }
+  visiting.delete(filePath);
+
+  cache.set(filePath, components);
+  return components;
+}
+
+/**
+ * Add the components that the templates of used components import
+ *
+ * A section's template can import a partial its manifest doesn't require.
+ * Site-wide detection finds it by scanning every template in the layouts
+ * directory; a single page only finds it by following the template of each
+ * component it uses, found through the component map. Imports are followed
+ * until no new component turns up.
+ *
+ * @param {Set<string>} components - Component names, extended in place
+ * @param {Map<string, Object>} componentMap - Discovered components by name
+ * @param {string[]} componentDirs - Component directory names (_partials, sections)
+ * @param {string|null} layoutDir - Path to the layouts directory
+ * @param {Map<string, Set<string>>} cache - Components per template file
+ */
+function followComponentTemplates(components, componentMap, componentDirs, layoutDir, cache) {
+  const pending = [...components];
+  while (pending.length > 0) {
+    const component = componentMap.get(pending.pop());
+    if (!component || !fs.existsSync(component.path)) {
+      continue;
+    }
+    fs.readdirSync(component.path)
+      .filter((file) => file.endsWith('.njk'))
+      .forEach((file) => {
+        const templatePath = path.resolve(component.path, file);
+        scanLayoutFile(templatePath, componentDirs, layoutDir, cache, new Set(), componentMap).forEach((name) => {
+          if (!components.has(name)) {
+            components.add(name);
+            pending.push(name);
+          }
+        });
+      });
+  }
+}
+
+/**
+ * Detect the components each template file uses on its own
+ *
+ * Per-file counterpart of `detectUsedComponents`. A file's set is made of:
+ * 1. Every sectionType value in its frontmatter, at any nesting depth
+ * 2. Components its own contents import or include
+ * 3. Components used by the layout it names in `layout`, following extends
+ *    and includes of that layout
+ * 4. With a component map, components imported by the templates of the
+ *    components above, so a page gets everything site-wide detection would
+ *    find for the same components
+ *
+ * A file that names no layout may be rendered with any of them (a default
+ * layout configured elsewhere), so it conservatively gets the components of
+ * every layout file.
+ *
+ * @param {Object} files - Metalsmith files object
+ * @param {string[]} componentDirs - Component directory names (e.g., ['_partials', 'sections'])
+ * @param {string|null} layoutDir - Path to layouts directory for scanning (or null to skip)
+ * @param {Map<string, Object>|null} [componentMap=null] - Discovered components, to resolve nested folders and follow their templates
+ * @returns {Map<string, Set<string>>} - Component names per template file path
+ */
+function detectComponentsPerFile(files, componentDirs, layoutDir, componentMap = null) {
+  const perFile = new Map();
+  const cache = new Map();
+  let allLayoutComponents = null;
+
+  Object.keys(files).forEach((filepath) => {
+    // Only process template files
+    if (!filepath.endsWith('.njk') && !filepath.endsWith('.html')) {
+      return;
+    }
+
+    const file = files[filepath];
+    const used = new Set();
+
+    collectSectionTypes(file, used);
+
+    if (file.contents) {
+      const content = Buffer.isBuffer(file.contents) ? file.contents.toString('utf8') : String(file.contents);
+      scanTemplateChain(content, componentDirs, layoutDir, cache, new Set(), componentMap).forEach((component) => {
+        used.add(component);
+      });
+    }
+
+    if (layoutDir) {
+      let layoutComponents;
+      if (typeof file.layout === 'string') {
+        layoutComponents = scanLayoutFile(
+          path.join(layoutDir, file.layout),
+          componentDirs,
+          layoutDir,
+          cache,
+          new Set(),
+          componentMap
+        );
+      } else {
+        allLayoutComponents = allLayoutComponents || scanLayoutFiles(layoutDir, componentDirs, componentMap);
+        layoutComponents = allLayoutComponents;
+      }
+      layoutComponents.forEach((component) => {
+        used.add(component);
+      });
+    }
+
+    if (componentMap) {
+      followComponentTemplates(used, componentMap, componentDirs, layoutDir, cache);
+    }
+
+    perFile.set(filepath, used);
+  });
+
+  return perFile;
+}
+
 /**
  * Recursively scan layout directory for .njk template files and detect components
  * @param {string} layoutDir - Path to the layout directory
  * @param {string[]} componentDirs - Component directory names (_partials, sections)
+ * @param {Map<string, Object>|null} [componentMap=null] - Discovered components, to resolve nested folders
  * @returns {Set<string>} - Set of component names found in layout files
  */
-function scanLayoutFiles(layoutDir, componentDirs) {
+function scanLayoutFiles(layoutDir, componentDirs, componentMap = null) {
   const components = new Set();
 
   // Check if directory exists
@@ -197,7 +467,7 @@ function scanLayoutFiles(layoutDir, componentDirs) {
         // Parse .njk template files
         try {
           const content = fs.readFileSync(fullPath, 'utf8');
-          const fileComponents = parseTemplateFile(content, componentDirs);
+          const fileComponents = parseTemplateFile(content, componentDirs, componentMap);
           fileComponents.forEach((comp) => {
             components.add(comp);
           });
@@ -212,4 +482,13 @@ function scanLayoutFiles(layoutDir, componentDirs) {
   return components;
 }
 
-export { collectSectionTypes, detectUsedComponents, extractComponentName, parseTemplateFile, scanLayoutFiles };
+export {
+  collectSectionTypes,
+  collectTemplateReferences,
+  detectComponentsPerFile,
+  detectUsedComponents,
+  extractComponentName,
+  parseTemplateFile,
+  scanLayoutFiles,
+  scanTemplateChain
+};
@@ -0,0 +1,235 @@
+/**
+ * Type Checker - Optional TypeScript type-check pass for component scripts
+ *
+ * esbuild strips types without checking them, so a TypeScript component
+ * bundles fine even when it does not type-check. This pass runs the
+ * project's own `tsc` over the component scripts being bundled and groups
+ * what it reports by component, so a build log says which modal or gallery
+ * is broken rather than listing paths.
+ *
+ * `tsc` is run as a separate process rather than through its JavaScript API,
+ * which differs between TypeScript versions; its plain-text output is the
+ * same across them.
+ */
+
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+// Compiler flags used when no tsconfig is configured: strict checking of
+// browser scripts written as ES modules for a bundler
+const DEFAULT_FLAGS = [
+  '--strict',
+  '--target',
+  'es2020',
+  '--module',
+  'esnext',
+  '--moduleResolution',
+  'bundler',
+  '--lib',
+  'es2020,dom',
+  '--skipLibCheck'
+];
+
+// A diagnostic's first line: `path(line,col): error TS2322: message`
+const DIAGNOSTIC_PATTERN = /^(.+)\((\d+),(\d+)\): (error|warning) (TS\d+): (.*)$/;
+
+// A diagnostic not tied to a file, such as a bad compiler option
+const GLOBAL_DIAGNOSTIC_PATTERN = /^(error|warning) (TS\d+): (.*)$/;
+
+/**
+ * @typedef {Object} TypeDiagnostic
+ * @property {string|null} file - Absolute path of the file, or null for project-wide diagnostics
+ * @property {number} line - 1-based line, 0 when there is no file
+ * @property {number} column - 1-based column, 0 when there is no file
+ * @property {string} code - Diagnostic code, e.g. "TS2322"
+ * @property {string} message - Diagnostic text, including any continuation lines
+ */
+
+/**
+ * Whether a script is TypeScript
+ *
+ * @param {string} filePath - Script path
+ * @returns {boolean} True for .ts and .mts files
+ */
+function isTypeScriptFile(filePath) {
+  return ['.ts', '.mts'].includes(path.extname(filePath)) && !filePath.endsWith('.d.ts');
+}
+
+/**
+ * Parse `tsc --pretty false` output into diagnostics
+ *
+ * @param {string} output - Compiler output
+ * @param {string} cwd - Directory tsc ran in; file paths in the output are relative to it
+ * @returns {TypeDiagnostic[]} Diagnostics in reported order
+ */
+function parseDiagnostics(output, cwd) {
+  const diagnostics = [];
+
+  output.split(/\r?\n/).forEach((line) => {
+    const fileMatch = line.match(DIAGNOSTIC_PATTERN);
+    if (fileMatch) {
+      const [, file, lineNumber, column, , code, message] = fileMatch;
+      diagnostics.push({
+        file: path.resolve(cwd, file),
+        line: Number(lineNumber),
+        column: Number(column),
+        code,
+        message
+      });
+      return;
+    }
+
+    const globalMatch = line.match(GLOBAL_DIAGNOSTIC_PATTERN);
+    if (globalMatch) {
+      const [, , code, message] = globalMatch;
+      diagnostics.push({ file: null, line: 0, column: 0, code, message });
+      return;
+    }
+
+    // Longer messages continue on indented lines
+    if (line.trim() && diagnostics.length > 0) {
+      diagnostics[diagnostics.length - 1].message += `\n${line}`;
+    }
+  });
+
+  return diagnostics;
+}
+
+/**
+ * Locate the `tsc` script of the installed typescript package
+ *
+ * The project's own install wins, so the check uses the same compiler as the
+ * editor does.
+ *
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Absolute path of the tsc script
+ * @throws {Error} When typescript is not installed
+ */
+function resolveTsc(projectRoot) {
+  const requireFrom = [path.join(projectRoot, 'package.json'), import.meta.url];
+  for (const from of requireFrom) {
+    try {
+      const packagePath = createRequire(from).resolve('typescript/package.json');
+      const { bin } = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+      return path.resolve(path.dirname(packagePath), bin.tsc);
+    } catch {
+      // Try the next location
+    }
+  }
+  throw new Error('Type checking needs the "typescript" package. Install it with: npm install --save-dev typescript');
+}
+
+/**
+ * Name the component a file belongs to
+ *
+ * @param {string|null} file - Absolute file path
+ * @param {Array} components - Components being checked
+ * @param {string|null} mainEntry - Absolute path of the main JS entry, if any
+ * @returns {string} Component name, "main entry", or "project" when no owner fits
+ */
+function ownerOf(file, components, mainEntry) {
+  if (!file) {
+    return 'project';
+  }
+  if (file === mainEntry) {
+    return 'main entry';
+  }
+  // The deepest matching folder wins, in case component folders nest
+  const owner = components
+    .filter((component) => file.startsWith(`${path.resolve(component.path)}${path.sep}`))
+    .sort((a, b) => b.path.length - a.path.length)[0];
+  return owner ? owner.name : 'project';
+}
+
+/**
+ * Type-check the TypeScript scripts of the components being bundled
+ *
+ * @param {Array} components - Components being bundled
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Map<string, TypeDiagnostic[]>>} Diagnostics per component name, empty when all is well
+ */
+async function typeCheckComponents(components, projectRoot, options) {
+  const files = [];
+  const mainEntry = options.mainJSEntry ? path.resolve(projectRoot, options.mainJSEntry) : null;
+  if (mainEntry && isTypeScriptFile(mainEntry) && fs.existsSync(mainEntry)) {
+    files.push(mainEntry);
+  }
+  components.forEach((component) => {
+    component.scripts.forEach((script) => {
+      const filePath = path.resolve(component.path, script);
+      if (isTypeScriptFile(filePath) && fs.existsSync(filePath) && !files.includes(filePath)) {
+        files.push(filePath);
+      }
+    });
+  });
+
+  const byComponent = new Map();
+  if (files.length === 0) {
+    return byComponent;
+  }
+
+  // A configured tsconfig decides the flags and the files; its report is
+  // narrowed to the bundled components below
+  const args = options.typescript.tsconfig
+    ? ['--project', path.resolve(projectRoot, options.typescript.tsconfig)]
+    : [...DEFAULT_FLAGS, ...files];
+
+  let output;
+  try {
+    ({ stdout: output } = await execFileAsync(
+      process.execPath,
+      [resolveTsc(projectRoot), '--noEmit', '--pretty', 'false', ...args],
+      {
+        cwd: projectRoot,
+        maxBuffer: 16 * 1024 * 1024
+      }
+    ));
+  } catch (error) {
+    // tsc exits non-zero when it reports errors; that is a result, not a failure
+    if (typeof error.stdout !== 'string') {
+      throw error;
+    }
+    output = error.stdout;
+  }
+
+  parseDiagnostics(output, projectRoot).forEach((diagnostic) => {
+    const owner = ownerOf(diagnostic.file, components, mainEntry);
+    if (options.typescript.tsconfig && owner === 'project' && diagnostic.file) {
+      return;
+    }
+    if (!byComponent.has(owner)) {
+      byComponent.set(owner, []);
+    }
+    byComponent.get(owner).push(diagnostic);
+  });
+
+  return byComponent;
+}
+
+/**
+ * Format type diagnostics for the build log, grouped by component
+ *
+ * @param {Map<string, TypeDiagnostic[]>} byComponent - Diagnostics per component
+ * @param {string} projectRoot - Project root, file paths are shown relative to it
+ * @returns {string} Report text
+ */
+function formatTypeReport(byComponent, projectRoot) {
+  const sections = [...byComponent].map(([owner, diagnostics]) => {
+    const lines = diagnostics.map((diagnostic) => {
+      const location = diagnostic.file
+        ? `${path.relative(projectRoot, diagnostic.file)}:${diagnostic.line}:${diagnostic.column} `
+        : '';
+      return `    ${location}${diagnostic.code}: ${diagnostic.message}`;
+    });
+    return `  ${owner}:\n${lines.join('\n')}`;
+  });
+  return `TypeScript Errors:\n\n${sections.join('\n\n')}`;
+}
+
+export { formatTypeReport, isTypeScriptFile, parseDiagnostics, typeCheckComponents };
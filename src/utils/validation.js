@@ -3,7 +3,7 @@
  * @property {string} [type] - Expected type (boolean, string, number, array, object)
  * @property {*} [const] - Single valid value
  * @property {Array} [enum] - Array of valid values
- * @property {string} [pattern] - Regex pattern the value must match
+ * @property {string|RegExp} [pattern] - Regex pattern the value must match (a RegExp in manifest.js)
  * @property {*} [default] - Default value (for documentation)
  * @property {Object} [items] - Validation for array items
  * @property {Object} [properties] - Validation for object properties
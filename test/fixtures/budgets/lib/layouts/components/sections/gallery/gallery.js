@@ -0,0 +1,3 @@
+document.querySelectorAll('.gallery').forEach((gallery) => {
+  gallery.dataset.ready = 'true';
+});
@@ -0,0 +1,3 @@
+import { greet } from '@scripts/greet';
+
+greet('imports');
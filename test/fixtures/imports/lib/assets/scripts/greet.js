@@ -0,0 +1,3 @@
+export function greet(name) {
+  document.body.dataset.greeting = `hello-${name}`;
+}
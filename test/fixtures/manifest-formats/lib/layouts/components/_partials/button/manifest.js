@@ -0,0 +1,4 @@
+export default {
+  name: 'button',
+  styles: ['button.css']
+};
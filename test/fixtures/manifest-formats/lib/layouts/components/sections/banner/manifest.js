@@ -0,0 +1,5 @@
+export default (options) => ({
+  name: 'banner',
+  type: 'section',
+  styles: options.minifyOutput ? ['banner.css'] : ['banner.css', 'banner-debug.css']
+});
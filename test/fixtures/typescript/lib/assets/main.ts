@@ -0,0 +1,2 @@
+const root: HTMLElement = document.documentElement;
+root.classList.add('ts-ready');
@@ -0,0 +1,9 @@
+export type ModalOptions = { closeOnEscape: boolean };
+
+const options: ModalOptions = { closeOnEscape: true };
+
+document.addEventListener('keydown', (event: KeyboardEvent) => {
+  if (options.closeOnEscape && event.key === 'Escape') {
+    document.querySelector<HTMLDialogElement>('dialog[open]')?.close();
+  }
+});
@@ -0,0 +1,3 @@
+const total: number = 'not a number';
+
+document.body.dataset.brokenTotal = String(total);
@@ -0,0 +1,18 @@
+import { clamp } from './clamp';
+
+interface GalleryState {
+  index: number;
+  count: number;
+}
+
+function step(state: GalleryState, delta: number): GalleryState {
+  return { ...state, index: clamp(state.index + delta, 0, state.count - 1) };
+}
+
+document.querySelectorAll<HTMLElement>('.gallery').forEach((gallery) => {
+  let state: GalleryState = { index: 0, count: gallery.children.length };
+  gallery.addEventListener('click', () => {
+    state = step(state, 1);
+    gallery.dataset.galleryIndex = String(state.index);
+  });
+});
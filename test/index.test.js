@@ -1,11 +1,23 @@
 import assert from 'node:assert';
-import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import crypto from 'node:crypto';
+import {
+  appendFileSync,
+  cpSync,
+  existsSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  writeFileSync
+} from 'node:fs';
+import { tmpdir } from 'node:os';
 import { dirname, join, resolve } from 'node:path';
-import { describe, it } from 'node:test';
+import { after, before, describe, it } from 'node:test';
 import { fileURLToPath } from 'node:url';
+import zlib from 'node:zlib';
 import equals from 'assert-dir-equal';
 import Metalsmith from 'metalsmith';
-import bundledComponents from '../src/index.js';
+import bundledComponents, { injectBundles, purgeBundles } from '../src/index.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -13,6 +25,21 @@ function fixture(p) {
   return resolve(__dirname, 'fixtures', p);
 }
 
+/**
+ * Stand-in for a layouts plugin: wraps each page in a full HTML document so
+ * injection has a head and a body to work with
+ */
+function wrapPages(head = '') {
+  return (files) => {
+    Object.keys(files)
+      .filter((fileName) => fileName.endsWith('.html'))
+      .forEach((fileName) => {
+        const body = files[fileName].contents.toString();
+        files[fileName].contents = Buffer.from(`<html><head>${head}</head><body>${body}</body></html>`);
+      });
+  };
+}
+
 /**
  * Normalize JS and CSS files by removing all comments
  * This prevents comment differences from causing test failures
@@ -207,6 +234,29 @@ describe('metalsmith-bundled-components', () => {
       });
   });
 
+  it('should not name the generated CSS entry in the bundle', (_t, done) => {
+    Metalsmith(fixture('default'))
+      .source('./src')
+      .destination('./build')
+      .clean(true)
+      .use(bundledComponents())
+      .build((err) => {
+        if (err) {
+          done(err);
+          return;
+        }
+
+        try {
+          const cssContent = readFileSync(fixture('default/build/assets/main.css'), 'utf8');
+          assert(cssContent.includes('/* lib/layouts/components/sections/banner/banner.css */'));
+          assert(!cssContent.includes('bundled-components.css'), 'the generated entry should not be named');
+          done();
+        } catch (assertErr) {
+          done(assertErr);
+        }
+      });
+  });
+
   it('should bundle JavaScript files with ES module imports', (_t, done) => {
     const ms = Metalsmith(fixture('js-imports'))
       .source('./src')
@@ -308,6 +358,1705 @@ describe('metalsmith-bundled-components', () => {
     });
   });
 
+  describe('per-page bundles', () => {
+    it('bundles shared components once and page-specific components in chunks', (_t, done) => {
+      let pages;
+      Metalsmith(fixture('per-page'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ perPage: { enabled: true } }))
+        .use((files) => {
+          pages = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const sharedCss = readFileSync(fixture('per-page/build/assets/main.css'), 'utf8');
+            assert(sharedCss.includes('--color'), 'main entry should ship in the shared bundle');
+            assert(sharedCss.includes('.header'), 'header is on every page, so it is shared');
+            assert(!sharedCss.includes('.hero'), 'hero is on one page only, so it is not shared');
+
+            const home = pages['index.html'].bundledAssets;
+            assert.strictEqual(home.css.length, 2, 'home should link the shared bundle and its chunk');
+            assert.strictEqual(home.css[0], 'assets/main.css');
+            assert.match(home.css[1], /^assets\/pages\/page-[0-9a-f]{8}\.css$/);
+
+            const homeCss = readFileSync(fixture(`per-page/build/${home.css[1]}`), 'utf8');
+            assert(homeCss.includes('.hero'), 'home chunk should contain hero');
+            assert(homeCss.includes('.button'), 'home chunk should contain button, which hero requires');
+            assert(!homeCss.includes(':root'), 'chunks should not repeat the main entry');
+            const homeJs = readFileSync(fixture(`per-page/build/${home.js[1]}`), 'utf8');
+            assert(homeJs.includes('hero'), 'home chunk JS should contain hero');
+
+            const blog = pages['blog.html'].bundledAssets;
+            const blogCss = readFileSync(fixture(`per-page/build/${blog.css[1]}`), 'utf8');
+            assert(blogCss.includes('.post-list'), 'blog chunk should contain post-list');
+            assert(!blogCss.includes('.button'), 'blog does not use button');
+            assert.deepStrictEqual(blog.js, ['assets/main.js'], 'post-list has no script, so no JS chunk');
+
+            // A page using only shared components links only the shared bundle
+            assert.deepStrictEqual(pages['about.html'].bundledAssets, {
+              css: ['assets/main.css'],
+              js: ['assets/main.js']
+            });
+
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('per-page bundles with component template imports', () => {
+    it('bundles a partial imported only from a section template with the page', (_t, done) => {
+      let pages;
+      Metalsmith(fixture('per-page-imports'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ perPage: { enabled: true } }))
+        .use((files) => {
+          pages = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const home = pages['index.html'].bundledAssets;
+            const homeCss = readFileSync(fixture(`per-page-imports/build/${home.css[1]}`), 'utf8');
+            assert(homeCss.includes('.promo'), 'home chunk should contain promo');
+            assert(homeCss.includes('.badge'), 'home chunk should contain badge, which promo.njk imports');
+            assert.deepStrictEqual(pages['about.html'].bundledAssets.css, ['assets/main.css']);
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+  describe('source maps', () => {
+    it('emits external maps whose sources are the component files on disk', (_t, done) => {
+      let output;
+      Metalsmith(fixture('layers'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ layers: { enabled: true }, sourcemap: 'external' }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = output['assets/main.css'].contents.toString();
+            assert.match(css, /\/\*# sourceMappingURL=main\.css\.map \*\/\s*$/, 'CSS should link its map');
+            assert(!css.includes('bundled-components.css'), 'the generated entry should not be named');
+
+            const cssMap = JSON.parse(output['assets/main.css.map'].contents.toString());
+            assert(cssMap.sources.includes('lib/assets/main.css'), 'main entry should be a source');
+            assert(
+              cssMap.sources.includes('lib/layouts/components/sections/banner/banner.css'),
+              'layer-wrapped component should map to its real file'
+            );
+            assert(cssMap.sources.includes('lib/overrides/banner/banner.css'), 'override should be a source');
+            assert(
+              cssMap.sources.every((source) => !source.includes('tmp')),
+              'no source should be a temp file'
+            );
+
+            // Sources content is the file as authored, not the layer-wrapped text
+            const bannerIndex = cssMap.sources.indexOf('lib/layouts/components/sections/banner/banner.css');
+            assert(!cssMap.sourcesContent[bannerIndex].includes('@layer'), 'wrapping should not leak into sources');
+
+            const jsMap = JSON.parse(output['assets/main.js.map'].contents.toString());
+            assert(jsMap.sources.includes('lib/layouts/components/sections/banner/banner.js'));
+
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('embeds maps in the bundles in inline mode', (_t, done) => {
+      let output;
+      Metalsmith(fixture('layers'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ sourcemap: 'inline' }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            assert(!output['assets/main.css.map'], 'inline mode should not emit map files');
+            const css = output['assets/main.css'].contents.toString();
+            const match = css.match(/sourceMappingURL=data:application\/json;base64,(\S+) \*\//);
+            assert(match, 'CSS should embed its map');
+            const map = JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+            assert(map.sources.includes('lib/layouts/components/sections/banner/banner.css'));
+            assert(!css.includes('sourceMappingURL=main.css.map'), 'linked comment should be replaced');
+
+            const js = output['assets/main.js'].contents.toString();
+            assert.match(js, /\/\/# sourceMappingURL=data:application\/json;base64,/);
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('emits no maps by default', (_t, done) => {
+      let output;
+      Metalsmith(fixture('layers'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents())
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          assert(!output['assets/main.css.map']);
+          assert(!output['assets/main.css'].contents.toString().includes('sourceMappingURL'));
+          done();
+        });
+    });
+  });
+
+  describe('content hashing', () => {
+    it('writes hashed bundles and an asset manifest', (_t, done) => {
+      const ms = Metalsmith(fixture('default'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ hashing: { enabled: true }, sourcemap: 'external' }));
+      let output;
+      ms.use((files) => {
+        output = files;
+      }).build((err) => {
+        if (err) {
+          done(err);
+          return;
+        }
+
+        try {
+          assert(!output['assets/main.css'], 'unhashed CSS name should not be emitted');
+          const manifest = JSON.parse(output['assets-manifest.json'].contents.toString());
+          assert.match(manifest['main.css'], /^assets\/main\.[0-9a-f]{8}\.css$/);
+          assert.match(manifest['main.js'], /^assets\/main\.[0-9a-f]{8}\.js$/);
+          assert.strictEqual(manifest['main.css.map'], `${manifest['main.css']}.map`);
+          assert(output[manifest['main.css']], 'hashed CSS should be in the files object');
+          assert(output[manifest['main.css.map']], 'hashed map should be in the files object');
+
+          // The bundle links its renamed map
+          const css = output[manifest['main.css']].contents.toString();
+          const hashedName = manifest['main.css'].split('/').pop();
+          assert(css.includes(`sourceMappingURL=${hashedName}.map`), 'bundle should link the hashed map');
+
+          // Layouts see the same mapping as metadata
+          assert.deepStrictEqual(ms.metadata().assets, manifest);
+          done();
+        } catch (assertErr) {
+          done(assertErr);
+        }
+      });
+    });
+
+    it('records hashed chunk paths on pages in per-page mode', (_t, done) => {
+      let output;
+      Metalsmith(fixture('per-page'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ perPage: { enabled: true }, hashing: { enabled: true } }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const manifest = JSON.parse(output['assets-manifest.json'].contents.toString());
+            const home = output['index.html'].bundledAssets;
+            assert.strictEqual(home.css[0], manifest['main.css']);
+            assert.match(home.css[1], /^assets\/pages\/page-[0-9a-f]{8}\.[0-9a-f]{8}\.css$/);
+            assert(output[home.css[1]], 'page chunk should be emitted under its hashed name');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('keeps configured names and writes no manifest by default', (_t, done) => {
+      let output;
+      const ms = Metalsmith(fixture('default'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents())
+        .use((files) => {
+          output = files;
+        });
+      ms.build((err) => {
+        if (err) {
+          done(err);
+          return;
+        }
+
+        assert(output['assets/main.css']);
+        assert(!output['assets-manifest.json']);
+        assert.strictEqual(ms.metadata().assets, undefined);
+        done();
+      });
+    });
+  });
+
+  describe('tag injection', () => {
+    it('injects the site-wide bundle tags into rendered pages', (_t, done) => {
+      let output;
+      const ms = Metalsmith(fixture('per-page'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents())
+        .use(wrapPages())
+        .use(injectBundles({ integrity: true, nonce: 'abc123' }))
+        .use((files) => {
+          output = files;
+        });
+      ms.build((err) => {
+        if (err) {
+          done(err);
+          return;
+        }
+
+        try {
+          assert.deepStrictEqual(ms.metadata().bundledComponents, { css: 'assets/main.css', js: 'assets/main.js' });
+
+          const html = output['index.html'].contents.toString();
+          const link = html.match(/<link rel="stylesheet" href="\/assets\/main\.css"[^>]*>/);
+          assert(link, 'stylesheet should be linked');
+          assert(html.indexOf(link[0]) < html.indexOf('</head>'), 'stylesheet should be in the head');
+          assert(link[0].includes('nonce="abc123"'), 'stylesheet should carry the nonce');
+
+          const script = html.match(/<script src="\/assets\/main\.js" defer[^>]*><\/script>/);
+          assert(script, 'script should be deferred');
+          assert(html.indexOf(script[0]) < html.indexOf('</body>'), 'script should close the body');
+
+          // Integrity matches the bundle actually in the files object
+          const expected = crypto.createHash('sha384').update(output['assets/main.js'].contents).digest('base64');
+          assert(script[0].includes(`integrity="sha384-${expected}"`), 'script should carry its integrity');
+          assert(script[0].includes('crossorigin="anonymous"'), 'integrity needs crossorigin');
+          done();
+        } catch (assertErr) {
+          done(assertErr);
+        }
+      });
+    });
+
+    it('injects per-page chunks and skips tags a page already has', (_t, done) => {
+      let output;
+      Metalsmith(fixture('per-page'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ perPage: { enabled: true } }))
+        .use(wrapPages('<link rel="stylesheet" href="/assets/main.css">'))
+        .use(injectBundles({ module: true }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const html = output['index.html'].contents.toString();
+            const [, chunkCss] = output['index.html'].bundledAssets.css;
+            assert.strictEqual(html.split('/assets/main.css').length - 1, 1, 'existing tag should not be doubled');
+            assert(html.includes(`href="/${chunkCss}"`), 'page chunk should be linked');
+            assert(html.includes('<script type="module" src="/assets/main.js"></script>'));
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('critical CSS', () => {
+    it('inlines the styles of the first sections and loads the bundle asynchronously', (_t, done) => {
+      let output;
+      Metalsmith(fixture('critical'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ critical: { enabled: true } }))
+        .use(injectBundles({ nonce: 'abc123' }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const html = output['index.html'].contents.toString();
+            const style = html.match(/<style data-critical nonce="abc123">([\s\S]*?)<\/style>/);
+            assert(style, 'critical CSS should be inlined with the nonce');
+            assert(html.indexOf(style[0]) < html.indexOf('</head>'), 'critical CSS should be in the head');
+
+            // Main entry, the first two sections and what they require; not the third section
+            const critical = style[1];
+            for (const selector of ['--brand', 'body', '.hero', '.button', '.features']) {
+              assert(critical.includes(selector), `critical CSS should contain ${selector}`);
+            }
+            assert(!critical.includes('.cta'), 'sections below the fold are not critical');
+            assert.match(critical, /url\("?\/assets\/media\/mark\.svg"?\)/, 'url() should be root-relative');
+            assert(output['assets/media/mark.svg'], 'asset should still be copied with the full bundle');
+
+            // The full bundle loads without blocking rendering
+            assert(
+              html.includes(
+                '<link rel="preload" as="style" href="/assets/main.css" nonce="abc123" onload="this.onload=null;this.rel=\'stylesheet\'">'
+              )
+            );
+            assert(
+              html.includes('<noscript><link rel="stylesheet" href="/assets/main.css" nonce="abc123"></noscript>')
+            );
+            assert(!/<link rel="stylesheet"[^>]*>(?!<\/noscript>)/.test(html), 'no render-blocking stylesheet');
+            assert(html.includes('<script src="/assets/main.js" defer nonce="abc123"></script>'));
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('builds one critical stylesheet per distinct set of first sections', (_t, done) => {
+      let output;
+      Metalsmith(fixture('critical'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ critical: { enabled: true, sections: 1, include: ['features'] } }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            // One section counts, plus features on every page; about.html starts with features
+            const index = output['index.html'].criticalCss;
+            const about = output['about.html'].criticalCss;
+            const contact = output['contact.html'].criticalCss;
+            assert(index.includes('.hero') && index.includes('.features'));
+            assert(!about.includes('.hero'), 'only the first section counts');
+            assert(contact.includes('.cta') && contact.includes('.features') && !contact.includes('.hero'));
+            assert(!Object.keys(output).some((file) => file.startsWith('critical/')), 'nothing is written');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('CSS purging', () => {
+    it('drops rules no page or script uses and reports bytes per component', (_t, done) => {
+      let output;
+      Metalsmith(fixture('purge'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ purge: { enabled: true, safelist: ['visually-hidden'] } }))
+        .use(purgeBundles())
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = output['assets/main.css'].contents.toString();
+            // Used in the page, added by menu.js, or safelisted in the options or hero's manifest
+            for (const kept of [
+              'body',
+              '.visually-hidden',
+              '.button',
+              '.hero {',
+              '.hero__title',
+              '.hero--dark',
+              '.hero--light',
+              '.menu.is-open'
+            ]) {
+              assert(css.includes(kept), `${kept} should be kept`);
+            }
+            for (const dropped of [
+              '.button--ghost',
+              '#promo',
+              '.hero.is-reverse',
+              '.hero__subtitle',
+              '.menu__legacy',
+              '.hero__caption',
+              '@media'
+            ]) {
+              assert(!css.includes(dropped), `${dropped} should be dropped`);
+            }
+            assert(!css.includes('purge'), 'markers should be removed');
+
+            const report = JSON.parse(output['purge-report.json'].contents.toString());
+            assert.deepStrictEqual(Object.keys(report.summary).sort(), ['button', 'hero', 'menu']);
+            assert.strictEqual(report.bundles[0].file, 'assets/main.css');
+            assert(report.bundles[0].after < report.bundles[0].before);
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('renames a hashed bundle and keeps pages, manifest, integrity and variants in step', (_t, done) => {
+      let output;
+      const ms = Metalsmith(fixture('purge'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(
+          bundledComponents({
+            purge: { enabled: true },
+            hashing: { enabled: true },
+            integrity: { enabled: true },
+            sourcemap: 'external',
+            compress: { enabled: true, threshold: 0 }
+          })
+        )
+        .use(purgeBundles({ report: null }))
+        .use(injectBundles())
+        .use((files) => {
+          output = files;
+        });
+      ms.build((err) => {
+        if (err) {
+          done(err);
+          return;
+        }
+
+        try {
+          const manifest = JSON.parse(output['assets-manifest.json'].contents.toString());
+          const cssPath = manifest['main.css'];
+          const css = output[cssPath].contents;
+          assert(!css.toString().includes('.menu__legacy'), 'bundle should be purged');
+          // Named after the purged contents, hashed before the map comment was relinked
+          const unlinked = css.toString().replace(/\.[0-9a-f]{8}\.css\.map/, '.css.map');
+          const hash = crypto.createHash('sha256').update(unlinked).digest('hex').slice(0, 8);
+          assert.strictEqual(cssPath, `assets/main.${hash}.css`);
+          assert.strictEqual(manifest['main.css.map'], `${cssPath}.map`);
+          assert.strictEqual(
+            Object.keys(output).filter((file) => /^assets\/main\.[0-9a-f]{8}\.css$/.test(file)).length,
+            1
+          );
+          assert(css.toString().endsWith(`/*# sourceMappingURL=${cssPath.slice('assets/'.length)}.map */`));
+          assert(
+            JSON.parse(output[`${cssPath}.map`].contents.toString()).sources.includes(
+              'lib/layouts/components/sections/menu/menu.css'
+            )
+          );
+
+          const integrity = `sha384-${crypto.createHash('sha384').update(css).digest('base64')}`;
+          assert.strictEqual(manifest.integrity['main.css'], integrity);
+          assert.strictEqual(ms.metadata().bundledComponents.css, cssPath);
+          assert.strictEqual(ms.metadata().bundledComponents.integrity.css, integrity);
+          assert(output['index.html'].contents.toString().includes(`href="/${cssPath}"`));
+
+          assert(zlib.gunzipSync(output[`${cssPath}.gz`].contents).equals(css));
+          assert.strictEqual(Object.keys(output).filter((file) => file.endsWith('.css.gz')).length, 1);
+          assert(!output['purge-report.json'], 'report can be turned off');
+          done();
+        } catch (assertErr) {
+          done(assertErr);
+        }
+      });
+    });
+
+    it('fails when bundledComponents did not mark the bundles', (_t, done) => {
+      Metalsmith(fixture('purge'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents())
+        .use(purgeBundles())
+        .build((err) => {
+          try {
+            assert(err, 'build should fail');
+            assert.match(err.message, /purgeBundles needs bundledComponents\(\{ purge: \{ enabled: true \} \}\)/);
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('nested component folders', () => {
+    it('finds components in category folders and detects their nested includes', (_t, done) => {
+      Metalsmith(fixture('nested'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents())
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = readFileSync(fixture('nested/build/assets/main.css'), 'utf8');
+            assert(css.includes('.hero'), 'hero from sections/marketing should be bundled');
+            assert(css.includes('.button'), 'button should be bundled as a requirement of hero');
+            assert(css.includes('.post-list'), 'post-list should be detected from its nested include path');
+            assert(css.includes('.cards'), 'cards should be detected from a template not named after its folder');
+            assert(!css.includes('.year-list'), 'year-list is found but unused, so it is not bundled');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('does not look deeper than maxDepth', (_t, done) => {
+      Metalsmith(fixture('nested'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ maxDepth: 1 }))
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = readFileSync(fixture('nested/build/assets/main.css'), 'utf8');
+            assert(!css.includes('.hero'), 'marketing is taken as a component, so hero is never found');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('component roots', () => {
+    it('bundles components from a package and local roots, the site shadowing them', (_t, done) => {
+      Metalsmith(fixture('roots'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(
+          bundledComponents({
+            roots: [{ name: 'library', package: '@acme/components' }, 'lib/vendor'],
+            analyze: { enabled: true, html: false }
+          })
+        )
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = readFileSync(fixture('roots/build/assets/main.css'), 'utf8');
+            assert(css.includes('site hero'), 'the site hero should shadow the package hero');
+            assert(!css.includes('acme hero'), 'the shadowed package hero should not be bundled');
+            assert(css.includes('border: 1px solid'), 'the site card should keep the package card styles it extends');
+            assert(
+              css.indexOf('border: 1px solid') < css.indexOf('border-radius'),
+              'the site card styles should follow the extended ones'
+            );
+            assert(css.includes('rebeccapurple'), 'button should come from the package as a requirement of card');
+            assert(css.includes('.badge'), 'badge should come from the local vendor root as a requirement of card');
+
+            const report = JSON.parse(readFileSync(fixture('roots/build/bundle-report.json'), 'utf8'));
+            assert.deepStrictEqual(report.components.hero, {
+              root: 'site',
+              path: 'lib/layouts/components/sections/hero',
+              shadows: ['library']
+            });
+            assert.strictEqual(report.components.card.extends, 'library:card');
+            assert.strictEqual(report.components.button.root, 'library');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('fails the build for a root that cannot be found', (_t, done) => {
+      Metalsmith(fixture('roots'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ roots: ['@acme/missing'] }))
+        .build((err) => {
+          try {
+            assert(err, 'build should fail');
+            assert.match(err.message, /Component root "@acme\/missing"/);
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('manifest formats', () => {
+    it('bundles components with YAML and JavaScript manifests', (_t, done) => {
+      Metalsmith(fixture('manifest-formats'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ validation: { strict: true } }))
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = readFileSync(fixture('manifest-formats/build/assets/main.css'), 'utf8');
+            assert(css.includes('.hero'), 'hero has a manifest.yaml');
+            assert(css.includes('teal'), 'button, required by hero, has a manifest.js exporting an object');
+            assert(css.includes('.card'), 'card has a manifest.yml');
+            assert(css.includes('dashed'), 'banner has a manifest.js function that adds a debug stylesheet');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('passes the plugin options to manifest.js functions', (_t, done) => {
+      Metalsmith(fixture('manifest-formats'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ minifyOutput: true }))
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = readFileSync(fixture('manifest-formats/build/assets/main.css'), 'utf8');
+            assert(css.includes('.banner'), 'banner should still be bundled');
+            assert(!css.includes('dashed'), 'the debug stylesheet is left out when minifying');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('manifest check', () => {
+    it('reports every manifest problem together without failing by default', (_t, done) => {
+      const originalError = console.error;
+      const originalWarn = console.warn;
+      const logged = [];
+      console.error = (message) => logged.push(message);
+      console.warn = () => {};
+
+      Metalsmith(fixture('manifest-check'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents())
+        .build((err) => {
+          console.error = originalError;
+          console.warn = originalWarn;
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const report = logged.find((message) => message.startsWith('Manifest problems:'));
+            assert(report, 'the manifest problems should be reported');
+            assert(report.includes('heroes (lib/layouts/components/sections/hero/manifest.json)'));
+            assert(report.includes('unknown key "require" (did you mean "requires"?)'));
+            assert(report.includes('"scripts" should be an array of strings, got string'));
+            assert(report.includes('"styles" lists "hero-old.css"'));
+            assert(report.includes('"name" is "heroes" but the folder is "hero"'));
+
+            const js = readFileSync(fixture('manifest-check/build/assets/main.js'), 'utf8');
+            assert(js.includes('console.log("hero")'), 'a script given as a string should still be bundled');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('fails the build on manifest problems in strict mode', (_t, done) => {
+      const originalError = console.error;
+      console.error = () => {};
+
+      Metalsmith(fixture('manifest-check'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ manifestCheck: { strict: true } }))
+        .build((err) => {
+          console.error = originalError;
+          try {
+            assert(err, 'build should fail');
+            assert.strictEqual(err.message, 'Manifest check failed');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('skips the check when disabled', (_t, done) => {
+      const originalError = console.error;
+      const logged = [];
+      console.error = (message) => logged.push(message);
+
+      Metalsmith(fixture('manifest-check'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ manifestCheck: { enabled: false, strict: true } }))
+        .build((err) => {
+          console.error = originalError;
+          try {
+            assert.ifError(err);
+            assert(!logged.some((message) => String(message).startsWith('Manifest problems:')));
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('manifest file patterns', () => {
+    it('bundles the files styles and scripts patterns match', (_t, done) => {
+      Metalsmith(fixture('globs'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents())
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = readFileSync(fixture('globs/build/assets/main.css'), 'utf8');
+            assert(css.includes('.hero-layout'), 'a stylesheet matched by *.css should be bundled');
+            assert(css.includes('.hero--dark') && css.includes('.hero--light'), 'variants should be bundled');
+            assert(!css.includes('.hero--neon'), 'an excluded stylesheet should not be bundled');
+            assert(css.indexOf('.hero {') < css.indexOf('.hero--dark'), 'files should follow the order of the list');
+
+            const js = readFileSync(fixture('globs/build/assets/main.js'), 'utf8');
+            assert(js.includes('hero carousel'), 'a script matched by *.js should be bundled');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('manifest path guard', () => {
+    it('fails the build when a manifest references a file outside its component', (_t, done) => {
+      Metalsmith(fixture('path-guard'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents())
+        .build((err) => {
+          try {
+            assert(err, 'build should fail');
+            assert(err.message.includes('lists "../../../../shared/tokens.css" in "styles"'));
+            assert(err.message.includes('outside the component folder'));
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('bundles files from a folder in allowedPaths', (_t, done) => {
+      Metalsmith(fixture('path-guard'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ allowedPaths: ['lib/shared'] }))
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = readFileSync(fixture('path-guard/build/assets/main.css'), 'utf8');
+            assert(css.includes('--shared-token'), 'the shared stylesheet should be bundled');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('subresource integrity', () => {
+    const sri = (contents) => `sha384-${crypto.createHash('sha384').update(contents).digest('base64')}`;
+
+    it('publishes integrity of the emitted bundles on metadata and in the manifest', (_t, done) => {
+      let output;
+      const ms = Metalsmith(fixture('default'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ integrity: { enabled: true }, hashing: { enabled: true } }))
+        .use((files) => {
+          output = files;
+        });
+      ms.build((err) => {
+        if (err) {
+          done(err);
+          return;
+        }
+
+        try {
+          const { bundledComponents: bundles } = ms.metadata();
+          assert.strictEqual(bundles.integrity.css, sri(output[bundles.css].contents));
+          assert.strictEqual(bundles.integrity.js, sri(output[bundles.js].contents));
+
+          const manifest = JSON.parse(output['assets-manifest.json'].contents.toString());
+          assert.strictEqual(manifest.integrity['main.css'], bundles.integrity.css);
+          assert.strictEqual(manifest.integrity['main.js'], bundles.integrity.js);
+          assert.deepStrictEqual(ms.metadata().assets.integrity, manifest.integrity);
+          done();
+        } catch (assertErr) {
+          done(assertErr);
+        }
+      });
+    });
+
+    it('records integrity of each page bundle in per-page mode', (_t, done) => {
+      let output;
+      Metalsmith(fixture('per-page'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ integrity: { enabled: true, algorithm: 'sha384' }, perPage: { enabled: true } }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const home = output['index.html'].bundledAssets;
+            [...home.css, ...home.js].forEach((assetPath) => {
+              assert.strictEqual(home.integrity[assetPath], sri(output[assetPath].contents));
+            });
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('publishes no integrity by default', (_t, done) => {
+      const ms = Metalsmith(fixture('default')).source('src').destination('build').clean(true).use(bundledComponents());
+      ms.process((err) => {
+        if (err) {
+          done(err);
+          return;
+        }
+        assert.strictEqual(ms.metadata().bundledComponents.integrity, undefined);
+        done();
+      });
+    });
+  });
+
+  describe('Sass stylesheets', () => {
+    it('compiles component and main entry SCSS before bundling', (_t, done) => {
+      let output;
+      Metalsmith(fixture('scss'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ mainCSSEntry: 'lib/assets/main.scss', layers: { enabled: true } }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = output['assets/main.css'].contents.toString();
+
+            // @use resolves relative to each file: the main entry's tokens
+            // and the card's own variables partial
+            assert(css.includes('--brand: #336699'), 'main entry should be compiled');
+            assert(css.includes('padding: 2rem'), 'component partial should resolve from its folder');
+
+            // Nesting is compiled away, then the output is layer-wrapped
+            assert(css.includes('.card .card-title'), 'nested rules should be flattened');
+            assert(css.includes('.badge:hover'), 'auto-discovered SCSS should be compiled');
+            assert(css.includes('@layer components.card {'), 'compiled CSS should be layer-wrapped');
+            assert(!css.includes('$card-padding'), 'no Sass syntax should reach the bundle');
+
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('maps compiled CSS back to the SCSS sources', (_t, done) => {
+      let output;
+      Metalsmith(fixture('scss'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ layers: { enabled: true }, sourcemap: 'external' }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const cssMap = JSON.parse(output['assets/main.css.map'].contents.toString());
+            assert(cssMap.sources.includes('lib/layouts/components/sections/card/card.scss'));
+            assert(cssMap.sources.includes('lib/layouts/components/_partials/badge/badge.scss'));
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('TypeScript scripts', () => {
+    it('bundles TypeScript component scripts and main entry', (_t, done) => {
+      let output;
+      Metalsmith(fixture('typescript'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ mainJSEntry: 'lib/assets/main.ts' }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const js = output['assets/main.js'].contents.toString();
+            assert(js.includes('ts-ready'), 'TypeScript main entry should be bundled');
+            assert(js.includes('galleryIndex'), 'auto-discovered .ts script should be bundled');
+            assert(js.includes('Escape'), '.mts script listed in a manifest should be bundled');
+            assert(js.includes('Math.max'), 'imports between TypeScript files should resolve');
+            assert(!js.includes('interface GalleryState'), 'types should be stripped');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('reports type errors per component without failing by default', (_t, done) => {
+      const originalError = console.error;
+      const originalWarn = console.warn;
+      const logged = [];
+      console.error = (message) => logged.push(message);
+      console.warn = () => {};
+
+      Metalsmith(fixture('typescript'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ mainJSEntry: 'lib/assets/main.ts', typescript: { typeCheck: true } }))
+        .build((err) => {
+          console.error = originalError;
+          console.warn = originalWarn;
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const report = logged.join('\n');
+            assert.match(report, /broken:\n {4}lib\/layouts\/components\/sections\/broken\/broken\.ts:1:7 TS2322/);
+            assert(!report.includes('gallery:'), 'components that type-check should not be reported');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('fails the build on type errors in strict mode', (_t, done) => {
+      const originalError = console.error;
+      console.error = () => {};
+
+      Metalsmith(fixture('typescript'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ typescript: { typeCheck: true, strict: true } }))
+        .build((err) => {
+          console.error = originalError;
+          try {
+            assert(err, 'build should fail');
+            assert.strictEqual(err.message, 'TypeScript type check failed');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('import resolution', () => {
+    const aliases = { '@tokens': 'lib/assets/tokens', '@scripts': 'lib/assets/scripts' };
+
+    it('resolves nested, aliased and package imports from main and component files', (_t, done) => {
+      let output;
+      Metalsmith(fixture('imports'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ resolve: { aliases } }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = output['assets/main.css'].contents.toString();
+            assert(css.includes('.reset-from-deep-folder'), 'deep relative import should resolve');
+            assert(css.includes('--color-text: #222'), 'aliased import in the main entry should resolve');
+            assert(css.includes('.normalize-from-package'), 'package import should use its style field');
+            assert(css.includes('.theme-from-scoped-package'), '~-prefixed scoped package import should resolve');
+            assert(
+              css.includes('.card-title-from-component-folder'),
+              'component import should resolve from its folder'
+            );
+            assert(css.includes('--space-card: 1.5rem'), 'aliased import in a component should resolve');
+
+            const js = output['assets/main.js'].contents.toString();
+            assert(js.includes('hello-'), 'aliased script import should resolve');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('fails the build naming the file with an import that does not resolve', (_t, done) => {
+      Metalsmith(fixture('imports'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ resolve: { aliases: { '@scripts': 'lib/assets/scripts' } } }))
+        .build((err) => {
+          try {
+            assert(err, 'build should fail');
+            assert.match(err.message, /CSS bundling failed/);
+            assert.match(err.message, /Cannot resolve @import "@tokens\/colors\.css" in lib\/assets\/main\.css/);
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('url() assets', () => {
+    it('copies referenced files next to the bundle and rewrites their URLs', (_t, done) => {
+      let output;
+      Metalsmith(fixture('url-assets'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ assets: { hash: true } }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = output['assets/main.css'].contents.toString();
+            const copied = Object.keys(output).filter((name) => name.startsWith('assets/media/'));
+
+            // Both logo.svg files are kept apart by their content hashes
+            assert.strictEqual(copied.filter((name) => /^assets\/media\/logo\.[0-9a-f]{8}\.svg$/.test(name)).length, 2);
+
+            const heroBg = copied.find((name) => name.startsWith('assets/media/hero-bg.'));
+            assert(heroBg, 'component image should be copied');
+            assert(
+              css.includes(`url(./media/${heroBg.slice('assets/media/'.length)})`),
+              'URL should point at the copy'
+            );
+
+            const font = copied.find((name) => name.startsWith('assets/media/brand.'));
+            assert(css.includes(`./media/${font.slice('assets/media/'.length)}?#iefix`), 'URL suffix should be kept');
+            assert(css.includes('url(/images/site-background.jpg)'), 'root-relative URLs should be left alone');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('inlines files up to the inline limit as data URIs', (_t, done) => {
+      let output;
+      Metalsmith(fixture('url-assets'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ assets: { hash: true, inlineLimit: 100 } }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const css = output['assets/main.css'].contents.toString();
+            assert(css.includes('url(data:image/svg+xml;base64,'), 'small SVGs should be inlined');
+            assert(css.includes('url(data:font/woff2;base64,'), 'small fonts should be inlined');
+            assert.deepStrictEqual(
+              Object.keys(output).filter((name) => name.startsWith('assets/media/')).length,
+              1,
+              'only the image above the limit should be copied'
+            );
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('fails when two different files would be copied to the same path', (_t, done) => {
+      Metalsmith(fixture('url-assets'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents())
+        .build((err) => {
+          try {
+            assert(err, 'build should fail');
+            assert.match(err.message, /Two url\(\) assets would be written to assets\/media\/logo\.svg/);
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('ES module output', () => {
+    it('splits section scripts into chunks loaded by a generated loader', (_t, done) => {
+      let output;
+      Metalsmith(fixture('per-page'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ format: 'esm', sourcemap: 'external' }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const entry = output['assets/main.js'].contents.toString();
+            const chunks = Object.keys(output).filter((name) => /^assets\/chunks\/.+\.js$/.test(name));
+
+            // Main entry and partials load up front
+            assert(entry.includes('console.log("main")'), 'main entry should stay in the entry');
+            assert(entry.includes('console.log("button")'), 'partial scripts should stay in the entry');
+            assert(!entry.includes('console.log("hero")'), 'section scripts should not be in the entry');
+
+            // Each section is imported on demand, keyed by its data-component name
+            const heroChunk = chunks.find((name) => name.startsWith('assets/chunks/hero-'));
+            assert(heroChunk, 'hero should get its own chunk');
+            assert(output[heroChunk].contents.toString().includes('console.log("hero")'));
+            assert(entry.includes(`"hero": () => import("./chunks/${heroChunk.slice('assets/chunks/'.length)}")`));
+            assert(entry.includes('IntersectionObserver'), 'entry should carry the loader');
+            assert(entry.includes('[data-component]'));
+
+            assert(output[`${heroChunk}.map`], 'chunks should get their own source maps');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('keeps the classic single script by default', (_t, done) => {
+      let output;
+      Metalsmith(fixture('per-page'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents())
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            assert(output['assets/main.js'].contents.toString().includes('console.log("hero")'));
+            assert(!Object.keys(output).some((name) => name.startsWith('assets/chunks/')));
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('differential bundles', () => {
+    it('builds a modern module bundle and a down-levelled nomodule bundle', (_t, done) => {
+      let output;
+      let metadata;
+      Metalsmith(fixture('typescript'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ mainJSEntry: 'lib/assets/main.ts', legacy: { enabled: true } }))
+        .use(wrapPages())
+        .use(injectBundles())
+        .use((files, metalsmith) => {
+          output = files;
+          metadata = metalsmith.metadata();
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const modern = output['assets/main.js'].contents.toString();
+            const legacy = output['assets/main.legacy.js'].contents.toString();
+
+            // Optional chaining survives the es2020 target, not the es2015 one
+            assert(modern.includes('?.close()'), 'modern bundle should keep optional chaining');
+            assert(legacy.includes('Escape'), 'legacy bundle should contain the component scripts');
+            assert(!legacy.includes('?.'), 'legacy bundle should be down-levelled');
+            assert.strictEqual(metadata.bundledComponents.jsLegacy, 'assets/main.legacy.js');
+
+            const html = output['index.html'].contents.toString();
+            assert(html.includes('<script type="module" src="/assets/main.js"></script>'));
+            assert(html.includes('<script src="/assets/main.legacy.js" nomodule defer></script>'));
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('size budgets', () => {
+    it('lists components and bundles over budget without failing by default', (_t, done) => {
+      const originalError = console.error;
+      const originalWarn = console.warn;
+      const logged = [];
+      console.error = (message) => logged.push(message);
+      console.warn = (message) => logged.push(message);
+
+      Metalsmith(fixture('budgets'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ budgets: { js: '50b' } }))
+        .build((err) => {
+          console.error = originalError;
+          console.warn = originalWarn;
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const report = logged.join('\n');
+            assert.match(report, /Size budgets exceeded/);
+            assert.match(report, /^ {2}gallery +css +\d+b +\d+b +100b +\+\d+b$/m);
+            assert.match(report, /^ {2}assets\/main\.js +js /m);
+            assert(!/^ {2}gallery +js/m.test(report), 'gallery JS is within its budget');
+            assert(!/^ {2}note /m.test(report), 'note is within its budget');
+            assert.match(report, /continuing build/);
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('fails the build in strict mode', (_t, done) => {
+      const originalError = console.error;
+      console.error = () => {};
+
+      Metalsmith(fixture('budgets'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ budgets: { strict: true } }))
+        .build((err) => {
+          console.error = originalError;
+          try {
+            assert(err, 'build should fail');
+            assert.strictEqual(err.message, 'Size budget check failed');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('applies budgets to gzip sizes when asked', (_t, done) => {
+      const originalError = console.error;
+      const originalWarn = console.warn;
+      const logged = [];
+      console.error = (message) => logged.push(message);
+      console.warn = () => {};
+
+      Metalsmith(fixture('budgets'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ budgets: { measure: 'gzip' } }))
+        .build((err) => {
+          console.error = originalError;
+          console.warn = originalWarn;
+          try {
+            assert.ifError(err);
+            const row = logged.join('\n').match(/^ {2}gallery +css +(\d+)b +(\d+)b +100b gzip +\+(\d+)b$/m);
+            assert(row, 'gallery CSS is listed against a gzip budget');
+            assert.strictEqual(Number(row[3]), Number(row[2]) - 100, 'overage is measured on the gzip size');
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('compressed variants', () => {
+    it('adds .gz and .br files next to each bundle', (_t, done) => {
+      let output;
+      Metalsmith(fixture('default'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(
+          bundledComponents({
+            hashing: { enabled: true },
+            sourcemap: 'external',
+            compress: { enabled: true, threshold: 0 }
+          })
+        )
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const manifest = JSON.parse(output['assets-manifest.json'].contents.toString());
+            for (const name of ['main.css', 'main.js']) {
+              const bundle = output[manifest[name]].contents;
+              assert(zlib.gunzipSync(output[`${manifest[name]}.gz`].contents).equals(bundle), `${name}.gz`);
+              assert(zlib.brotliDecompressSync(output[`${manifest[name]}.br`].contents).equals(bundle), `${name}.br`);
+            }
+            // Source maps are fetched by devtools only, so they aren't compressed
+            assert(!Object.keys(output).some((file) => /\.map\.(gz|br)$/.test(file)));
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+
+    it('leaves bundles under the threshold uncompressed', (_t, done) => {
+      let output;
+      Metalsmith(fixture('default'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(bundledComponents({ compress: { enabled: true, brotli: false, threshold: 1024 * 1024 } }))
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            assert(output['assets/main.css']);
+            assert.deepStrictEqual(
+              Object.keys(output).filter((file) => /\.(gz|br)$/.test(file)),
+              []
+            );
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
+  describe('incremental rebuilds', () => {
+    let root;
+
+    before(() => {
+      root = mkdtempSync(join(tmpdir(), 'incremental-'));
+      cpSync(fixture('default'), root, { recursive: true, filter: (source) => !source.endsWith('build') });
+    });
+
+    after(() => {
+      rmSync(root, { recursive: true, force: true });
+    });
+
+    /**
+     * Build the copied fixture with one plugin instance, as watch mode does
+     */
+    function buildWith(plugin) {
+      return new Promise((resolvePromise, reject) => {
+        let output;
+        Metalsmith(root)
+          .source('src')
+          .destination('build')
+          .clean(true)
+          .use(plugin)
+          .use((files) => {
+            output = files;
+          })
+          .build((err) => (err ? reject(err) : resolvePromise(output)));
+      });
+    }
+
+    it('picks up changes to component files and files imported from the main entry', async () => {
+      const plugin = bundledComponents({ incremental: true });
+      const first = await buildWith(plugin);
+      const second = await buildWith(plugin);
+      assert.strictEqual(second['assets/main.css'].contents.toString(), first['assets/main.css'].contents.toString());
+      assert.strictEqual(second['assets/main.js'].contents.toString(), first['assets/main.js'].contents.toString());
+
+      appendFileSync(
+        join(root, 'lib/layouts/components/sections/banner/banner.css'),
+        '\n.banner--changed { order: 1; }\n'
+      );
+      appendFileSync(join(root, 'lib/assets/base.css'), '\n.base--changed { order: 2; }\n');
+      const third = await buildWith(plugin);
+      const css = third['assets/main.css'].contents.toString();
+      assert(css.includes('.banner--changed'), 'edited component stylesheet should be rebundled');
+      assert(css.includes('.base--changed'), 'edited import of the main entry should be rebundled');
+      assert.strictEqual(third['assets/main.js'].contents.toString(), first['assets/main.js'].contents.toString());
+    });
+
+    it('picks up a component added to a manifest', async () => {
+      const plugin = bundledComponents({ incremental: true });
+      await buildWith(plugin);
+
+      const bannerDir = join(root, 'lib/layouts/components/sections/banner');
+      writeFileSync(join(bannerDir, 'extra.css'), '.banner__extra { order: 3; }\n');
+      const manifestPath = join(bannerDir, 'manifest.json');
+      const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+      writeFileSync(manifestPath, JSON.stringify({ ...manifest, styles: [...manifest.styles, 'extra.css'] }));
+
+      const output = await buildWith(plugin);
+      assert(output['assets/main.css'].contents.toString().includes('.banner__extra'));
+    });
+
+    it('reuses bundles stored on disk by an earlier build', async () => {
+      const cacheOptions = { cache: { enabled: true } };
+      const first = await buildWith(bundledComponents(cacheOptions));
+
+      // Mark the stored CSS bundle, so a build that uses it can be told apart
+      const cacheDir = join(root, '.cache/bundled-components');
+      const storedCss = readdirSync(cacheDir)
+        .filter((name) => name.endsWith('.json'))
+        .map((name) => join(cacheDir, name))
+        .find((file) => JSON.parse(readFileSync(file, 'utf8')).key === 'css:assets/main.css');
+      const record = JSON.parse(readFileSync(storedCss, 'utf8'));
+      record.output.content += '/* from cache */';
+      writeFileSync(storedCss, JSON.stringify(record));
+
+      // A new plugin instance has nothing in memory, as in a separate process
+      const second = await buildWith(bundledComponents(cacheOptions));
+      assert(second['assets/main.css'].contents.toString().endsWith('/* from cache */'));
+      assert.strictEqual(second['assets/main.js'].contents.toString(), first['assets/main.js'].contents.toString());
+
+      appendFileSync(
+        join(root, 'lib/layouts/components/sections/banner/banner.css'),
+        '\n.banner--again { order: 4; }\n'
+      );
+      const third = await buildWith(bundledComponents(cacheOptions));
+      const css = third['assets/main.css'].contents.toString();
+      assert(css.includes('.banner--again'), 'a changed input should miss the cache');
+      assert(!css.includes('/* from cache */'));
+    });
+  });
+
+  describe('bundle analysis', () => {
+    it('reports bytes per component, main entry and package', (_t, done) => {
+      let output;
+      Metalsmith(fixture('imports'))
+        .source('src')
+        .destination('build')
+        .clean(true)
+        .use(
+          bundledComponents({
+            resolve: { aliases: { '@tokens': 'lib/assets/tokens', '@scripts': 'lib/assets/scripts' } },
+            analyze: { enabled: true }
+          })
+        )
+        .use((files) => {
+          output = files;
+        })
+        .build((err) => {
+          if (err) {
+            done(err);
+            return;
+          }
+
+          try {
+            const report = JSON.parse(output['bundle-report.json'].contents.toString());
+            const css = report.bundles.find((bundle) => bundle.file === 'assets/main.css');
+            const group = (bundle, name) => bundle.groups.find((entry) => entry.name === name);
+
+            // A component's own imports count towards it, wherever they live
+            const card = group(css, 'card');
+            assert.strictEqual(card.kind, 'component');
+            assert.deepStrictEqual(card.files.map((file) => file.path).sort(), [
+              'lib/assets/tokens/spacing.css',
+              'lib/layouts/components/sections/card/card.css',
+              'lib/layouts/components/sections/card/parts/card-title.css'
+            ]);
+
+            assert.strictEqual(group(css, 'lib/assets/main.css').kind, 'main');
+            assert(
+              group(css, 'lib/assets/main.css').files.some((file) => file.path === 'lib/assets/tokens/colors.css')
+            );
+            assert.strictEqual(group(css, 'fake-normalize').kind, 'package');
+            assert.strictEqual(group(css, '@acme/theme').kind, 'package');
+
+            // Groups add up to the bundle, gzip included
+            const sum = (key) => css.groups.reduce((total, entry) => total + entry[key], 0);
+            assert.strictEqual(sum('bytes'), css.bytes);
+            assert(Math.abs(sum('gzip') - css.gzip) <= css.groups.length);
+            assert.strictEqual(css.bytes, output['assets/main.css'].contents.length);
+
+            const js = report.bundles.find((bundle) => bundle.file === 'assets/main.js');
+            assert(group(js, 'lib/assets/main.js').files.some((file) => file.path === 'lib/assets/scripts/greet.js'));
+
+            const cardSummary = report.summary.find((entry) => entry.name === 'card');
+            assert.strictEqual(cardSummary.css.bytes, card.bytes);
+            assert.strictEqual(cardSummary.js.bytes, 0);
+
+            const html = output['bundle-report.html'].contents.toString();
+            assert(html.startsWith('<!doctype html>'));
+            assert(html.includes('assets/main.css') && html.includes('@acme/theme'));
+            done();
+          } catch (assertErr) {
+            done(assertErr);
+          }
+        });
+    });
+  });
+
   describe('cascade layers', () => {
     it('wraps component CSS in sublayers and appends site overrides', (_t, done) => {
       Metalsmith(fixture('layers'))
@@ -0,0 +1,47 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { contentHash, hashedPath, logicalName, relinkSourceMap } from '../../src/utils/asset-hashing.js';
+
+describe('Asset Hashing', () => {
+  describe('contentHash()', () => {
+    it('should return a hex prefix of the requested length', () => {
+      assert.match(contentHash('body {}', 8), /^[0-9a-f]{8}$/);
+      assert.match(contentHash('body {}', 12), /^[0-9a-f]{12}$/);
+    });
+
+    it('should change when the contents change', () => {
+      assert.notStrictEqual(contentHash('body {}', 8), contentHash('body { margin: 0 }', 8));
+    });
+
+    it('should not change for the same contents', () => {
+      assert.strictEqual(contentHash(Buffer.from('body {}'), 8), contentHash('body {}', 8));
+    });
+  });
+
+  describe('hashedPath()', () => {
+    it('should insert the hash before the extension', () => {
+      assert.strictEqual(hashedPath('assets/main.css', '1a2b3c4d'), 'assets/main.1a2b3c4d.css');
+    });
+
+    it('should keep dots in the file name', () => {
+      assert.strictEqual(hashedPath('assets/app.bundle.js', 'abc'), 'assets/app.bundle.abc.js');
+    });
+  });
+
+  describe('logicalName()', () => {
+    it('should use the file name without directories', () => {
+      assert.strictEqual(logicalName('assets/main.css'), 'main.css');
+      assert.strictEqual(logicalName('assets/pages/page-1a2b3c4d.js'), 'page-1a2b3c4d.js');
+    });
+  });
+
+  describe('relinkSourceMap()', () => {
+    it('should point the source map comment at the hashed map file', () => {
+      const css = '.a{}\n/*# sourceMappingURL=main.css.map */\n';
+      assert.strictEqual(
+        relinkSourceMap(css, 'assets/main.css', 'assets/main.1a2b3c4d.css'),
+        '.a{}\n/*# sourceMappingURL=main.1a2b3c4d.css.map */\n'
+      );
+    });
+  });
+});
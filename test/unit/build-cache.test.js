@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Unit tests for the build cache: file and folder stamps, and
+ * reusing or rebuilding a bundle with and without esbuild contexts.
+ */
+
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import {
+  cachedBuild,
+  createBuildCache,
+  disposeContexts,
+  fileStamp,
+  folderStamp,
+  stampFiles,
+  startRun,
+  unchanged
+} from '../../src/utils/build-cache.js';
+
+describe('build cache', () => {
+  let root;
+  let script;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-cache-'));
+    script = path.join(root, 'widget.js');
+    fs.writeFileSync(script, 'console.log("one");\n');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  /**
+   * Bundle the widget script, counting how often esbuild actually runs
+   */
+  function bundleWidget(cache, counter) {
+    const entry = `import ${JSON.stringify(script)};`;
+    return cachedBuild(
+      cache,
+      { key: 'js:widget.js', signature: entry, projectRoot: root },
+      () => ({
+        stdin: { contents: entry, resolveDir: root, loader: 'js' },
+        bundle: true,
+        write: false,
+        outfile: path.join(root, 'out.js'),
+        absWorkingDir: root,
+        logLevel: 'silent'
+      }),
+      (result) => {
+        counter.builds += 1;
+        return result.outputFiles[0].text;
+      }
+    );
+  }
+
+  describe('stamps', () => {
+    it('returns null for a missing file', () => {
+      assert.equal(fileStamp(path.join(root, 'missing.js')), null);
+    });
+
+    it('notices a changed file', () => {
+      const file = path.join(root, 'stamped.css');
+      fs.writeFileSync(file, 'a {}');
+      const stamps = stampFiles([file]);
+      assert.ok(unchanged(stamps));
+      fs.writeFileSync(file, 'a { color: red; }');
+      assert.ok(!unchanged(stamps));
+    });
+
+    it('changes the folder stamp when a file is added', () => {
+      const folder = path.join(root, 'component');
+      fs.mkdirSync(folder);
+      const stamp = folderStamp(folder);
+      fs.writeFileSync(path.join(folder, 'component.css'), '');
+      assert.notEqual(folderStamp(folder), stamp);
+    });
+
+    it('changes the folder stamp when a file in a subfolder changes', () => {
+      const folder = path.join(root, 'split-component');
+      fs.mkdirSync(path.join(folder, 'variants'), { recursive: true });
+      fs.writeFileSync(path.join(folder, 'variants', 'dark.css'), 'a {}');
+      const stamp = folderStamp(folder);
+      fs.writeFileSync(path.join(folder, 'variants', 'dark.css'), 'a { color: white; }');
+      assert.notEqual(folderStamp(folder), stamp);
+    });
+  });
+
+  describe('cachedBuild()', () => {
+    it('reuses the output while inputs are unchanged', async () => {
+      const cache = createBuildCache();
+      const counter = { builds: 0 };
+      await startRun(cache, false);
+      const first = await bundleWidget(cache, counter);
+      await startRun(cache, false);
+      const second = await bundleWidget(cache, counter);
+
+      assert.equal(second, first);
+      assert.equal(counter.builds, 1);
+      assert.deepEqual(cache.hits.bundles, ['js:widget.js']);
+    });
+
+    it('rebuilds through a kept context when an input changes', async () => {
+      const cache = createBuildCache();
+      const counter = { builds: 0 };
+      await startRun(cache, true);
+      assert.match(await bundleWidget(cache, counter), /one/);
+      const { context } = cache.contexts.get('js:widget.js');
+
+      fs.writeFileSync(script, 'console.log("two");\n');
+      await startRun(cache, true);
+      assert.match(await bundleWidget(cache, counter), /two/);
+      assert.equal(counter.builds, 2);
+      assert.equal(cache.contexts.get('js:widget.js').context, context, 'the context should be reused');
+
+      await disposeContexts(cache);
+      assert.equal(cache.contexts.size, 0);
+    });
+
+    it('disposes contexts when a run is not watching', async () => {
+      const cache = createBuildCache();
+      await startRun(cache, true);
+      await bundleWidget(cache, { builds: 0 });
+      await startRun(cache, false);
+      assert.equal(cache.contexts.size, 0);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Unit tests for the bundle report: package names, attributing
+ * metafile inputs to groups, the summary and the HTML rendering.
+ */
+
+import { strict as assert } from 'node:assert';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import {
+  attributeInputs,
+  buildReport,
+  formatBytes,
+  packageName,
+  renderReportHtml
+} from '../../src/utils/bundle-report.js';
+
+describe('bundle report', () => {
+  describe('packageName()', () => {
+    it('names plain and scoped packages', () => {
+      assert.equal(packageName('node_modules/swiper/swiper.mjs'), 'swiper');
+      assert.equal(packageName('node_modules/@acme/theme/theme.css'), '@acme/theme');
+      assert.equal(packageName('node_modules/a/node_modules/b/index.js'), 'b');
+    });
+
+    it('returns null outside node_modules', () => {
+      assert.equal(packageName('lib/assets/main.js'), null);
+    });
+  });
+
+  describe('attributeInputs()', () => {
+    const root = path.resolve('/site');
+    const metafile = {
+      outputs: { 'assets/main.js': { entryPoint: 'bundled-components.js' } },
+      inputs: {
+        'bundled-components.js': {
+          imports: [{ path: 'lib/assets/main.js' }, { path: 'lib/components/hero/hero.js' }]
+        },
+        'lib/assets/main.js': { imports: [{ path: 'lib/shared/util.js' }] },
+        'lib/components/hero/hero.js': {
+          imports: [
+            { path: 'lib/shared/util.js' },
+            { path: 'lib/shared/tween.js' },
+            { path: 'node_modules/gsap/index.js' }
+          ]
+        },
+        'lib/shared/util.js': { imports: [] },
+        'lib/shared/tween.js': { imports: [] },
+        'node_modules/gsap/index.js': { imports: [] }
+      }
+    };
+    const groups = attributeInputs(metafile, root, {
+      owners: new Map(),
+      componentDirs: new Map([[path.join(root, 'lib/components/hero'), 'hero']]),
+      mainEntries: new Map([[path.join(root, 'lib/assets/main.js'), 'lib/assets/main.js']])
+    });
+
+    it('passes ownership down imports, first importer winning', () => {
+      assert.deepEqual(groups.get('lib/shared/util.js'), { name: 'lib/assets/main.js', kind: 'main' });
+      assert.deepEqual(groups.get('lib/shared/tween.js'), { name: 'hero', kind: 'component' });
+    });
+
+    it('keeps packages apart from whoever imports them', () => {
+      assert.deepEqual(groups.get('node_modules/gsap/index.js'), { name: 'gsap', kind: 'package' });
+    });
+  });
+
+  describe('buildReport()', () => {
+    it('adds groups up per side and leaves legacy bundles out', () => {
+      const group = (bytes) => ({ name: 'hero', kind: 'component', bytes, gzip: bytes / 2, files: [] });
+      const report = buildReport([
+        { file: 'main.css', type: 'css', bytes: 10, gzip: 5, groups: [group(10)] },
+        { file: 'main.js', type: 'js', bytes: 20, gzip: 10, groups: [group(20)] },
+        { file: 'chunks/hero.js', type: 'jsChunk', bytes: 4, gzip: 2, groups: [group(4)] },
+        { file: 'main.legacy.js', type: 'jsLegacy', bytes: 30, gzip: 15, groups: [group(30)] }
+      ]);
+      assert.deepEqual(report.summary, [
+        { name: 'hero', kind: 'component', css: { bytes: 10, gzip: 5 }, js: { bytes: 24, gzip: 12 } }
+      ]);
+    });
+  });
+
+  describe('renderReportHtml()', () => {
+    it('escapes names', () => {
+      const html = renderReportHtml(
+        buildReport([
+          {
+            file: 'main.js',
+            type: 'js',
+            bytes: 1,
+            gzip: 1,
+            groups: [{ name: '<x>', kind: 'other', bytes: 1, gzip: 1, files: [] }]
+          }
+        ])
+      );
+      assert.ok(html.includes('&lt;x&gt;'));
+      assert.ok(!html.includes('<x>'));
+    });
+  });
+
+  describe('formatBytes()', () => {
+    it('switches to kB from 1000 bytes', () => {
+      assert.equal(formatBytes(812), '812 B');
+      assert.equal(formatBytes(14200), '14.2 kB');
+    });
+  });
+});
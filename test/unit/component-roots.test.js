@@ -0,0 +1,152 @@
+import assert from 'node:assert';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import {
+  collectRootComponents,
+  componentResolution,
+  extendComponent,
+  resolveComponentRoots
+} from '../../src/utils/component-roots.js';
+import { normalizeOptions } from '../../src/utils/options.js';
+
+const projectRoot = path.resolve('test/fixtures/roots');
+const packageDir = path.join(projectRoot, 'node_modules/@acme/components');
+
+describe('Component Roots', () => {
+  describe('resolveComponentRoots()', () => {
+    it('should make the site folders the only root by default', () => {
+      const roots = resolveComponentRoots(normalizeOptions({}), projectRoot);
+      assert.deepStrictEqual(roots, [
+        {
+          name: 'site',
+          dir: projectRoot,
+          basePath: path.join(projectRoot, 'lib/layouts/components/_partials'),
+          sectionsPath: path.join(projectRoot, 'lib/layouts/components/sections')
+        }
+      ]);
+    });
+
+    it('should resolve packages and local folders in order, the site last', () => {
+      const roots = resolveComponentRoots(normalizeOptions({ roots: ['@acme/components', 'lib/vendor'] }), projectRoot);
+      assert.deepStrictEqual(
+        roots.map((root) => [root.name, root.dir]),
+        [
+          ['@acme/components', packageDir],
+          ['lib/vendor', path.join(projectRoot, 'lib/vendor')],
+          ['site', projectRoot]
+        ]
+      );
+      assert.strictEqual(roots[0].basePath, path.join(packageDir, '_partials'));
+      assert.strictEqual(roots[0].sectionsPath, path.join(packageDir, 'sections'));
+    });
+
+    it('should take names and folders from object entries', () => {
+      const roots = resolveComponentRoots(
+        normalizeOptions({ roots: [{ name: 'library', package: '@acme/components', sectionsPath: 'blocks' }] }),
+        projectRoot
+      );
+      assert.strictEqual(roots[0].name, 'library');
+      assert.strictEqual(roots[0].sectionsPath, path.join(packageDir, 'blocks'));
+    });
+
+    it('should throw for a package that is not installed', () => {
+      assert.throws(
+        () => resolveComponentRoots(normalizeOptions({ roots: ['@acme/missing'] }), projectRoot),
+        /Component root "@acme\/missing" is neither a folder nor a package installed in node_modules/
+      );
+    });
+
+    it('should throw for two roots with the same name', () => {
+      assert.throws(
+        () => resolveComponentRoots(normalizeOptions({ roots: [{ name: 'site', path: 'lib/vendor' }] }), projectRoot),
+        /Component root name "site" is used more than once/
+      );
+    });
+  });
+
+  describe('collectRootComponents()', () => {
+    const libraryRoots = () =>
+      resolveComponentRoots(
+        normalizeOptions({ roots: [{ name: 'library', package: '@acme/components' }, 'lib/vendor'] }),
+        projectRoot
+      );
+
+    it('should let later roots shadow earlier components', async () => {
+      const { base, sections, componentMap } = await collectRootComponents(libraryRoots(), { maxDepth: 3 });
+
+      assert.deepStrictEqual(
+        base.map((c) => [c.name, c.root]),
+        [
+          ['button', 'library'],
+          ['badge', 'lib/vendor']
+        ]
+      );
+      assert.deepStrictEqual(
+        sections.map((c) => [c.name, c.root]),
+        [
+          ['card', 'site'],
+          ['hero', 'site']
+        ]
+      );
+      assert.strictEqual(componentMap.get('hero').path, path.join(projectRoot, 'lib/layouts/components/sections/hero'));
+      assert.deepStrictEqual(componentMap.get('hero').shadows, ['library']);
+      assert.strictEqual(componentMap.get('button').shadows, undefined);
+    });
+
+    it('should merge a component with the one it extends', async () => {
+      const { componentMap } = await collectRootComponents(libraryRoots(), { maxDepth: 3 });
+      const card = componentMap.get('card');
+
+      assert.deepStrictEqual(card.styles, [path.join(packageDir, 'sections/card/card.css'), 'card.css']);
+      assert.deepStrictEqual(card.requires, ['button', 'badge']);
+      assert.strictEqual(card.type, 'section', 'keys the extending manifest leaves out come from the extended one');
+      assert.strictEqual(card.path, path.join(projectRoot, 'lib/layouts/components/sections/card'));
+      assert.deepStrictEqual(componentResolution(card, projectRoot), {
+        root: 'site',
+        path: 'lib/layouts/components/sections/card',
+        shadows: ['library'],
+        extends: 'library:card'
+      });
+    });
+
+    it('should reject an extends no earlier root can satisfy', async () => {
+      const roots = resolveComponentRoots(normalizeOptions({ roots: ['@acme/components'] }), projectRoot);
+      await assert.rejects(
+        () => collectRootComponents(roots, { maxDepth: 3 }),
+        /Component "card" in root "site" extends "library:card", which no earlier component root has \(roots: @acme\/components\)/
+      );
+    });
+  });
+
+  describe('extendComponent()', () => {
+    it('should put the extended files first and let other keys override', () => {
+      const base = {
+        name: 'hero',
+        path: '/lib/hero',
+        styles: ['hero.css'],
+        scripts: ['hero.js'],
+        requires: ['button'],
+        safelist: ['is-open'],
+        description: 'Library hero'
+      };
+      const component = {
+        name: 'hero',
+        path: '/site/hero',
+        styles: ['hero.css'],
+        scripts: [],
+        dependencies: [],
+        safelist: ['hero--*'],
+        description: 'Site hero'
+      };
+
+      const result = extendComponent(component, base);
+
+      assert.deepStrictEqual(result.styles, [path.resolve('/lib/hero/hero.css'), 'hero.css']);
+      assert.deepStrictEqual(result.scripts, [path.resolve('/lib/hero/hero.js')]);
+      assert.deepStrictEqual(result.requires, ['button']);
+      assert.deepStrictEqual(result.safelist, ['is-open', 'hero--*']);
+      assert.strictEqual(result.description, 'Site hero');
+      assert.strictEqual(result.path, '/site/hero');
+    });
+  });
+});
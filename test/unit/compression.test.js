@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Unit tests for precompressed bundle variants
+ */
+
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+import zlib from 'node:zlib';
+import { compressVariants } from '../../src/utils/compression.js';
+
+const compress = { gzip: true, brotli: true, gzipLevel: 9, brotliLevel: 11, threshold: 1024 };
+const css = Buffer.from('.card { padding: 1rem; }\n'.repeat(100));
+
+describe('compressVariants()', () => {
+  it('emits .gz and .br variants that decompress to the original', () => {
+    const variants = compressVariants('assets/main.css', css, compress);
+    assert.deepEqual(
+      variants.map((variant) => variant.dest),
+      ['assets/main.css.gz', 'assets/main.css.br']
+    );
+    assert.ok(zlib.gunzipSync(variants[0].contents).equals(css));
+    assert.ok(zlib.brotliDecompressSync(variants[1].contents).equals(css));
+  });
+
+  it('emits only the enabled formats', () => {
+    const variants = compressVariants('assets/main.css', css, { ...compress, gzip: false });
+    assert.deepEqual(
+      variants.map((variant) => variant.dest),
+      ['assets/main.css.br']
+    );
+  });
+
+  it('uses the configured levels', () => {
+    const [fast] = compressVariants('assets/main.css', css, { ...compress, brotli: false, gzipLevel: 1 });
+    const [best] = compressVariants('assets/main.css', css, { ...compress, brotli: false });
+    assert.ok(zlib.gunzipSync(fast.contents).equals(css));
+    assert.notDeepEqual(fast.contents, best.contents);
+  });
+
+  it('leaves files under the threshold alone', () => {
+    assert.deepEqual(compressVariants('assets/main.css', css.subarray(0, 1000), compress), []);
+  });
+
+  it('drops variants that come out no smaller than the original', () => {
+    const noise = Buffer.from(Array.from({ length: 2048 }, (_value, index) => (index * 7919) % 251));
+    const variants = compressVariants('assets/noise.js', zlib.gzipSync(noise), { ...compress, threshold: 0 });
+    assert.deepEqual(variants, []);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { aboveTheFold, criticalBuildOptions, planCriticalStyles } from '../../src/utils/critical-css.js';
+import { normalizeOptions } from '../../src/utils/options.js';
+
+const critical = { sections: 2, include: [] };
+
+describe('Critical CSS', () => {
+  describe('aboveTheFold()', () => {
+    it('should take the first sections, nested components included', () => {
+      const file = {
+        sections: [
+          { sectionType: 'hero', banner: { sectionType: 'banner' } },
+          { sectionType: 'features' },
+          { sectionType: 'footer' }
+        ]
+      };
+      assert.deepStrictEqual([...aboveTheFold(file, critical)], ['hero', 'banner', 'features']);
+    });
+
+    it('should always include the configured components', () => {
+      const file = { sections: [{ sectionType: 'hero' }] };
+      assert.deepStrictEqual([...aboveTheFold(file, { ...critical, include: ['header'] })], ['header', 'hero']);
+    });
+  });
+
+  describe('planCriticalStyles()', () => {
+    const componentMap = new Map([
+      ['hero', { name: 'hero', requires: ['button'] }],
+      ['button', { name: 'button' }],
+      ['features', { name: 'features' }],
+      ['footer', { name: 'footer' }]
+    ]);
+
+    it('should group pages by their critical components, with requirements', () => {
+      const files = {
+        'index.html': { sections: [{ sectionType: 'hero' }, { sectionType: 'features' }, { sectionType: 'footer' }] },
+        'about.html': { sections: [{ sectionType: 'features' }, { sectionType: 'hero' }] },
+        'contact.html': { sections: [{ sectionType: 'footer' }] },
+        'notes.html': {}
+      };
+      const groups = [...planCriticalStyles(files, componentMap, critical).values()];
+
+      assert.strictEqual(groups.length, 2);
+      assert.deepStrictEqual(groups[0].pages, ['index.html', 'about.html']);
+      assert.deepStrictEqual([...groups[0].components].sort(), ['button', 'features', 'hero']);
+      assert.deepStrictEqual(groups[1].pages, ['contact.html']);
+      assert.match(groups[0].name, /^page-[0-9a-f]{8}$/);
+    });
+  });
+
+  describe('criticalBuildOptions()', () => {
+    it('should build CSS only, with root-relative asset URLs', () => {
+      const options = normalizeOptions({ sourcemap: 'external', legacy: { enabled: true } });
+      const built = criticalBuildOptions(options, 'page-1234abcd');
+
+      assert.strictEqual(built.mainJSEntry, null);
+      assert.strictEqual(built.mainCSSEntry, options.mainCSSEntry);
+      assert.strictEqual(built.cssDest, 'critical/page-1234abcd.css');
+      assert.strictEqual(built.sourcemap, false);
+      assert.strictEqual(built.legacy.enabled, false);
+      assert.strictEqual(built.assets.publicPath, '/');
+    });
+  });
+});
@@ -0,0 +1,38 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { assetDest, dataUri, splitUrl } from '../../src/utils/css-assets.js';
+
+describe('CSS Assets', () => {
+  describe('splitUrl', () => {
+    it('should separate a query or fragment from the file', () => {
+      assert.deepStrictEqual(splitUrl('font.eot?#iefix'), { file: 'font.eot', suffix: '?#iefix' });
+      assert.deepStrictEqual(splitUrl('icons.svg#close'), { file: 'icons.svg', suffix: '#close' });
+    });
+
+    it('should return an empty suffix for a plain file', () => {
+      assert.deepStrictEqual(splitUrl('./icon.svg'), { file: './icon.svg', suffix: '' });
+    });
+  });
+
+  describe('assetDest', () => {
+    const contents = Buffer.from('<svg/>');
+
+    it('should keep the file name when not hashing', () => {
+      assert.strictEqual(assetDest('/site/hero/icon.svg', contents, 'assets/media', false), 'assets/media/icon.svg');
+    });
+
+    it('should insert a content hash when hashing', () => {
+      assert.match(
+        assetDest('/site/hero/icon.svg', contents, 'assets/media', 8),
+        /^assets\/media\/icon\.[0-9a-f]{8}\.svg$/
+      );
+    });
+  });
+
+  describe('dataUri', () => {
+    it('should use the MIME type of the file extension', () => {
+      assert.strictEqual(dataUri('/site/icon.svg', Buffer.from('<svg/>')), 'data:image/svg+xml;base64,PHN2Zy8+');
+      assert.match(dataUri('/site/font.WOFF2', Buffer.from('x')), /^data:font\/woff2;base64,/);
+    });
+  });
+});
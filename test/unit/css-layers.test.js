@@ -15,7 +15,8 @@ import {
   isWrappable,
   layerOrderStatement,
   sublayerOrderStatement,
-  wrapInLayer
+  wrapInLayer,
+  wrapInLayerWithSourceMap
 } from '../../src/utils/css-layers.js';
 
 describe('CSS Layers', () => {
@@ -54,6 +55,44 @@ describe('CSS Layers', () => {
     });
   });
 
+  describe('wrapInLayerWithSourceMap()', () => {
+    const decodeInlineMap = (css) => {
+      const match = css.match(/sourceMappingURL=data:application\/json;base64,(\S+) \*\//);
+      return JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+    };
+
+    it('wraps exactly like wrapInLayer and appends an inline map', () => {
+      const css = '.hero {\n  color: red;\n}';
+      const result = wrapInLayerWithSourceMap('components.hero', css, '/abs/hero.css');
+      assert.ok(result.startsWith(wrapInLayer('components.hero', css)));
+      assert.match(result, /\/\*# sourceMappingURL=data:application\/json;base64,/);
+    });
+
+    it('maps the wrapped lines back to the original file and lines', () => {
+      const css = '.a { color: red; }\n\n.b { color: blue; }';
+      const map = decodeInlineMap(wrapInLayerWithSourceMap('components.hero', css, '/abs/hero.css'));
+
+      assert.deepStrictEqual(map.sources, ['/abs/hero.css']);
+      assert.deepStrictEqual(map.sourcesContent, [css]);
+      // The @layer line maps to nothing; indented lines map two columns back
+      assert.strictEqual(map.mappings, ';EAAA;AACA;EACA');
+    });
+
+    it('shifts a compiler map so it keeps pointing at the compiled source', () => {
+      const css = '.a .b {\n  color: red;\n}';
+      const inputMap = { version: 3, sources: ['/abs/a.scss'], names: [], mappings: 'AAAA;AACE;AAAA' };
+      const map = decodeInlineMap(wrapInLayerWithSourceMap('components.a', css, '/abs/a.css', inputMap));
+
+      assert.deepStrictEqual(map.sources, ['/abs/a.scss']);
+      assert.strictEqual(map.mappings, ';EAAA;EACE;EAAA');
+    });
+
+    it('leaves unwrappable stylesheets untouched, without a map', () => {
+      const css = "@import './tokens.css';\n.hero { color: red; }";
+      assert.strictEqual(wrapInLayerWithSourceMap('components.hero', css, '/abs/hero.css'), css);
+    });
+  });
+
   describe('isWrappable()', () => {
     it('accepts ordinary component CSS', () => {
       assert.equal(isWrappable('.hero { color: red; }'), true);
@@ -0,0 +1,141 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import {
+  collectUsedNames,
+  markerImport,
+  purgeStylesheet,
+  safelistMatcher,
+  selectorNames
+} from '../../src/utils/css-purge.js';
+
+const marker = (owner) => `/*! bundled-components-purge:${encodeURIComponent(owner)} */`;
+
+describe('CSS Purge', () => {
+  describe('markerImport()', () => {
+    it('should import a marker module named after the owner', () => {
+      assert.strictEqual(
+        markerImport('lib/assets/main.css'),
+        '@import "bundled-components-purge:lib%2Fassets%2Fmain.css#0";'
+      );
+    });
+
+    it('should give each file of a component its own marker', () => {
+      assert.notStrictEqual(markerImport('hero', 1), markerImport('hero', 2));
+      assert.strictEqual(markerImport('hero', 2), '@import "bundled-components-purge:hero#2";');
+    });
+  });
+
+  describe('collectUsedNames()', () => {
+    it('should read class and id attributes, quoted or not', () => {
+      const used = collectUsedNames(['<div class="hero  is-wide" id=top><p class=\'lead\'>x</p></div>'], []);
+      assert.deepStrictEqual([...used.classes], ['hero', 'is-wide', 'lead']);
+      assert.deepStrictEqual([...used.ids], ['top']);
+    });
+
+    it('should count every word of a script as a possible class or id', () => {
+      const used = collectUsedNames([], ["el.classList.add('is-open','md:flex')"]);
+      assert(used.classes.has('is-open'));
+      assert(used.classes.has('md:flex'));
+      assert(used.ids.has('is-open'));
+    });
+  });
+
+  describe('selectorNames()', () => {
+    it('should list the classes and ids a selector needs', () => {
+      assert.deepStrictEqual(selectorNames('#nav .hero.is-reverse > a:hover'), [
+        { type: 'id', name: 'nav' },
+        { type: 'class', name: 'hero' },
+        { type: 'class', name: 'is-reverse' }
+      ]);
+    });
+
+    it('should ignore pseudo-class arguments, attributes and strings', () => {
+      assert.deepStrictEqual(selectorNames('.a:not(.b):is(.c, .d)[data-x=".e"]::after'), [
+        { type: 'class', name: 'a' }
+      ]);
+    });
+
+    it('should unescape escaped characters', () => {
+      assert.deepStrictEqual(selectorNames('.md\\:flex'), [{ type: 'class', name: 'md:flex' }]);
+    });
+
+    it('should need nothing for element selectors', () => {
+      assert.deepStrictEqual(selectorNames('body > main p'), []);
+    });
+  });
+
+  describe('safelistMatcher()', () => {
+    it('should match names, wildcards and regular expressions', () => {
+      const matches = safelistMatcher(['.is-open', 'hero--*', /^js-/]);
+      assert(matches('is-open'));
+      assert(matches('hero--dark'));
+      assert(matches('js-toggle'));
+      assert(!matches('hero'));
+      assert(!matches('is-opened'));
+    });
+  });
+
+  describe('purgeStylesheet()', () => {
+    const used = { classes: new Set(['hero', 'button']), ids: new Set() };
+    const css = [
+      '@layer components;',
+      marker('lib/assets/main.css'),
+      'body{margin:0}.unused{color:red}',
+      marker('hero'),
+      '.hero{display:grid}.hero.is-reverse{direction:rtl}.hero,.hero__title{color:red}',
+      '@media (min-width:40em){.hero.is-reverse{gap:1rem}}',
+      '@keyframes spin{from{rotate:0}to{rotate:1turn}}',
+      marker('button'),
+      '.button{color:blue}.button--ghost{background:none}'
+    ].join('');
+
+    it('should drop unused rules and selectors, and the markers', () => {
+      const result = purgeStylesheet(css, { used, from: '/site/assets/main.css' });
+      assert.strictEqual(
+        result.css,
+        '@layer components;body{margin:0}.hero{display:grid}.hero{color:red}@keyframes spin{from{rotate:0}to{rotate:1turn}}.button{color:blue}'
+      );
+    });
+
+    it('should report removed bytes per component or file', () => {
+      const { removed } = purgeStylesheet(css, { used, from: '/site/assets/main.css' });
+      assert.deepStrictEqual(removed, {
+        'lib/assets/main.css': '.unused{color:red}'.length,
+        hero:
+          '.hero.is-reverse{direction:rtl}'.length +
+          ',.hero__title'.length +
+          '@media (min-width:40em){.hero.is-reverse{gap:1rem}}'.length,
+        button: '.button--ghost{background:none}'.length
+      });
+    });
+
+    it('should keep safelisted names, per component or everywhere', () => {
+      const result = purgeStylesheet(css, {
+        used,
+        safelist: ['unused'],
+        safelists: { hero: ['is-reverse'], button: ['hero__title'] },
+        from: '/site/assets/main.css'
+      });
+      assert(result.css.includes('.unused{'));
+      assert(result.css.includes('.hero.is-reverse{direction:rtl}'));
+      assert(!result.css.includes('hero__title'), "another component's safelist doesn't apply");
+      assert(!result.css.includes('.button--ghost'));
+    });
+
+    it('should update an external source map', () => {
+      const map = JSON.stringify({
+        version: 3,
+        sources: ['hero.css'],
+        names: [],
+        mappings: 'AAAA,cAAmB'
+      });
+      const result = purgeStylesheet('.hero{color:red}.gone{color:blue}\n/*# sourceMappingURL=main.css.map */', {
+        used,
+        from: '/site/assets/main.css',
+        map: { prev: map, inline: false, annotation: 'main.css.map' }
+      });
+      assert.strictEqual(result.css, '.hero{color:red}\n/*# sourceMappingURL=main.css.map */');
+      assert.deepStrictEqual(JSON.parse(result.map).sources, ['hero.css']);
+    });
+  });
+});
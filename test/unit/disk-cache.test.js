@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Unit tests for the disk cache: storing a bundle, finding it
+ * again from the contents of its inputs, and keying on the options.
+ */
+
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { optionsHash, readBundle, writeBundle } from '../../src/utils/disk-cache.js';
+
+describe('disk cache', () => {
+  let root;
+  let input;
+  const disk = { dir: '.cache/bundled-components', salt: optionsHash({ minifyOutput: false }) };
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'disk-cache-'));
+    input = path.join(root, 'hero.css');
+    fs.writeFileSync(input, '.hero {}\n');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('returns a stored bundle while its inputs are unchanged', () => {
+    const output = { content: '.hero{}', assets: [{ dest: 'assets/media/icon.svg', contents: Buffer.from('<svg/>') }] };
+    writeBundle(disk, 'css:assets/main.css', `@import "${input}";`, root, [input], output);
+
+    const stored = readBundle(disk, 'css:assets/main.css', `@import "${input}";`, root);
+    assert.equal(stored.output.content, '.hero{}');
+    assert.ok(Buffer.isBuffer(stored.output.assets[0].contents), 'Buffers should survive the round trip');
+    assert.equal(stored.output.assets[0].contents.toString(), '<svg/>');
+    assert.deepEqual(stored.inputs, [input]);
+  });
+
+  it('misses once an input changes', () => {
+    writeBundle(disk, 'css:assets/other.css', 'entry', root, [input], { content: 'old' });
+    fs.writeFileSync(input, '.hero { color: red; }\n');
+    assert.equal(readBundle(disk, 'css:assets/other.css', 'entry', root), null);
+  });
+
+  it('misses when the options differ', () => {
+    writeBundle(disk, 'js:assets/main.js', 'entry', root, [input], { content: 'js' });
+    const minified = { ...disk, salt: optionsHash({ minifyOutput: true }) };
+    assert.equal(readBundle(minified, 'js:assets/main.js', 'entry', root), null);
+  });
+
+  it('hashes functions in the options by their source', () => {
+    assert.notEqual(optionsHash({ plugins: [() => 'a'] }), optionsHash({ plugins: [() => 'b'] }));
+  });
+
+  it('hashes options holding circular structures', () => {
+    const plugin = { postcssPlugin: 'circular', version: '1.0.0', options: { level: 1 } };
+    plugin.processor = { plugins: [plugin] };
+    const node = { name: 'node' };
+    node.self = node;
+
+    const hash = optionsHash({ postcss: { plugins: [plugin] }, extra: node });
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(optionsHash({ postcss: { plugins: [plugin] }, extra: node }), hash);
+  });
+
+  it('tells PostCSS plugins apart by name, version and options', () => {
+    const plugin = (name, version, options) => ({ postcssPlugin: name, version, options });
+    const hash = optionsHash({ plugins: [plugin('autoprefixer', '10.0.0', { grid: false })] });
+    assert.notEqual(optionsHash({ plugins: [plugin('cssnano', '10.0.0', { grid: false })] }), hash);
+    assert.notEqual(optionsHash({ plugins: [plugin('autoprefixer', '10.1.0', { grid: false })] }), hash);
+    assert.notEqual(optionsHash({ plugins: [plugin('autoprefixer', '10.0.0', { grid: true })] }), hash);
+  });
+
+  it('skips values that cannot be read', () => {
+    const broken = {};
+    Object.defineProperty(broken, 'value', {
+      enumerable: true,
+      get() {
+        throw new Error('no');
+      }
+    });
+    assert.match(optionsHash({ broken }), /^[0-9a-f]{64}$/);
+  });
+});
@@ -0,0 +1,97 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { expandFileList, globToRegExp, isGlob, listFiles, matchFiles } from '../../src/utils/file-globs.js';
+
+const heroPath = 'test/fixtures/globs/lib/layouts/components/sections/hero';
+
+describe('File Globs', () => {
+  describe('isGlob()', () => {
+    it('should tell patterns and exclusions from file names', () => {
+      assert.strictEqual(isGlob('hero.css'), false);
+      assert.strictEqual(isGlob('variants/dark.css'), false);
+      assert.strictEqual(isGlob('*.css'), true);
+      assert.strictEqual(isGlob('hero.{css,scss}'), true);
+      assert.strictEqual(isGlob('hero-?.css'), true);
+      assert.strictEqual(isGlob('!hero.css'), true);
+    });
+  });
+
+  describe('globToRegExp()', () => {
+    it('should keep `*` and `?` within one folder', () => {
+      assert(globToRegExp('*.css').test('hero.css'));
+      assert(!globToRegExp('*.css').test('variants/dark.css'));
+      assert(globToRegExp('hero-?.css').test('hero-a.css'));
+      assert(!globToRegExp('hero-?.css').test('hero-ab.css'));
+    });
+
+    it('should match any number of folders with `**`', () => {
+      const pattern = globToRegExp('**/*.css');
+      assert(pattern.test('hero.css'));
+      assert(pattern.test('variants/dark.css'));
+      assert(pattern.test('variants/themes/dark.css'));
+      assert(globToRegExp('variants/**').test('variants/themes/dark.css'));
+    });
+
+    it('should match alternatives and escape other characters', () => {
+      const pattern = globToRegExp('hero.{css,scss}');
+      assert(pattern.test('hero.css'));
+      assert(pattern.test('hero.scss'));
+      assert(!pattern.test('hero.js'));
+      assert(!globToRegExp('hero.css').test('heroXcss'));
+      assert(globToRegExp('./*.css').test('hero.css'));
+    });
+  });
+
+  describe('listFiles()', () => {
+    it('should list files below a folder, sorted, without manifests', () => {
+      assert.deepStrictEqual(listFiles(heroPath), [
+        'carousel.js',
+        'hero.css',
+        'hero.js',
+        'layout.css',
+        'variants/dark.css',
+        'variants/light.css',
+        'variants/neon.draft.css'
+      ]);
+    });
+
+    it('should return an empty list for a missing folder', () => {
+      assert.deepStrictEqual(listFiles('/non/existent/path'), []);
+    });
+  });
+
+  describe('matchFiles()', () => {
+    it('should return the matching files in their sorted order', () => {
+      assert.deepStrictEqual(matchFiles('*.js', listFiles(heroPath)), ['carousel.js', 'hero.js']);
+    });
+  });
+
+  describe('expandFileList()', () => {
+    it('should leave a list without patterns as it is', () => {
+      const entries = ['hero.css', 'missing.css'];
+      assert.strictEqual(expandFileList(entries, heroPath), entries);
+    });
+
+    it('should expand patterns in list order and apply exclusions', () => {
+      assert.deepStrictEqual(expandFileList(['*.css', 'variants/*.css', '!variants/*.draft.css'], heroPath), [
+        'hero.css',
+        'layout.css',
+        'variants/dark.css',
+        'variants/light.css'
+      ]);
+    });
+
+    it('should keep names in place and list each file once', () => {
+      assert.deepStrictEqual(expandFileList(['layout.css', '*.css', 'extra.css'], heroPath), [
+        'layout.css',
+        'hero.css',
+        'extra.css'
+      ]);
+    });
+
+    it('should apply exclusions wherever they stand', () => {
+      assert.deepStrictEqual(expandFileList(['!hero.js', '*.js'], heroPath), ['carousel.js']);
+      assert.deepStrictEqual(expandFileList(['./hero.css', '!hero.css'], heroPath), []);
+    });
+  });
+});
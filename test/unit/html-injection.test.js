@@ -0,0 +1,135 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import {
+  asyncStylesheetTag,
+  criticalStyleTag,
+  insertBefore,
+  referencesAsset,
+  renderAttributes,
+  scriptTag,
+  stylesheetTag
+} from '../../src/utils/html-injection.js';
+import { injectDefaults } from '../../src/utils/options.js';
+
+describe('HTML Injection', () => {
+  describe('renderAttributes()', () => {
+    it('should render bare attributes for true and skip empty values', () => {
+      assert.strictEqual(
+        renderAttributes([
+          ['defer', true],
+          ['nonce', null],
+          ['type', false],
+          ['src', '/a.js']
+        ]),
+        ' defer src="/a.js"'
+      );
+    });
+
+    it('should escape attribute values', () => {
+      assert.strictEqual(renderAttributes([['nonce', 'a"b&c']]), ' nonce="a&quot;b&amp;c"');
+    });
+  });
+
+  describe('stylesheetTag()', () => {
+    it('should link the stylesheet under the public path', () => {
+      assert.strictEqual(
+        stylesheetTag('assets/main.css', null, injectDefaults),
+        '<link rel="stylesheet" href="/assets/main.css">'
+      );
+    });
+
+    it('should add integrity with crossorigin, and the nonce', () => {
+      const tag = stylesheetTag('assets/main.css', 'sha384-abc', { ...injectDefaults, nonce: 'xyz' });
+      assert.strictEqual(
+        tag,
+        '<link rel="stylesheet" href="/assets/main.css" integrity="sha384-abc" crossorigin="anonymous" nonce="xyz">'
+      );
+    });
+  });
+
+  describe('asyncStylesheetTag()', () => {
+    it('should preload the stylesheet and apply it once loaded, with a noscript fallback', () => {
+      assert.strictEqual(
+        asyncStylesheetTag('assets/main.css', null, injectDefaults),
+        '<link rel="preload" as="style" href="/assets/main.css" onload="this.onload=null;this.rel=\'stylesheet\'">\n' +
+          '<noscript><link rel="stylesheet" href="/assets/main.css"></noscript>'
+      );
+    });
+  });
+
+  describe('criticalStyleTag()', () => {
+    it('should inline the CSS with the nonce', () => {
+      assert.strictEqual(
+        criticalStyleTag('.hero{color:red}', { ...injectDefaults, nonce: 'xyz' }),
+        '<style data-critical nonce="xyz">.hero{color:red}</style>'
+      );
+    });
+
+    it('should not let the CSS close the style tag', () => {
+      assert.strictEqual(
+        criticalStyleTag('.a::after{content:"</style>"}', injectDefaults),
+        '<style data-critical>.a::after{content:"<\\/style>"}</style>'
+      );
+    });
+  });
+
+  describe('scriptTag()', () => {
+    it('should defer classic scripts', () => {
+      assert.strictEqual(
+        scriptTag('assets/main.js', null, injectDefaults),
+        '<script src="/assets/main.js" defer></script>'
+      );
+    });
+
+    it('should use type="module" without a redundant defer', () => {
+      assert.strictEqual(
+        scriptTag('assets/main.js', null, { ...injectDefaults, module: true }),
+        '<script type="module" src="/assets/main.js"></script>'
+      );
+    });
+
+    it('should mark legacy scripts nomodule', () => {
+      assert.strictEqual(
+        scriptTag('assets/main.legacy.js', null, { ...injectDefaults, nomodule: true }),
+        '<script src="/assets/main.legacy.js" nomodule defer></script>'
+      );
+    });
+  });
+
+  describe('referencesAsset()', () => {
+    it('should find an existing tag with or without the leading slash', () => {
+      assert(referencesAsset('<link rel="stylesheet" href="/assets/main.css">', 'assets/main.css', '/'));
+      assert(referencesAsset("<script src='assets/main.js'></script>", 'assets/main.js', '/'));
+    });
+
+    it('should find an existing tag under a CDN public path', () => {
+      const html = '<link href="https://cdn.example.com/assets/main.css">';
+      assert(referencesAsset(html, 'assets/main.css', 'https://cdn.example.com/'));
+    });
+
+    it('should not match a mention outside an attribute or a different file', () => {
+      assert(!referencesAsset('<p>assets/main.css</p>', 'assets/main.css', '/'));
+      assert(!referencesAsset('<link href="/assets/main.css.map">', 'assets/main.css', '/'));
+    });
+  });
+
+  describe('insertBefore()', () => {
+    it('should insert before the closing tag', () => {
+      assert.strictEqual(
+        insertBefore('<head><title>x</title></head>', '</head>', ['<link>']),
+        '<head><title>x</title><link>\n</head>'
+      );
+    });
+
+    it('should match the closing tag case-insensitively', () => {
+      assert.strictEqual(
+        insertBefore('<BODY></BODY>', '</body>', ['<script></script>']),
+        '<BODY><script></script>\n</BODY>'
+      );
+    });
+
+    it('should leave fragments without the closing tag unchanged', () => {
+      assert.strictEqual(insertBefore('<p>fragment</p>', '</head>', ['<link>']), '<p>fragment</p>');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { applyAlias, isDirectPath, resolvePackageStylesheet } from '../../src/utils/import-resolver.js';
+
+const fixtureRoot = path.resolve('test/fixtures/imports');
+
+describe('Import Resolver', () => {
+  describe('isDirectPath', () => {
+    it('should leave relative, absolute and URL imports alone', () => {
+      assert.strictEqual(isDirectPath('./a.css'), true);
+      assert.strictEqual(isDirectPath('../a.css'), true);
+      assert.strictEqual(isDirectPath('/abs/a.css'), true);
+      assert.strictEqual(isDirectPath('https://cdn.example.com/a.css'), true);
+      assert.strictEqual(isDirectPath('data:text/css,a{}'), true);
+    });
+
+    it('should resolve bare imports', () => {
+      assert.strictEqual(isDirectPath('styles/a.css'), false);
+      assert.strictEqual(isDirectPath('@tokens/colors.css'), false);
+      assert.strictEqual(isDirectPath('~normalize.css'), false);
+    });
+  });
+
+  describe('applyAlias', () => {
+    const aliases = { '@ui': 'lib/ui', '@ui/forms': 'lib/forms' };
+
+    it('should rewrite a matching prefix relative to the project root', () => {
+      assert.strictEqual(applyAlias('@ui/button.css', aliases, '/site'), path.resolve('/site/lib/ui/button.css'));
+    });
+
+    it('should prefer the longest matching alias', () => {
+      assert.strictEqual(
+        applyAlias('@ui/forms/input.css', aliases, '/site'),
+        path.resolve('/site/lib/forms/input.css')
+      );
+    });
+
+    it('should only match whole path segments', () => {
+      assert.strictEqual(applyAlias('@uikit/button.css', aliases, '/site'), null);
+    });
+
+    it('should return null when no alias matches', () => {
+      assert.strictEqual(applyAlias('normalize.css', aliases, '/site'), null);
+    });
+  });
+
+  describe('resolvePackageStylesheet', () => {
+    const fromDeepFolder = path.join(fixtureRoot, 'lib/assets/styles/deep');
+
+    it('should use the package style field when no file is named', () => {
+      assert.strictEqual(
+        resolvePackageStylesheet('fake-normalize', fromDeepFolder),
+        path.join(fixtureRoot, 'node_modules/fake-normalize/dist/normalize.css')
+      );
+    });
+
+    it('should resolve a file inside a scoped package, ignoring a leading ~', () => {
+      assert.strictEqual(
+        resolvePackageStylesheet('~@acme/theme/theme', fromDeepFolder),
+        path.join(fixtureRoot, 'node_modules/@acme/theme/theme.css')
+      );
+    });
+
+    it('should return null for a package that is not installed', () => {
+      assert.strictEqual(resolvePackageStylesheet('not-installed', fromDeepFolder), null);
+    });
+  });
+});
@@ -0,0 +1,21 @@
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import { describe, it } from 'node:test';
+import { integrityHash } from '../../src/utils/integrity.js';
+
+describe('Integrity', () => {
+  describe('integrityHash()', () => {
+    it('should default to a base64 sha384 digest', () => {
+      const expected = crypto.createHash('sha384').update('body {}').digest('base64');
+      assert.strictEqual(integrityHash('body {}'), `sha384-${expected}`);
+    });
+
+    it('should hash strings and buffers alike', () => {
+      assert.strictEqual(integrityHash(Buffer.from('body {}')), integrityHash('body {}'));
+    });
+
+    it('should support other algorithms', () => {
+      assert.match(integrityHash('body {}', 'sha512'), /^sha512-/);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { lazyLoaderEntry } from '../../src/utils/lazy-loader.js';
+
+describe('Lazy Loader', () => {
+  describe('lazyLoaderEntry', () => {
+    it('should import eager files up front, in order', () => {
+      const entry = lazyLoaderEntry(
+        ['/site/main.js', '/site/button.js'],
+        new Map([['hero', ['/site/hero.js']]]),
+        '0px'
+      );
+
+      assert(entry.startsWith('import "/site/main.js";\nimport "/site/button.js";\n'));
+    });
+
+    it('should map each section to a dynamic import of its scripts', () => {
+      const entry = lazyLoaderEntry(
+        [],
+        new Map([
+          ['hero', ['/site/hero.js']],
+          ['gallery', ['/site/gallery.js', '/site/lightbox.js']]
+        ]),
+        '200px'
+      );
+
+      assert(entry.includes('"hero": () => import("/site/hero.js")'));
+      assert(entry.includes('"gallery": () => Promise.all([import("/site/gallery.js"), import("/site/lightbox.js")])'));
+      assert(entry.includes('const ROOT_MARGIN = "200px";'));
+      assert(entry.includes('IntersectionObserver'));
+    });
+
+    it('should leave the loader out when no section has scripts', () => {
+      assert.strictEqual(lazyLoaderEntry(['/site/main.js'], new Map(), '200px'), 'import "/site/main.js";');
+    });
+  });
+});
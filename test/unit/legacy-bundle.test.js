@@ -0,0 +1,12 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { legacyPath } from '../../src/utils/legacy-bundle.js';
+
+describe('Legacy Bundle', () => {
+  describe('legacyPath', () => {
+    it('should insert .legacy before the extension', () => {
+      assert.strictEqual(legacyPath('assets/main.js'), 'assets/main.legacy.js');
+      assert.strictEqual(legacyPath('assets/pages/about.min.js'), 'assets/pages/about.min.legacy.js');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { checkManifest, formatManifestReport, suggestKey } from '../../src/utils/manifest-check.js';
+
+const heroPath = 'test/fixtures/manifest-check/lib/layouts/components/sections/hero';
+
+describe('Manifest Check', () => {
+  describe('suggestKey()', () => {
+    it('should suggest the known key a typo was meant to be', () => {
+      assert.strictEqual(suggestKey('require'), 'requires');
+      assert.strictEqual(suggestKey('style'), 'styles');
+      assert.strictEqual(suggestKey('Scripts'), 'scripts');
+      assert.strictEqual(suggestKey('dependancies'), 'dependencies');
+      assert.strictEqual(suggestKey('safeList'), 'safelist');
+    });
+
+    it('should suggest nothing for keys unlike any known key', () => {
+      assert.strictEqual(suggestKey('colour'), null);
+      assert.strictEqual(suggestKey('properties'), null);
+    });
+  });
+
+  describe('checkManifest()', () => {
+    it('should find nothing wrong with a correct manifest', () => {
+      const manifest = {
+        name: 'hero',
+        type: 'section',
+        styles: ['hero.css'],
+        scripts: ['hero.js'],
+        requires: ['button'],
+        budget: { css: '2kb' },
+        safelist: ['hero--*'],
+        validation: { properties: {} }
+      };
+      assert.deepStrictEqual(checkManifest(manifest, heroPath, 'hero'), []);
+    });
+
+    it('should report every problem of a manifest', () => {
+      const manifest = {
+        name: 'heroes',
+        styles: ['hero.css', 'hero-old.css'],
+        scripts: 'hero.js',
+        require: ['button']
+      };
+
+      assert.deepStrictEqual(checkManifest(manifest, heroPath, 'hero'), [
+        '"scripts" should be an array of strings, got string',
+        'unknown key "require" (did you mean "requires"?)',
+        '"styles" lists "hero-old.css", which does not exist in the component folder',
+        '"name" is "heroes" but the folder is "hero"'
+      ]);
+    });
+
+    it('should name the expected type of other keys', () => {
+      const issues = checkManifest(
+        { name: 'hero', abstract: 'yes', budget: '4kb', safelist: 'hero--*' },
+        heroPath,
+        'hero'
+      );
+      assert.deepStrictEqual(issues, [
+        '"abstract" should be a boolean, got string',
+        '"budget" should be an object, got string',
+        '"safelist" should be an array, got string'
+      ]);
+    });
+
+    it('should find files listed by path from the component folder', () => {
+      const issues = checkManifest(
+        { name: 'hero', styles: ['../hero/hero.css', 'missing/hero.css'] },
+        heroPath,
+        'hero'
+      );
+      assert.deepStrictEqual(issues, [
+        '"styles" lists "missing/hero.css", which does not exist in the component folder'
+      ]);
+    });
+  });
+
+  describe('checkManifest() with patterns', () => {
+    const globsPath = 'test/fixtures/globs/lib/layouts/components/sections/hero';
+
+    it('should accept patterns that match files, and any exclusion', () => {
+      const manifest = { name: 'hero', styles: ['*.css', 'variants/*.css', '!themes/*.css'], scripts: ['*.js'] };
+      assert.deepStrictEqual(checkManifest(manifest, globsPath, 'hero'), []);
+    });
+
+    it('should report a pattern that matches no files', () => {
+      const manifest = { name: 'hero', styles: ['*.css', 'themes/*.css'], scripts: ['*.ts'] };
+      assert.deepStrictEqual(checkManifest(manifest, globsPath, 'hero'), [
+        '"styles" pattern "themes/*.css" matches no files in the component folder',
+        '"scripts" pattern "*.ts" matches no files in the component folder'
+      ]);
+    });
+  });
+
+  describe('formatManifestReport()', () => {
+    it('should list the problems under each manifest', () => {
+      const report = formatManifestReport(
+        [
+          {
+            name: 'hero',
+            manifestPath: path.join('/site', 'lib/hero/manifest.json'),
+            issues: ['unknown key "require" (did you mean "requires"?)', '"name" is "heroes" but the folder is "hero"']
+          },
+          {
+            name: 'card',
+            manifestPath: path.join('/site', 'lib/card/manifest.yaml'),
+            issues: ['"styles" should be an array of strings, got string']
+          }
+        ],
+        '/site'
+      );
+
+      assert.strictEqual(
+        report,
+        [
+          'Manifest problems:',
+          '',
+          '  hero (lib/hero/manifest.json)',
+          '    - unknown key "require" (did you mean "requires"?)',
+          '    - "name" is "heroes" but the folder is "hero"',
+          '',
+          '  card (lib/card/manifest.yaml)',
+          '    - "styles" should be an array of strings, got string'
+        ].join('\n')
+      );
+    });
+  });
+});
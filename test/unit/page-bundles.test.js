@@ -0,0 +1,90 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { chunkName, planPageBundles } from '../../src/utils/page-bundles.js';
+
+const componentMap = new Map([
+  ['header', { name: 'header', requires: [] }],
+  ['hero', { name: 'hero', requires: ['button'] }],
+  ['button', { name: 'button', requires: [] }],
+  ['post-list', { name: 'post-list', requires: [] }]
+]);
+
+describe('Page Bundles', () => {
+  describe('chunkName()', () => {
+    it('should not depend on the order of components', () => {
+      assert.strictEqual(chunkName(new Set(['hero', 'button'])), chunkName(new Set(['button', 'hero'])));
+    });
+
+    it('should differ for different component sets', () => {
+      assert.notStrictEqual(chunkName(new Set(['hero'])), chunkName(new Set(['post-list'])));
+    });
+  });
+
+  describe('planPageBundles()', () => {
+    it('should share components used on every page', () => {
+      const plan = planPageBundles(
+        new Map([
+          ['index.html', new Set(['header', 'hero'])],
+          ['blog.html', new Set(['header', 'post-list'])]
+        ]),
+        componentMap,
+        1
+      );
+
+      assert.deepStrictEqual([...plan.shared], ['header']);
+      assert.strictEqual(plan.chunks.size, 2);
+    });
+
+    it('should include requirements in the page chunk', () => {
+      const plan = planPageBundles(
+        new Map([
+          ['index.html', new Set(['header', 'hero'])],
+          ['blog.html', new Set(['header'])]
+        ]),
+        componentMap,
+        1
+      );
+
+      const chunk = plan.chunks.get(plan.pageChunks.get('index.html'));
+      assert.deepStrictEqual([...chunk.components].sort(), ['button', 'hero']);
+      assert.strictEqual(plan.pageChunks.get('blog.html'), null);
+    });
+
+    it('should let pages with the same component set share a chunk', () => {
+      const plan = planPageBundles(
+        new Map([
+          ['a.html', new Set(['header', 'post-list'])],
+          ['b.html', new Set(['header', 'post-list'])],
+          ['c.html', new Set(['header'])]
+        ]),
+        componentMap,
+        1
+      );
+
+      assert.strictEqual(plan.chunks.size, 1);
+      const [chunk] = plan.chunks.values();
+      assert.deepStrictEqual(chunk.pages, ['a.html', 'b.html']);
+    });
+
+    it('should honor a lower shared threshold', () => {
+      const plan = planPageBundles(
+        new Map([
+          ['a.html', new Set(['post-list'])],
+          ['b.html', new Set(['post-list'])],
+          ['c.html', new Set(['hero'])]
+        ]),
+        componentMap,
+        0.5
+      );
+
+      assert(plan.shared.has('post-list'));
+      assert(!plan.shared.has('hero'));
+    });
+
+    it('should return an empty plan when there are no pages', () => {
+      const plan = planPageBundles(new Map(), componentMap, 1);
+      assert.strictEqual(plan.shared.size, 0);
+      assert.strictEqual(plan.chunks.size, 0);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { guardComponentPaths, isInside } from '../../src/utils/path-guard.js';
+
+const projectRoot = path.resolve('test/fixtures/path-guard');
+const heroPath = path.join(projectRoot, 'lib/layouts/components/sections/hero');
+
+const hero = (styles, scripts = []) => ({ name: 'hero', path: heroPath, styles, scripts });
+
+describe('Path Guard', () => {
+  describe('isInside()', () => {
+    it('should accept a folder itself and paths below it', () => {
+      assert(isInside('/site/hero', '/site/hero'));
+      assert(isInside('/site/hero/variants/dark.css', '/site/hero'));
+      assert(isInside('/site/hero/..hidden.css', '/site/hero'));
+    });
+
+    it('should reject paths beside or above a folder', () => {
+      assert(!isInside('/site/hero-old/hero.css', '/site/hero'));
+      assert(!isInside('/site/shared.css', '/site/hero'));
+      assert(!isInside('/etc/passwd', '/site/hero'));
+    });
+  });
+
+  describe('guardComponentPaths()', () => {
+    it('should accept files inside the component folder', () => {
+      assert.doesNotThrow(() => guardComponentPaths(hero(['hero.css', './hero.css', '../hero/hero.css'], ['hero.js'])));
+    });
+
+    it('should throw for a relative path leaving the component folder', () => {
+      assert.throws(
+        () => guardComponentPaths({ ...hero(['../../../../shared/tokens.css']), manifestPath: 'hero/manifest.json' }),
+        (error) => {
+          assert(
+            error.message.startsWith('Component "hero" (hero/manifest.json) lists "../../../../shared/tokens.css"')
+          );
+          assert(error.message.includes(`resolves to ${path.join(projectRoot, 'lib/shared/tokens.css')}`));
+          assert(error.message.includes('"allowedPaths" option'));
+          return true;
+        }
+      );
+    });
+
+    it('should throw for an absolute path', () => {
+      assert.throws(() => guardComponentPaths(hero([], ['/etc/passwd'])), /lists "\/etc\/passwd" in "scripts"/);
+    });
+
+    it('should accept files in an allowed folder', () => {
+      const allowed = [path.join(projectRoot, 'lib/shared')];
+      assert.doesNotThrow(() => guardComponentPaths(hero(['../../../../shared/tokens.css']), allowed));
+    });
+
+    it('should follow symlinks out of the component folder', (t) => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'path-guard-'));
+      t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+      fs.mkdirSync(path.join(tempDir, 'hero'));
+      fs.writeFileSync(path.join(tempDir, 'secrets.css'), '');
+      fs.symlinkSync(path.join(tempDir, 'secrets.css'), path.join(tempDir, 'hero', 'hero.css'));
+
+      assert.throws(
+        () =>
+          guardComponentPaths({ name: 'hero', path: path.join(tempDir, 'hero'), styles: ['hero.css'], scripts: [] }),
+        /lists "hero.css" in "styles", which resolves to .*secrets\.css/
+      );
+    });
+  });
+});
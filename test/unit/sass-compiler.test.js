@@ -0,0 +1,65 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { compileSass, isSassFile } from '../../src/utils/sass-compiler.js';
+
+const projectRoot = process.cwd();
+const cardPath = path.resolve('test/fixtures/scss/lib/layouts/components/sections/card/card.scss');
+
+describe('Sass Compiler', () => {
+  describe('isSassFile', () => {
+    it('should recognize .scss files only', () => {
+      assert.strictEqual(isSassFile('card/card.scss'), true);
+      assert.strictEqual(isSassFile('card/card.css'), false);
+    });
+  });
+
+  describe('compileSass', () => {
+    it('should resolve @use relative to the file', async () => {
+      const { css, map } = await compileSass(cardPath, { componentName: 'card', projectRoot });
+
+      assert(css.includes('padding: 2rem'));
+      assert(css.includes('.card .card-title'));
+      assert.strictEqual(map, null);
+    });
+
+    it('should return a map whose sources are file paths', async () => {
+      const { map } = await compileSass(cardPath, { componentName: 'card', projectRoot, sourceMap: true });
+
+      assert(map.sources.includes(cardPath));
+      assert(map.sources.every((source) => !source.startsWith('file:')));
+    });
+
+    it('should name the component and the file when compilation fails', async () => {
+      const tempDir = path.resolve('test/temp-sass-error');
+      const filePath = path.join(tempDir, 'broken.scss');
+      fs.mkdirSync(tempDir, { recursive: true });
+      fs.writeFileSync(filePath, '.broken {\n  color: $undefined;\n}\n');
+
+      try {
+        await assert.rejects(compileSass(filePath, { componentName: 'broken', projectRoot }), (error) => {
+          assert.match(error.message, /component "broken"/);
+          assert.match(error.message, /test\/temp-sass-error\/broken\.scss:2/);
+          assert.match(error.message, /Undefined variable/);
+          return true;
+        });
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should name the main entry when the file has no component', async () => {
+      const tempDir = path.resolve('test/temp-sass-main');
+      const filePath = path.join(tempDir, 'main.scss');
+      fs.mkdirSync(tempDir, { recursive: true });
+      fs.writeFileSync(filePath, '@use "missing";\n');
+
+      try {
+        await assert.rejects(compileSass(filePath, { componentName: null, projectRoot }), /main entry/);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Unit tests for size budgets: reading sizes, checking a
+ * bundle report against component and bundle budgets, and the table.
+ */
+
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+import { checkBudgets, formatBudgetReport, formatSize, hasBudgets, parseSize } from '../../src/utils/size-budgets.js';
+
+describe('size budgets', () => {
+  describe('parseSize()', () => {
+    it('reads bytes and sizes with units', () => {
+      assert.equal(parseSize(512, 'x'), 512);
+      assert.equal(parseSize('512b', 'x'), 512);
+      assert.equal(parseSize('4kb', 'x'), 4096);
+      assert.equal(parseSize('1.5 KB', 'x'), 1536);
+      assert.equal(parseSize('1mb', 'x'), 1048576);
+    });
+
+    it('names where an unreadable size was declared', () => {
+      assert.throws(
+        () => parseSize('4 kilobytes', 'component "hero"'),
+        /Invalid size budget "4 kilobytes" in component "hero"/
+      );
+    });
+  });
+
+  describe('formatSize()', () => {
+    it('writes sizes the way budgets are written', () => {
+      assert.equal(formatSize(812), '812b');
+      assert.equal(formatSize(4301), '4.2kb');
+    });
+  });
+
+  describe('hasBudgets()', () => {
+    it('is true for a manifest budget or a bundle budget', () => {
+      assert.ok(hasBudgets([{ name: 'hero', budget: { css: '4kb' } }], { css: null, js: null }));
+      assert.ok(hasBudgets([{ name: 'hero' }], { css: null, js: '100kb' }));
+      assert.ok(!hasBudgets([{ name: 'hero' }], { css: null, js: null }));
+    });
+  });
+
+  describe('checkBudgets()', () => {
+    const report = {
+      bundles: [
+        { file: 'assets/main.css', type: 'css', bytes: 5000, gzip: 1200, groups: [] },
+        { file: 'assets/main.legacy.js', type: 'jsLegacy', bytes: 90000, gzip: 30000, groups: [] }
+      ],
+      summary: [
+        { name: 'hero', kind: 'component', css: { bytes: 4200, gzip: 1000 }, js: { bytes: 300, gzip: 200 } },
+        { name: 'hero', kind: 'other', css: { bytes: 9000, gzip: 9000 }, js: { bytes: 0, gzip: 0 } }
+      ]
+    };
+    const componentMap = new Map([
+      ['hero', { name: 'hero', budget: { css: '4kb', js: '1kb' } }],
+      ['footer', { name: 'footer', budget: { css: '1kb' } }]
+    ]);
+
+    it('lists components and bundles over budget', () => {
+      const offenders = checkBudgets(report, componentMap, { css: '4kb', js: '1kb', measure: 'raw' });
+      assert.deepEqual(offenders, [
+        { name: 'hero', kind: 'component', type: 'css', bytes: 4200, gzip: 1000, budget: 4096 },
+        { name: 'assets/main.css', kind: 'bundle', type: 'css', bytes: 5000, gzip: 1200, budget: 4096 }
+      ]);
+    });
+
+    it('compares gzip sizes when measuring gzip', () => {
+      assert.deepEqual(checkBudgets(report, componentMap, { css: null, js: null, measure: 'gzip' }), []);
+    });
+  });
+
+  describe('formatBudgetReport()', () => {
+    it('lines offenders up in a table', () => {
+      const table = formatBudgetReport(
+        [{ name: 'hero', kind: 'component', type: 'css', bytes: 4200, gzip: 1000, budget: 4096 }],
+        'raw'
+      );
+      assert.equal(
+        table,
+        'Size budgets exceeded:\n\n  Name  Type  Size   gzip   Budget  Over\n  hero  css   4.1kb  1000b  4.0kb   +104b'
+      );
+    });
+  });
+});
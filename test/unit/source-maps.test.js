@@ -0,0 +1,112 @@
+import assert from 'node:assert';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import {
+  decodeVlqSegment,
+  encodeVlq,
+  inlineSourceMapComment,
+  relativizeSourceMap,
+  shiftedSourceMap,
+  shiftSourceMap
+} from '../../src/utils/source-maps.js';
+
+describe('Source Maps', () => {
+  describe('encodeVlq()', () => {
+    it('should encode small values as one digit', () => {
+      assert.strictEqual(encodeVlq(0), 'A');
+      assert.strictEqual(encodeVlq(1), 'C');
+      assert.strictEqual(encodeVlq(-1), 'D');
+      assert.strictEqual(encodeVlq(2), 'E');
+    });
+
+    it('should continue values beyond five bits into further digits', () => {
+      assert.strictEqual(encodeVlq(16), 'gB');
+      assert.strictEqual(encodeVlq(-16), 'hB');
+    });
+  });
+
+  describe('decodeVlqSegment()', () => {
+    it('should decode every field of a segment', () => {
+      assert.deepStrictEqual(decodeVlqSegment('AAAA'), [0, 0, 0, 0]);
+      assert.deepStrictEqual(decodeVlqSegment('gBDCE'), [16, -1, 1, 2]);
+    });
+
+    it('should round-trip encoded values', () => {
+      const fields = [0, -16, 1000, -1];
+      assert.deepStrictEqual(decodeVlqSegment(fields.map(encodeVlq).join('')), fields);
+    });
+  });
+
+  describe('shiftSourceMap()', () => {
+    it('should shift only the first segment of each line', () => {
+      const map = { version: 3, sources: ['a.scss'], names: [], mappings: 'AAAA,EAAE;AACA' };
+      const shifted = shiftSourceMap(map, '.a {\n}', { lineOffset: 1, columnOffset: () => 2 });
+
+      assert.strictEqual(shifted.mappings, ';EAAA,EAAE;EACA');
+      assert.deepStrictEqual(shifted.sources, ['a.scss']);
+    });
+
+    it('should leave lines without mappings empty', () => {
+      const map = { version: 3, sources: ['a.scss'], names: [], mappings: 'AAAA;;AAEA' };
+      const shifted = shiftSourceMap(map, '.a {}\n\n.b {}', { lineOffset: 0, columnOffset: () => 2 });
+
+      assert.strictEqual(shifted.mappings, 'EAAA;;EAEA');
+    });
+  });
+
+  describe('shiftedSourceMap()', () => {
+    it('should map each original line to the generated line below the offset', () => {
+      const map = shiftedSourceMap('.a {\n  color: red;\n}\n', '/abs/a.css', {
+        lineOffset: 1,
+        columnOffset: () => 2
+      });
+
+      assert.deepStrictEqual(map.sources, ['/abs/a.css']);
+      assert.deepStrictEqual(map.sourcesContent, ['.a {\n  color: red;\n}\n']);
+      // Line 0 is the wrapper, then original lines 0, 1, 2 at generated column 2
+      assert.strictEqual(map.mappings, ';EAAA;EACA;EACA');
+    });
+
+    it('should use the per-line column offset', () => {
+      const map = shiftedSourceMap('.a {}\n\n.b {}', '/abs/a.css', {
+        lineOffset: 0,
+        columnOffset: (line) => (line === '' ? 0 : 2)
+      });
+
+      assert.strictEqual(map.mappings, 'EAAA;AACA;EACA');
+    });
+  });
+
+  describe('inlineSourceMapComment()', () => {
+    const map = { version: 3, sources: ['a.css'], names: [], mappings: '' };
+
+    it('should use block comment syntax for CSS', () => {
+      const comment = inlineSourceMapComment(map, 'css');
+      assert.match(comment, /^\/\*# sourceMappingURL=data:application\/json;base64,\S+ \*\/$/);
+    });
+
+    it('should use line comment syntax for JS', () => {
+      const comment = inlineSourceMapComment(map, 'js');
+      assert.match(comment, /^\/\/# sourceMappingURL=data:application\/json;base64,\S+$/);
+    });
+
+    it('should embed the map as base64 JSON', () => {
+      const encoded = inlineSourceMapComment(map, 'js').split(',')[1];
+      assert.deepStrictEqual(JSON.parse(Buffer.from(encoded, 'base64').toString('utf8')), map);
+    });
+  });
+
+  describe('relativizeSourceMap()', () => {
+    it('should name sources relative to the project root', () => {
+      const projectRoot = path.resolve('/project');
+      const mapText = JSON.stringify({
+        version: 3,
+        sources: ['../lib/layouts/components/sections/hero/hero.css'],
+        mappings: ''
+      });
+
+      const map = relativizeSourceMap(mapText, path.join(projectRoot, 'assets/main.css'), projectRoot);
+      assert.deepStrictEqual(map.sources, ['lib/layouts/components/sections/hero/hero.css']);
+    });
+  });
+});
@@ -2,6 +2,8 @@ import { strict as assert } from 'node:assert';
 import { describe, it } from 'node:test';
 import {
   collectSectionTypes,
+  collectTemplateReferences,
+  detectComponentsPerFile,
   detectUsedComponents,
   extractComponentName,
   parseTemplateFile
@@ -36,6 +38,54 @@ describe('Template Parser', () => {
       ]);
       assert.equal(result, 'button');
     });
+
+    it('should extract component name from a category folder path', () => {
+      const result = extractComponentName('components/sections/marketing/hero/hero.njk', ['_partials', 'sections']);
+      assert.equal(result, 'hero');
+    });
+
+    it('should fall back to the first folder for templates not named after a component', () => {
+      const result = extractComponentName('components/sections/card/parts/item.njk', ['_partials', 'sections']);
+      assert.equal(result, 'card');
+    });
+  });
+
+  describe('extractComponentName() with a component map', () => {
+    const sections = 'lib/layouts/components/sections';
+    const componentMap = new Map([
+      ['hero', { name: 'hero', path: `${sections}/marketing/hero` }],
+      ['cards', { name: 'cards', path: `${sections}/marketing/cards` }],
+      ['card', { name: 'card', path: `${sections}/card` }]
+    ]);
+    const componentDirs = ['_partials', 'sections'];
+
+    it('should resolve a nested template not named after its folder', () => {
+      const result = extractComponentName(
+        'components/sections/marketing/cards/card-grid.njk',
+        componentDirs,
+        componentMap
+      );
+      assert.equal(result, 'cards');
+    });
+
+    it('should resolve a nested template named after its folder', () => {
+      const result = extractComponentName('components/sections/marketing/hero/hero.njk', componentDirs, componentMap);
+      assert.equal(result, 'hero');
+    });
+
+    it('should resolve a template in a subfolder of a component', () => {
+      const result = extractComponentName('components/sections/card/parts/item.njk', componentDirs, componentMap);
+      assert.equal(result, 'card');
+    });
+
+    it('should return null for folders that are no component', () => {
+      const result = extractComponentName(
+        'components/sections/marketing/shared/macros.njk',
+        componentDirs,
+        componentMap
+      );
+      assert.equal(result, null);
+    });
   });
 
   describe('parseTemplateFile()', () => {
@@ -298,4 +348,76 @@ describe('Template Parser', () => {
       assert.deepEqual([...result], []);
     });
   });
+
+  describe('collectTemplateReferences()', () => {
+    it('should collect extends, include and import targets', () => {
+      const template = `
+        {% extends "base.njk" %}
+        {% include "partials/footer.njk" %}
+        {% from "components/sections/hero/hero.njk" import hero %}
+      `;
+      assert.deepEqual(collectTemplateReferences(template), [
+        'base.njk',
+        'partials/footer.njk',
+        'components/sections/hero/hero.njk'
+      ]);
+    });
+  });
+
+  describe('detectComponentsPerFile()', () => {
+    const layoutDir = 'test/fixtures/per-page/lib/layouts';
+    const componentDirs = ['_partials', 'sections'];
+
+    it('should keep the components of each file separate', () => {
+      const files = {
+        'index.html': { sections: [{ sectionType: 'hero' }] },
+        'blog.html': { sections: [{ sectionType: 'post-list' }] }
+      };
+
+      const result = detectComponentsPerFile(files, componentDirs, null);
+      assert.deepEqual([...result.get('index.html')], ['hero']);
+      assert.deepEqual([...result.get('blog.html')], ['post-list']);
+    });
+
+    it('should follow the named layout through extends and includes', () => {
+      const files = { 'index.html': { layout: 'page.njk', sections: [] } };
+
+      const result = detectComponentsPerFile(files, componentDirs, layoutDir);
+      assert.deepEqual([...result.get('index.html')], ['header']);
+    });
+
+    it('should not pick up components from layouts the file does not use', () => {
+      const files = { 'index.html': { layout: 'page.njk' } };
+
+      const result = detectComponentsPerFile(files, componentDirs, layoutDir);
+      assert(!result.get('index.html').has('button'), 'button is only used by landing.njk');
+    });
+
+    it('should fall back to every layout when a file names none', () => {
+      const files = { 'index.html': {} };
+
+      const result = detectComponentsPerFile(files, componentDirs, layoutDir);
+      assert.deepEqual([...result.get('index.html')].sort(), ['button', 'header']);
+    });
+
+    it('should follow the templates of used components through the component map', () => {
+      const components = 'test/fixtures/per-page-imports/lib/layouts/components';
+      const componentMap = new Map([
+        ['promo', { name: 'promo', path: `${components}/sections/promo` }],
+        ['badge', { name: 'badge', path: `${components}/_partials/badge` }]
+      ]);
+      const files = { 'index.html': { sections: [{ sectionType: 'promo' }] } };
+
+      const result = detectComponentsPerFile(files, componentDirs, null, componentMap);
+      assert.deepEqual([...result.get('index.html')], ['promo', 'badge']);
+      assert.deepEqual([...detectComponentsPerFile(files, componentDirs, null).get('index.html')], ['promo']);
+    });
+
+    it('should skip non-template files', () => {
+      const files = { 'style.css': { sections: [{ sectionType: 'hero' }] } };
+
+      const result = detectComponentsPerFile(files, componentDirs, layoutDir);
+      assert.strictEqual(result.size, 0);
+    });
+  });
 });
@@ -0,0 +1,93 @@
+import assert from 'node:assert';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { collectComponents } from '../../src/utils/component-discovery.js';
+import { normalizeOptions } from '../../src/utils/options.js';
+import {
+  formatTypeReport,
+  isTypeScriptFile,
+  parseDiagnostics,
+  typeCheckComponents
+} from '../../src/utils/type-checker.js';
+
+const fixtureRoot = path.resolve('test/fixtures/typescript');
+
+describe('Type Checker', () => {
+  describe('isTypeScriptFile', () => {
+    it('should recognize .ts and .mts scripts', () => {
+      assert.strictEqual(isTypeScriptFile('modal/modal.ts'), true);
+      assert.strictEqual(isTypeScriptFile('modal/modal.mts'), true);
+      assert.strictEqual(isTypeScriptFile('modal/modal.js'), false);
+    });
+
+    it('should not treat declaration files as scripts', () => {
+      assert.strictEqual(isTypeScriptFile('types/globals.d.ts'), false);
+    });
+  });
+
+  describe('parseDiagnostics', () => {
+    it('should parse file diagnostics relative to the working directory', () => {
+      const output = "lib/a.ts(3,5): error TS2322: Type 'string' is not assignable to type 'number'.\n";
+      const [diagnostic] = parseDiagnostics(output, '/project');
+
+      assert.deepStrictEqual(diagnostic, {
+        file: path.resolve('/project', 'lib/a.ts'),
+        line: 3,
+        column: 5,
+        code: 'TS2322',
+        message: "Type 'string' is not assignable to type 'number'."
+      });
+    });
+
+    it('should append continuation lines to the previous diagnostic', () => {
+      const output = "a.ts(1,1): error TS2345: Argument is not assignable.\n  Property 'x' is missing.\n";
+      const [diagnostic] = parseDiagnostics(output, '/project');
+
+      assert.strictEqual(diagnostic.message, "Argument is not assignable.\n  Property 'x' is missing.");
+    });
+
+    it('should parse diagnostics that have no file', () => {
+      const [diagnostic] = parseDiagnostics("error TS5023: Unknown compiler option 'foo'.", '/project');
+
+      assert.strictEqual(diagnostic.file, null);
+      assert.strictEqual(diagnostic.code, 'TS5023');
+    });
+  });
+
+  describe('typeCheckComponents', () => {
+    it('should group diagnostics by the component that owns the file', async () => {
+      const components = [
+        ...(await collectComponents(path.join(fixtureRoot, 'lib/layouts/components/_partials'))),
+        ...(await collectComponents(path.join(fixtureRoot, 'lib/layouts/components/sections')))
+      ];
+      const options = normalizeOptions({ mainJSEntry: 'lib/assets/main.ts', typescript: { typeCheck: true } });
+
+      const byComponent = await typeCheckComponents(components, fixtureRoot, options);
+
+      assert.deepStrictEqual([...byComponent.keys()], ['broken']);
+      assert.strictEqual(byComponent.get('broken')[0].code, 'TS2322');
+    });
+
+    it('should skip the compiler when there are no TypeScript scripts', async () => {
+      const components = [{ name: 'plain', path: fixtureRoot, scripts: ['plain.js'] }];
+      const options = normalizeOptions({ mainJSEntry: null });
+
+      const byComponent = await typeCheckComponents(components, fixtureRoot, options);
+
+      assert.strictEqual(byComponent.size, 0);
+    });
+  });
+
+  describe('formatTypeReport', () => {
+    it('should list diagnostics under their component', () => {
+      const report = formatTypeReport(
+        new Map([
+          ['modal', [{ file: '/project/modal/modal.ts', line: 2, column: 3, code: 'TS2322', message: 'Bad type.' }]]
+        ]),
+        '/project'
+      );
+
+      assert.strictEqual(report, 'TypeScript Errors:\n\n  modal:\n    modal/modal.ts:2:3 TS2322: Bad type.');
+    });
+  });
+});
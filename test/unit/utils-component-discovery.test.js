@@ -11,21 +11,21 @@ import {
 
 describe('Utils - Component Discovery', () => {
   describe('collectComponents', () => {
-    it('should return empty array for non-existent directory', () => {
-      const result = collectComponents('/non/existent/path');
+    it('should return empty array for non-existent directory', async () => {
+      const result = await collectComponents('/non/existent/path');
       assert.deepStrictEqual(result, []);
     });
 
-    it('should collect components from existing directory', () => {
+    it('should collect components from existing directory', async () => {
       const testDir = 'test/fixtures/default/lib/layouts/components/_partials';
-      const result = collectComponents(testDir);
+      const result = await collectComponents(testDir);
 
       assert(Array.isArray(result));
       assert(result.length > 0);
       assert(result.some((c) => c.name === 'button'));
     });
 
-    it('should skip non-directory items', () => {
+    it('should skip non-directory items', async () => {
       // Create a temporary directory with a file
       const tempDir = 'test/temp-discovery';
       const tempFile = path.join(tempDir, 'not-a-dir.txt');
@@ -36,7 +36,7 @@ describe('Utils - Component Discovery', () => {
       fs.writeFileSync(tempFile, 'test');
 
       try {
-        const result = collectComponents(tempDir);
+        const result = await collectComponents(tempDir);
         assert.deepStrictEqual(result, []);
       } finally {
         // Cleanup
@@ -48,12 +48,38 @@ describe('Utils - Component Discovery', () => {
         }
       }
     });
+
+    it('should find components in category folders', async () => {
+      const result = await collectComponents('test/fixtures/nested/lib/layouts/components/sections');
+      const names = result.map((c) => c.name);
+
+      assert.deepStrictEqual(names, ['year-list', 'post-list', 'cards', 'hero']);
+      const hero = result.find((c) => c.name === 'hero');
+      assert.strictEqual(hero.path, path.join('test/fixtures/nested/lib/layouts/components/sections/marketing/hero'));
+      assert.deepStrictEqual(hero.requires, ['button']);
+    });
+
+    it('should take folders at the maximum depth as components', async () => {
+      const result = await collectComponents('test/fixtures/nested/lib/layouts/components/sections', { maxDepth: 2 });
+      const names = result.map((c) => c.name);
+
+      assert.deepStrictEqual(names, ['archive', 'post-list', 'cards', 'hero']);
+      assert.deepStrictEqual(result[0].styles, []);
+    });
+
+    it('should only look one level deep with a maximum depth of 1', async () => {
+      const result = await collectComponents('test/fixtures/nested/lib/layouts/components/sections', { maxDepth: 1 });
+      assert.deepStrictEqual(
+        result.map((c) => c.name),
+        ['blog', 'marketing']
+      );
+    });
   });
 
   describe('loadComponent', () => {
-    it('should load component with manifest file', () => {
+    it('should load component with manifest file', async () => {
       const componentPath = 'test/fixtures/default/lib/layouts/components/sections/banner';
-      const result = loadComponent(componentPath, 'banner');
+      const result = await loadComponent(componentPath, 'banner');
 
       assert.strictEqual(result.name, 'banner');
       assert(Array.isArray(result.styles));
@@ -62,9 +88,9 @@ describe('Utils - Component Discovery', () => {
       assert.strictEqual(result.path, componentPath);
     });
 
-    it('should auto-generate manifest for component without manifest file', () => {
+    it('should auto-generate manifest for component without manifest file', async () => {
       const componentPath = 'test/fixtures/default/lib/layouts/components/_partials/button';
-      const result = loadComponent(componentPath, 'button');
+      const result = await loadComponent(componentPath, 'button');
 
       assert.strictEqual(result.name, 'button');
       assert.strictEqual(result.type, 'auto');
@@ -73,7 +99,16 @@ describe('Utils - Component Discovery', () => {
       assert.deepStrictEqual(result.dependencies, []);
     });
 
-    it('should return null for component with invalid manifest', () => {
+    it('should expand patterns in styles and scripts', async () => {
+      const componentPath = 'test/fixtures/globs/lib/layouts/components/sections/hero';
+      const result = await loadComponent(componentPath, 'hero');
+
+      assert.deepStrictEqual(result.styles, ['hero.css', 'layout.css', 'variants/dark.css', 'variants/light.css']);
+      assert.deepStrictEqual(result.scripts, ['carousel.js', 'hero.js']);
+      assert.deepStrictEqual(result.manifestIssues, []);
+    });
+
+    it('should return null for component with invalid manifest', async () => {
       // Create a temporary component with invalid manifest
       const tempDir = 'test/temp-invalid';
       const manifestPath = path.join(tempDir, 'manifest.json');
@@ -84,7 +119,7 @@ describe('Utils - Component Discovery', () => {
       fs.writeFileSync(manifestPath, 'invalid json{');
 
       try {
-        const result = loadComponent(tempDir, 'invalid');
+        const result = await loadComponent(tempDir, 'invalid');
         assert.strictEqual(result, null);
       } finally {
         // Cleanup
@@ -97,7 +132,7 @@ describe('Utils - Component Discovery', () => {
       }
     });
 
-    it('should return null for component with missing name in manifest', () => {
+    it('should return null for component with missing name in manifest', async () => {
       // Create a temporary component with manifest missing name
       const tempDir = 'test/temp-no-name';
       const manifestPath = path.join(tempDir, 'manifest.json');
@@ -108,7 +143,7 @@ describe('Utils - Component Discovery', () => {
       fs.writeFileSync(manifestPath, JSON.stringify({ type: 'test' }));
 
       try {
-        const result = loadComponent(tempDir, 'no-name');
+        const result = await loadComponent(tempDir, 'no-name');
         assert.strictEqual(result, null);
       } finally {
         // Cleanup
@@ -122,6 +157,87 @@ describe('Utils - Component Discovery', () => {
     });
   });
 
+  describe('manifest formats', () => {
+    const sections = 'test/fixtures/manifest-formats/lib/layouts/components/sections';
+
+    /**
+     * Load a component from a temporary folder holding one manifest file,
+     * capturing what loadComponent logs
+     */
+    async function loadTemporary(file, contents) {
+      const tempDir = fs.mkdtempSync(path.join('test', 'temp-manifest-'));
+      fs.writeFileSync(path.join(tempDir, file), contents);
+      const logged = [];
+      const originalError = console.error;
+      console.error = (message) => logged.push(message);
+      try {
+        const result = await loadComponent(tempDir, 'broken');
+        return { result, logged, tempDir };
+      } finally {
+        console.error = originalError;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    }
+
+    it('should load a YAML manifest, patterns unescaped', async () => {
+      const result = await loadComponent(path.join(sections, 'hero'), 'hero');
+
+      assert.strictEqual(result.name, 'hero');
+      assert.deepStrictEqual(result.styles, ['hero.css']);
+      assert.deepStrictEqual(result.requires, ['button']);
+      assert.deepStrictEqual(result.scripts, []);
+      assert.strictEqual(result.validation.properties.anchor.pattern, '^[a-z]+(-[a-z\\d]+)*$');
+    });
+
+    it('should load a .yml manifest', async () => {
+      const result = await loadComponent(path.join(sections, 'card'), 'card');
+      assert.deepStrictEqual(result.styles, ['card.css']);
+    });
+
+    it('should call a manifest.js function with the plugin options', async () => {
+      const debug = await loadComponent(path.join(sections, 'banner'), 'banner', { minifyOutput: false });
+      const minified = await loadComponent(path.join(sections, 'banner'), 'banner', { minifyOutput: true });
+
+      assert.deepStrictEqual(debug.styles, ['banner.css', 'banner-debug.css']);
+      assert.deepStrictEqual(minified.styles, ['banner.css']);
+    });
+
+    it('should load a manifest.js that exports an object', async () => {
+      const result = await loadComponent(
+        'test/fixtures/manifest-formats/lib/layouts/components/_partials/button',
+        'button'
+      );
+      assert.deepStrictEqual(result.styles, ['button.css']);
+      assert.deepStrictEqual(result.dependencies, []);
+    });
+
+    it('should name the file when YAML does not parse', async () => {
+      const { result, logged, tempDir } = await loadTemporary('manifest.yaml', 'name: broken\nstyles: [broken.css\n');
+
+      assert.strictEqual(result, null);
+      assert.strictEqual(logged.length, 1);
+      assert(logged[0].startsWith(`Invalid manifest.yaml in broken (${path.join(tempDir, 'manifest.yaml')}): `));
+      assert.match(logged[0], /line \d+/);
+    });
+
+    it('should name the file when manifest.js throws', async () => {
+      const { result, logged } = await loadTemporary(
+        'manifest.js',
+        'export default () => { throw new Error("no"); };\n'
+      );
+
+      assert.strictEqual(result, null);
+      assert.match(logged[0], /^Invalid manifest\.js in broken \(.*manifest\.js\): no$/);
+    });
+
+    it('should reject a manifest.js without a manifest object', async () => {
+      const { result, logged } = await loadTemporary('manifest.js', 'export const name = "broken";\n');
+
+      assert.strictEqual(result, null);
+      assert.match(logged[0], /expected a default export of a manifest object, or of a function returning one/);
+    });
+  });
+
   describe('autoGenerateManifest', () => {
     it('should generate manifest for component with CSS and JS files', () => {
       const componentPath = 'test/fixtures/default/lib/layouts/components/_partials/button';
@@ -163,6 +279,48 @@ describe('Utils - Component Discovery', () => {
       }
     });
 
+    it('should keep a CSS file over an SCSS file of the same name unless preferScss is set', () => {
+      const tempDir = 'test/temp-scss';
+
+      fs.mkdirSync(tempDir, { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'card.scss'), '.card { .title { color: red; } }');
+      fs.writeFileSync(path.join(tempDir, 'card.css'), '.card .title { color: red; }');
+
+      try {
+        assert.deepStrictEqual(autoGenerateManifest(tempDir, 'card').styles, ['card.css']);
+        assert.deepStrictEqual(autoGenerateManifest(tempDir, 'card', { preferScss: true }).styles, ['card.scss']);
+
+        fs.unlinkSync(path.join(tempDir, 'card.css'));
+        assert.deepStrictEqual(autoGenerateManifest(tempDir, 'card').styles, ['card.scss']);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should keep a JS script over a TypeScript script of the same name unless preferTypeScript is set', () => {
+      const tempDir = 'test/temp-ts';
+
+      fs.mkdirSync(tempDir, { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'modal.ts'), 'export {};');
+      fs.writeFileSync(path.join(tempDir, 'modal.js'), 'export {};');
+
+      try {
+        assert.deepStrictEqual(autoGenerateManifest(tempDir, 'modal').scripts, ['modal.js']);
+        assert.deepStrictEqual(autoGenerateManifest(tempDir, 'modal', { preferTypeScript: true }).scripts, [
+          'modal.ts'
+        ]);
+
+        fs.unlinkSync(path.join(tempDir, 'modal.js'));
+        assert.deepStrictEqual(autoGenerateManifest(tempDir, 'modal').scripts, ['modal.ts']);
+
+        fs.unlinkSync(path.join(tempDir, 'modal.ts'));
+        fs.writeFileSync(path.join(tempDir, 'modal.mts'), 'export {};');
+        assert.deepStrictEqual(autoGenerateManifest(tempDir, 'modal').scripts, ['modal.mts']);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
     it('should generate manifest for component with no asset files', () => {
       // Create a temporary empty component directory
       const tempDir = 'test/temp-empty';
@@ -215,6 +373,29 @@ describe('Utils - Component Discovery', () => {
       }, /Duplicate component name: button/);
     });
 
+    it('should let a component from a later root shadow one from an earlier root', () => {
+      const components = [
+        { name: 'button', root: 'library', path: 'library/button' },
+        { name: 'button', root: 'site', path: 'site/button' }
+      ];
+
+      const result = createComponentMap(components);
+
+      assert.strictEqual(result.get('button').path, 'site/button');
+      assert.deepStrictEqual(result.get('button').shadows, ['library']);
+    });
+
+    it('should name the root of duplicate components', () => {
+      const components = [
+        { name: 'button', root: 'site', path: 'a/button' },
+        { name: 'button', root: 'site', path: 'b/button' }
+      ];
+
+      assert.throws(() => {
+        createComponentMap(components);
+      }, /Duplicate component name: button in component root "site" \(a\/button, b\/button\)/);
+    });
+
     it('should handle empty component array', () => {
       const result = createComponentMap([]);
 